@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIN_PASSCODE_LENGTH = 4;
+const MAX_FAILED_ATTEMPTS = 5; // Wrong passcodes allowed before a cooldown
+const LOCKOUT_MS = 30 * 1000;
+
+/**
+ * AppLock - Passcode lock for the sidebar and history viewer
+ * Only a salted scrypt hash of the passcode is stored (lock.json in userData).
+ */
+class AppLock {
+    constructor(userDataPath) {
+        this.passcodePath = path.join(userDataPath, 'lock.json');
+        this.record = this.load();
+        this.isLocked = false;
+        this.failedAttempts = 0;
+        this.lockedOutUntil = 0;
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.passcodePath)) {
+                const record = JSON.parse(fs.readFileSync(this.passcodePath, 'utf8'));
+                if (typeof record.salt === 'string' && typeof record.hash === 'string') {
+                    return record;
+                }
+            }
+        } catch (error) {
+            console.error('Error loading passcode:', error);
+        }
+        return null;
+    }
+
+    hasPasscode() {
+        return this.record !== null;
+    }
+
+    hashPasscode(passcode, salt) {
+        return crypto.scryptSync(passcode, Buffer.from(salt, 'hex'), 32).toString('hex');
+    }
+
+    /**
+     * Replace the passcode; returns false when it's too short or can't be saved
+     */
+    setPasscode(passcode) {
+        if (typeof passcode !== 'string' || passcode.length < MIN_PASSCODE_LENGTH) {
+            return false;
+        }
+
+        try {
+            const salt = crypto.randomBytes(16).toString('hex');
+            const record = { salt, hash: this.hashPasscode(passcode, salt) };
+            fs.writeFileSync(this.passcodePath, JSON.stringify(record), { mode: 0o600 });
+            this.record = record;
+            return true;
+        } catch (error) {
+            console.error('Error saving passcode:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check a passcode and unlock on success
+     * Returns { success, retryAfter } where retryAfter is the cooldown in seconds after too many failures
+     */
+    unlock(passcode) {
+        const now = Date.now();
+        if (now < this.lockedOutUntil) {
+            return { success: false, retryAfter: Math.ceil((this.lockedOutUntil - now) / 1000) };
+        }
+
+        if (!this.verify(passcode)) {
+            this.failedAttempts++;
+            if (this.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+                this.failedAttempts = 0;
+                this.lockedOutUntil = now + LOCKOUT_MS;
+                return { success: false, retryAfter: LOCKOUT_MS / 1000 };
+            }
+            return { success: false, retryAfter: 0 };
+        }
+
+        this.forceUnlock();
+        return { success: true, retryAfter: 0 };
+    }
+
+    verify(passcode) {
+        if (!this.record || typeof passcode !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.record.hash, 'hex');
+        const actual = Buffer.from(this.hashPasscode(passcode, this.record.salt), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    lock() {
+        this.isLocked = true;
+    }
+
+    /**
+     * Unlock without a passcode (after system authentication succeeded)
+     */
+    forceUnlock() {
+        this.isLocked = false;
+        this.failedAttempts = 0;
+        this.lockedOutUntil = 0;
+    }
+}
+
+module.exports = AppLock;
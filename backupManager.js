@@ -0,0 +1,269 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const BACKUP_PREFIX = 'pastebro-backup-';
+const MANIFEST_NAME = 'backup.json';
+const DATABASE_NAME = 'pastebro.db';
+const IMAGE_DIRECTORIES = ['images', 'thumbnails'];
+
+/**
+ * BackupManager - Snapshots of the history database and image files
+ * Each backup is a folder (pastebro-backup-<date>) holding a copy of pastebro.db made with
+ * SQLite's online backup API, the images and thumbnails directories, and backup.json with the
+ * item count and date range. Files are copied as stored, so encrypted history stays encrypted;
+ * the key isn't backed up, only its fingerprint, so a restore can tell whether it could be read.
+ */
+class BackupManager {
+    constructor(database, imageStorageManager, encryptionManager) {
+        this.database = database; // DatabaseManager
+        this.imageStorageManager = imageStorageManager;
+        this.encryptionManager = encryptionManager;
+    }
+
+    /**
+     * Back up into folder and delete all but the newest `keep` backups (0 keeps everything)
+     * A backup only appears under its final name once it has been verified
+     * Returns the backup's summary (see readBackup)
+     */
+    async createBackup(folder, keep = 0) {
+        const createdAt = Date.now();
+        const target = path.join(folder, `${BACKUP_PREFIX}${new Date(createdAt).toISOString().replace(/[:.]/g, '-')}`);
+        const partial = `${target}.partial`;
+
+        await fs.mkdir(partial, { recursive: true });
+        try {
+            await this.database.db.backup(path.join(partial, DATABASE_NAME));
+
+            const directories = [this.imageStorageManager.imagesPath, this.imageStorageManager.thumbnailsPath];
+            for (const [index, source] of directories.entries()) {
+                await fs.cp(source, path.join(partial, IMAGE_DIRECTORIES[index]), { recursive: true, force: true })
+                    .catch(error => {
+                        if (error.code !== 'ENOENT') throw error;
+                    });
+            }
+
+            const summary = await this.verify(partial);
+            const keyFingerprint = summary.encrypted ? this.encryptionManager.getKeyFingerprint() : null;
+            const manifest = { version: 1, createdAt, ...summary, keyFingerprint };
+            await fs.writeFile(path.join(partial, MANIFEST_NAME), JSON.stringify(manifest, null, 2));
+            await fs.rename(partial, target);
+
+            if (keep > 0) {
+                await this.rotate(folder, keep);
+            }
+            return { path: target, ...manifest };
+        } catch (error) {
+            await fs.rm(partial, { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Check a backup's database and count what it holds
+     * Returns { itemCount, oldest, newest, imageCount, encrypted }; throws when the database is damaged
+     * encrypted means items were stored with history encryption on (the key isn't part of the backup)
+     */
+    async verify(backupPath) {
+        const db = new Database(path.join(backupPath, DATABASE_NAME), { readonly: true, fileMustExist: true });
+        let summary;
+        try {
+            const result = db.pragma('integrity_check', { simple: true });
+            if (result !== 'ok') {
+                throw new Error(`Backup database is damaged: ${result}`);
+            }
+            summary = db.prepare(`
+                SELECT COUNT(*) AS itemCount, MIN(timestamp) AS oldest, MAX(timestamp) AS newest
+                FROM clipboard_items WHERE is_deleted = 0
+            `).get();
+            summary.encrypted = Boolean(db.prepare(`
+                SELECT 1 FROM clipboard_items
+                WHERE plain_text LIKE 'enc:v1:%' OR rich_text LIKE 'enc:v1:%' OR file_paths LIKE 'enc:v1:%'
+                    OR substr(image_data, 1, 4) = X'50424531' OR substr(thumbnail_data, 1, 4) = X'50424531'
+                LIMIT 1
+            `).get());
+        } finally {
+            db.close();
+        }
+
+        let imageCount = 0;
+        try {
+            imageCount = (await fs.readdir(path.join(backupPath, 'images'))).length;
+        } catch (error) {
+            // No images in this backup
+        }
+
+        return { ...summary, imageCount };
+    }
+
+    /**
+     * Summary of a backup for previewing a restore: manifest details plus a fresh verification
+     */
+    async readBackup(backupPath) {
+        const manifest = JSON.parse(await fs.readFile(path.join(backupPath, MANIFEST_NAME), 'utf8'));
+        const summary = await this.verify(backupPath);
+        return { path: backupPath, createdAt: manifest.createdAt, ...summary };
+    }
+
+    /**
+     * Whether the loaded key can read an encrypted backup: compared with the fingerprint in
+     * backup.json, or for backups made before fingerprints were recorded, by decrypting a value
+     */
+    async canDecrypt(backupPath, manifest = null) {
+        const fingerprint = this.encryptionManager.getKeyFingerprint();
+        if (!fingerprint) {
+            return false;
+        }
+
+        manifest = manifest || JSON.parse(await fs.readFile(path.join(backupPath, MANIFEST_NAME), 'utf8'));
+        if (manifest.keyFingerprint) {
+            return manifest.keyFingerprint === fingerprint;
+        }
+
+        const db = new Database(path.join(backupPath, DATABASE_NAME), { readonly: true, fileMustExist: true });
+        try {
+            const row = db.prepare(`
+                SELECT plain_text, rich_text, file_paths, image_data, thumbnail_data FROM clipboard_items
+                WHERE plain_text LIKE 'enc:v1:%' OR rich_text LIKE 'enc:v1:%' OR file_paths LIKE 'enc:v1:%'
+                    OR substr(image_data, 1, 4) = X'50424531' OR substr(thumbnail_data, 1, 4) = X'50424531'
+                LIMIT 1
+            `).get();
+            if (!row) {
+                return true;
+            }
+            const value = Object.values(row).find(field =>
+                this.encryptionManager.isEncryptedText(field) || this.encryptionManager.isEncryptedBuffer(field));
+            return Buffer.isBuffer(value)
+                ? this.encryptionManager.decryptBuffer(value) !== null
+                : this.encryptionManager.decryptText(value) !== null;
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Number of backups in a folder that only the loaded key can read
+     */
+    async countBackupsWithKey(folder) {
+        if (!this.encryptionManager.hasKey()) {
+            return 0;
+        }
+
+        let count = 0;
+        for (const backupPath of await this.listBackups(folder)) {
+            try {
+                const manifest = JSON.parse(await fs.readFile(path.join(backupPath, MANIFEST_NAME), 'utf8'));
+                if ((manifest.encrypted || manifest.keyFingerprint) && await this.canDecrypt(backupPath, manifest)) {
+                    count++;
+                }
+            } catch (error) {
+                console.error(`Unreadable backup ${backupPath}:`, error.message);
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Backups in a folder, newest first (names sort by date)
+     */
+    async listBackups(folder) {
+        let names;
+        try {
+            names = await fs.readdir(folder);
+        } catch (error) {
+            return [];
+        }
+
+        return names
+            .filter(name => name.startsWith(BACKUP_PREFIX) && !name.endsWith('.partial'))
+            .sort()
+            .reverse()
+            .map(name => path.join(folder, name));
+    }
+
+    /**
+     * Creation time of the newest backup in a folder, or null
+     */
+    async getLastBackupTime(folder) {
+        for (const backupPath of await this.listBackups(folder)) {
+            try {
+                const manifest = JSON.parse(await fs.readFile(path.join(backupPath, MANIFEST_NAME), 'utf8'));
+                return manifest.createdAt;
+            } catch (error) {
+                console.error(`Unreadable backup ${backupPath}:`, error.message);
+            }
+        }
+        return null;
+    }
+
+    async rotate(folder, keep) {
+        const backups = await this.listBackups(folder);
+        for (const backupPath of backups.slice(keep)) {
+            await fs.rm(backupPath, { recursive: true, force: true });
+            console.log(`Removed old backup ${path.basename(backupPath)}`);
+        }
+    }
+
+    /**
+     * Replace the database and image files with a backup
+     * Everything is copied next to the live files first (*.restore), so a failed copy leaves the
+     * current history untouched; closeDatabase() is awaited only then, before the copies are
+     * swapped in. Relaunching the app and reporting a failure are up to the caller.
+     */
+    async restoreBackup(backupPath, closeDatabase) {
+        const dbPath = this.database.dbPath;
+        const directories = [this.imageStorageManager.imagesPath, this.imageStorageManager.thumbnailsPath];
+        const staged = [`${dbPath}.restore`, ...directories.map(directory => `${directory}.restore`)];
+
+        try {
+            await fs.copyFile(path.join(backupPath, DATABASE_NAME), staged[0]);
+            for (const [index, directory] of directories.entries()) {
+                const target = `${directory}.restore`;
+                await fs.rm(target, { recursive: true, force: true });
+                await fs.mkdir(target, { recursive: true });
+                await fs.cp(path.join(backupPath, IMAGE_DIRECTORIES[index]), target, { recursive: true })
+                    .catch(error => {
+                        if (error.code !== 'ENOENT') throw error;
+                    });
+            }
+        } catch (error) {
+            for (const target of staged) {
+                await fs.rm(target, { recursive: true, force: true });
+            }
+            throw error;
+        }
+
+        // Swapped by renaming; image directories are put back if that fails part way
+        const swapped = [];
+        try {
+            await closeDatabase();
+            for (const directory of directories) {
+                await fs.rm(`${directory}.old`, { recursive: true, force: true });
+                await fs.rename(directory, `${directory}.old`).catch(error => {
+                    if (error.code !== 'ENOENT') throw error;
+                });
+                swapped.push(directory);
+                await fs.rename(`${directory}.restore`, directory);
+            }
+
+            await fs.rm(`${dbPath}-wal`, { force: true });
+            await fs.rm(`${dbPath}-shm`, { force: true });
+            await fs.rename(staged[0], dbPath);
+        } catch (error) {
+            for (const directory of swapped) {
+                await fs.rm(directory, { recursive: true, force: true }).catch(() => {});
+                await fs.rename(`${directory}.old`, directory).catch(() => {});
+            }
+            for (const target of staged) {
+                await fs.rm(target, { recursive: true, force: true }).catch(() => {});
+            }
+            throw error;
+        }
+
+        for (const directory of directories) {
+            await fs.rm(`${directory}.old`, { recursive: true, force: true });
+        }
+    }
+}
+
+module.exports = BackupManager;
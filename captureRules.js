@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { CONTENT_TYPES } = require('./contentClassifier');
+
+/**
+ * Capture rules - user-defined conditions and actions applied to newly copied items
+ *
+ * A rule matches when all of its conditions hold (empty conditions match anything):
+ *   sourceApp    app name, case-insensitive, * wildcards ("Terminal", "Google*")
+ *   contentType  item type (text, image, file, color) or detected content type (url, json, ...)
+ *   pattern      regular expression tested against the text or file paths
+ *   minSize/maxSize  content size in bytes
+ * and applies its actions: skip, pin, tags, collectionId, transform (text transformation id)
+ * and ttlMinutes (delete after). Rules are stored in the captureRules preference.
+ */
+
+const MAX_RULES = 100;
+const MAX_MATCH_LENGTH = 10000; // Patterns only see the start of huge text
+const ITEM_KINDS = ['text', 'image', 'file', 'color'];
+const CONTENT_KINDS = [...ITEM_KINDS, ...CONTENT_TYPES];
+
+// Compiled patterns by source, so regexes aren't rebuilt on every copy (oldest dropped past MAX_RULES)
+const patternCache = new Map();
+const appPatternCache = new Map();
+
+function cleanString(value, maxLength = 200) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function cleanSize(value) {
+    const size = Number(value);
+    return Number.isFinite(size) && size > 0 ? Math.round(size) : null;
+}
+
+/**
+ * Whether a pattern repeats a group that itself repeats or branches, e.g. (a+)+, (\w*x){2,} or (a|a)*
+ * Such patterns can backtrack for minutes on text that almost matches
+ */
+function hasNestedQuantifier(pattern) {
+    const groups = []; // Per open group: whether it contains a quantifier or an alternation
+    const isQuantifier = (index) => pattern[index] === '*' || pattern[index] === '+' ||
+        (pattern[index] === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(index)));
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            inClass = char !== ']';
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const repeats = groups.pop() || false;
+            if (repeats && isQuantifier(i + 1)) {
+                return true;
+            }
+            if (repeats && groups.length > 0) {
+                groups[groups.length - 1] = true;
+            }
+        } else if ((char === '|' || isQuantifier(i)) && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Validate a rule from the preferences window or an imported file
+ * Rules with a pattern that could hang on backtracking are rejected
+ */
+function normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        return null;
+    }
+
+    const pattern = cleanString(rule.pattern, 500);
+    if (hasNestedQuantifier(pattern)) {
+        console.warn(`Rejected capture rule pattern with a repeated group that repeats or branches: ${pattern}`);
+        return null;
+    }
+
+    const ttlMinutes = cleanSize(rule.ttlMinutes);
+    const tags = Array.isArray(rule.tags)
+        ? [...new Set(rule.tags.map(tag => cleanString(tag, 50).replace(/^#+/, '')).filter(tag => tag))]
+        : [];
+
+    return {
+        id: cleanString(rule.id, 64) || crypto.randomUUID(),
+        name: cleanString(rule.name, 100),
+        enabled: rule.enabled !== false,
+        sourceApp: cleanString(rule.sourceApp),
+        contentType: CONTENT_KINDS.includes(rule.contentType) ? rule.contentType : '',
+        pattern,
+        minSize: cleanSize(rule.minSize),
+        maxSize: cleanSize(rule.maxSize),
+        skip: rule.skip === true,
+        pin: rule.pin === true,
+        tags,
+        collectionId: cleanString(rule.collectionId, 64) || null,
+        transform: cleanString(rule.transform, 64) || null,
+        ttlMinutes: ttlMinutes ? Math.min(ttlMinutes, 7 * 24 * 60) : null
+    };
+}
+
+function normalizeRules(rules) {
+    if (!Array.isArray(rules)) {
+        return [];
+    }
+    return rules.slice(0, MAX_RULES).map(normalizeRule).filter(rule => rule);
+}
+
+function cachePattern(cache, key, regex) {
+    if (cache.size >= MAX_RULES) {
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, regex);
+    return regex;
+}
+
+/**
+ * Compiled pattern, or null when it isn't a valid regular expression
+ */
+function compilePattern(pattern) {
+    if (patternCache.has(pattern)) {
+        return patternCache.get(pattern);
+    }
+
+    let regex = null;
+    try {
+        regex = new RegExp(pattern, 'i');
+    } catch (error) {
+        console.warn(`Invalid capture rule pattern: ${pattern}`);
+    }
+    return cachePattern(patternCache, pattern, regex);
+}
+
+function matchesApp(pattern, appName) {
+    if (!appName) {
+        return false;
+    }
+    let regex = appPatternCache.get(pattern);
+    if (!regex) {
+        const escaped = pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        regex = cachePattern(appPatternCache, pattern, new RegExp(`^${escaped.replace(/\*/g, '.*')}$`));
+    }
+    return regex.test(appName.toLowerCase());
+}
+
+function matchesKind(kind, item) {
+    switch (kind) {
+        case 'text':
+            return item.type === 'text' || item.type === 'richText';
+        case 'file':
+            return item.type === 'file' || item.type === 'multi-file';
+        case 'image':
+        case 'color':
+            return item.type === kind;
+        default:
+            return item.contentType === kind;
+    }
+}
+
+function getMatchText(item) {
+    if (item.filePaths && item.filePaths.length > 0) {
+        return item.filePaths.join('\n');
+    }
+    return item.plainText || '';
+}
+
+function ruleMatches(rule, item) {
+    if (!rule.enabled) {
+        return false;
+    }
+    if (rule.sourceApp && !matchesApp(rule.sourceApp, item.sourceApplication)) {
+        return false;
+    }
+    if (rule.contentType && !matchesKind(rule.contentType, item)) {
+        return false;
+    }
+    if (rule.minSize !== null || rule.maxSize !== null) {
+        const size = item.fileSize || 0;
+        if ((rule.minSize !== null && size < rule.minSize) || (rule.maxSize !== null && size > rule.maxSize)) {
+            return false;
+        }
+    }
+    if (rule.pattern) {
+        const regex = compilePattern(rule.pattern);
+        const text = getMatchText(item);
+        if (!regex || !text || !regex.test(text.slice(0, MAX_MATCH_LENGTH))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Combined actions of all rules matching an item, or null when none match
+ * Returns { skip, pin, tags, collectionIds, transform, ttlMinutes }; the first transformation
+ * wins and the shortest time-to-live wins
+ */
+function evaluateRules(rules, item) {
+    let actions = null;
+
+    for (const rule of rules) {
+        if (!ruleMatches(rule, item)) {
+            continue;
+        }
+
+        actions = actions || { skip: false, pin: false, tags: [], collectionIds: [], transform: null, ttlMinutes: null };
+        actions.skip = actions.skip || rule.skip;
+        actions.pin = actions.pin || rule.pin;
+        actions.tags.push(...rule.tags.filter(tag => !actions.tags.includes(tag)));
+        if (rule.collectionId && !actions.collectionIds.includes(rule.collectionId)) {
+            actions.collectionIds.push(rule.collectionId);
+        }
+        actions.transform = actions.transform || rule.transform;
+        if (rule.ttlMinutes && (!actions.ttlMinutes || rule.ttlMinutes < actions.ttlMinutes)) {
+            actions.ttlMinutes = rule.ttlMinutes;
+        }
+    }
+
+    return actions;
+}
+
+module.exports = {
+    CONTENT_KINDS,
+    normalizeRules,
+    evaluateRules
+};
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { parseTextQuery, matchesText } = require('./searchQuery');
 
 /**
  * Generate UUID v4
@@ -43,7 +44,12 @@ class ClipboardItem {
         fileCount = null,
         fileTypes = null,
         isAllImages = false,
-        thumbnails = null
+        thumbnails = null,
+        isSensitive = false,
+        expiresAt = null,
+        tags = [],
+        contentType = null,
+        codeLanguage = null
     }) {
         this.id = id || uuidv4();
         this.type = type;
@@ -65,6 +71,11 @@ class ClipboardItem {
         this.fileTypes = fileTypes;
         this.isAllImages = isAllImages;
         this.thumbnails = thumbnails;
+        this.isSensitive = isSensitive;
+        this.expiresAt = expiresAt;
+        this.tags = tags || [];
+        this.contentType = contentType; // url, email, path, json, code, phone, number, address
+        this.codeLanguage = codeLanguage; // Detected language when contentType is code
     }
 
     /**
@@ -198,7 +209,12 @@ class ClipboardItem {
             fileCount: this.fileCount,
             fileTypes: this.fileTypes ? JSON.stringify(this.fileTypes) : null,
             isAllImages: this.isAllImages ? 1 : 0,
-            thumbnails: this.thumbnails
+            thumbnails: this.thumbnails,
+            isSensitive: this.isSensitive,
+            expiresAt: this.expiresAt,
+            tags: this.tags,
+            contentType: this.contentType,
+            codeLanguage: this.codeLanguage
         };
     }
 
@@ -226,7 +242,12 @@ class ClipboardItem {
             fileCount: dbRow.fileCount,
             fileTypes: dbRow.fileTypes ? JSON.parse(dbRow.fileTypes) : null,
             isAllImages: dbRow.isAllImages === 1,
-            thumbnails: dbRow.thumbnails
+            thumbnails: dbRow.thumbnails,
+            isSensitive: dbRow.isSensitive === true || dbRow.isSensitive === 1,
+            expiresAt: dbRow.expiresAt || null,
+            tags: Array.isArray(dbRow.tags) ? dbRow.tags : [],
+            contentType: dbRow.contentType || null,
+            codeLanguage: dbRow.codeLanguage || null
         });
     }
 
@@ -344,31 +365,42 @@ class ClipboardItem {
             filePaths: this.filePaths ? [...this.filePaths] : null,
             colorValue: this.colorValue,
             sourceApplication: this.sourceApplication,
-            fileSize: this.fileSize
+            fileSize: this.fileSize,
+            isSensitive: this.isSensitive,
+            expiresAt: this.expiresAt,
+            tags: [...this.tags],
+            contentType: this.contentType,
+            codeLanguage: this.codeLanguage
         });
     }
 
+    /**
+     * Check if item has passed its expiry time
+     */
+    isExpired(now = Date.now()) {
+        return this.expiresAt !== null && this.expiresAt !== undefined && this.expiresAt <= now;
+    }
+
     /**
      * Check if item matches search query
+     * Supports the same syntax as the full-text search (phrases, OR, -exclusions)
      */
     matchesSearch(query) {
         if (!query) return true;
         
-        const lowerQuery = query.toLowerCase();
+        const parsed = parseTextQuery(query);
         
         switch (this.type) {
             case ClipboardItemType.TEXT:
             case ClipboardItemType.RICH_TEXT:
-                return this.plainText && this.plainText.toLowerCase().includes(lowerQuery);
+                return !!this.plainText && matchesText(this.plainText, parsed);
             
             case ClipboardItemType.FILE:
             case ClipboardItemType.MULTI_FILE:
-                return this.filePaths && this.filePaths.some(path => 
-                    path.toLowerCase().includes(lowerQuery)
-                );
+                return !!this.filePaths && matchesText(this.filePaths.join('\n'), parsed);
             
             case ClipboardItemType.COLOR:
-                return this.colorValue && this.colorValue.toLowerCase().includes(lowerQuery);
+                return !!this.colorValue && matchesText(`${this.colorValue}\n${this.plainText || ''}`, parsed);
             
             default:
                 return false;
@@ -389,7 +421,8 @@ class ClipboardItem {
                 return this.plainText !== null && this.plainText !== undefined;
             
             case ClipboardItemType.IMAGE:
-                return this.imageData !== null;
+                // Images are usually stored as files (see ImageStorageManager)
+                return (this.imageData !== null && this.imageData !== undefined) || !!this.imagePath;
             
             case ClipboardItemType.FILE:
             case ClipboardItemType.MULTI_FILE:
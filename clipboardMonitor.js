@@ -2,6 +2,17 @@ const { clipboard } = require('electron');
 const crypto = require('crypto');
 const { ClipboardItem, ClipboardItemType } = require('./clipboardItem');
 const ImageStorageManager = require('./imageStorageManager');
+const SecretDetector = require('./secretDetector');
+const { classifyText, suggestTags } = require('./contentClassifier');
+const { evaluateRules } = require('./captureRules');
+const { applyTransform } = require('./textTransforms');
+const { NSCOLOR_PASTEBOARD_TYPE, parseColor, parseNSColorData, normalizeColor } = require('./colorUtils');
+
+// Pasteboard markers set by password managers (see nspasteboard.org)
+const CONCEALED_TYPES = [
+    'org.nspasteboard.ConcealedType',
+    'org.nspasteboard.TransientType'
+];
 
 /**
  * ClipboardMonitor - Monitors system clipboard for changes
@@ -12,6 +23,8 @@ class ClipboardMonitor {
         this.onClipboardChange = onClipboardChange;
         this.imageStorageManager = imageStorageManager;
         this.preferencesManager = preferencesManager;
+        this.secretDetector = new SecretDetector();
+        this.pasteStack = null;
         this.lastHash = null;
         this.interval = null;
         this.pollInterval = 50; // 50ms as per requirements
@@ -80,6 +93,32 @@ class ClipboardMonitor {
         this.isPaused = false;
     }
 
+    /**
+     * Collect captured items into a paste stack while it is active
+     */
+    setPasteStack(pasteStack) {
+        this.pasteStack = pasteStack;
+    }
+
+    /**
+     * Treat the current clipboard content as already seen
+     * Used after writing to the clipboard ourselves so the write isn't captured
+     */
+    ignoreCurrentContent() {
+        const content = this.captureClipboardContent();
+        this.lastHash = content ? this.generateContentHash(content) : null;
+    }
+
+    /**
+     * Replace the secret detector (any object with a detect(text) method)
+     */
+    setSecretDetector(detector) {
+        if (!detector || typeof detector.detect !== 'function') {
+            throw new Error('Secret detector must implement detect(text)');
+        }
+        this.secretDetector = detector;
+    }
+
     /**
      * Check clipboard for changes
      * Debounced to prevent race conditions
@@ -107,7 +146,13 @@ class ClipboardMonitor {
                 this.lastHash = currentHash;
 
                 // Create ClipboardItem (now async for file storage)
-                const result = await this.createClipboardItem(content, currentHash);
+                const result = this.applyCaptureRules(await this.createClipboardItem(content, currentHash));
+
+                if (result && this.pasteStack && this.pasteStack.isActive) {
+                    for (const item of Array.isArray(result) ? result : [result]) {
+                        this.pasteStack.push(item);
+                    }
+                }
 
                 if (result && this.onClipboardChange) {
                     // Handle both single item and array of items
@@ -147,7 +192,8 @@ class ClipboardMonitor {
                 image: null,
                 rtf: null,
                 files: null,
-                fileUrl: null
+                fileUrl: null,
+                colorData: null
             };
 
             // Check for file paths FIRST (macOS specific) - Priority for multiple files
@@ -179,6 +225,11 @@ class ClipboardMonitor {
                 }
             }
 
+            // Capture NSColor data (color wells, system color picker)
+            if (formats.includes(NSCOLOR_PASTEBOARD_TYPE)) {
+                content.colorData = clipboard.readBuffer(NSCOLOR_PASTEBOARD_TYPE);
+            }
+
             // Capture text
             if (formats.includes('text/plain')) {
                 content.text = clipboard.readText();
@@ -244,6 +295,9 @@ class ClipboardMonitor {
         } else if (content.image) {
             // For images, use first 1000 bytes of PNG data
             hashContent = content.image.toString('base64').substring(0, 1000);
+        } else if (content.colorData && content.colorData.length > 0) {
+            // For NSColor data, use the archived color
+            hashContent = content.colorData.toString('base64');
         } else if (content.html) {
             // For HTML, use the HTML content
             hashContent = content.html;
@@ -260,23 +314,35 @@ class ClipboardMonitor {
 
     /**
      * Get active application name (macOS)
-     * Cached to avoid expensive execSync calls every 50ms
      */
     getActiveApplication() {
+        const appInfo = this.getActiveApplicationInfo();
+        return appInfo ? appInfo.name : null;
+    }
+
+    /**
+     * Get active application name and bundle ID (macOS)
+     * Cached to avoid expensive execSync calls every 50ms
+     */
+    getActiveApplicationInfo(maxAge = 1000) {
         try {
             // Cache for 1 second to reduce CPU usage
             const now = Date.now();
-            if (this._cachedApp && this._cachedAppTime && (now - this._cachedAppTime) < 1000) {
+            if (this._cachedApp && this._cachedAppTime && (now - this._cachedAppTime) < maxAge) {
                 return this._cachedApp;
             }
             
             if (process.platform === 'darwin') {
                 const { execSync } = require('child_process');
-                const result = execSync('osascript -e \'tell application "System Events" to get name of first application process whose frontmost is true\'', { 
+                const result = execSync('osascript -e \'tell application "System Events"\' -e \'set p to first application process whose frontmost is true\' -e \'return (name of p) & linefeed & (bundle identifier of p)\' -e \'end tell\'', { 
                     encoding: 'utf8',
                     timeout: 500 // Prevent hanging
                 });
-                this._cachedApp = result.trim();
+                const [name, bundleId] = result.trim().split('\n');
+                this._cachedApp = {
+                    name: name ? name.trim() : null,
+                    bundleId: bundleId && bundleId.trim() !== 'missing value' ? bundleId.trim() : null
+                };
                 this._cachedAppTime = now;
                 return this._cachedApp;
             }
@@ -290,7 +356,150 @@ class ClipboardMonitor {
         return null;
     }
 
+    /**
+     * Check if the pasteboard is marked as concealed/transient by the source app
+     */
+    isConcealedContent(content) {
+        if (!this.preferencesManager || !this.preferencesManager.get('ignorePasswords')) {
+            return false;
+        }
+
+        if (content.formats && content.formats.some(format => CONCEALED_TYPES.includes(format))) {
+            return true;
+        }
+
+        // Custom pasteboard types are not always listed in availableFormats()
+        try {
+            return CONCEALED_TYPES.some(type => clipboard.has(type));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Apply secret detection to a text item
+     * Returns null to skip the item, or the item (masked and expiring if a secret was found)
+     */
+    applySecretDetection(item) {
+        if (!this.preferencesManager || !this.preferencesManager.get('detectSecrets') || !this.secretDetector) {
+            return item;
+        }
+
+        const secretType = this.secretDetector.detect(item.plainText);
+        if (!secretType) {
+            return item;
+        }
+
+        if (this.preferencesManager.get('secretHandling') !== 'mask') {
+            console.log(`Skipped clipboard item containing a secret (${secretType})`);
+            return null;
+        }
+
+        const expiryMinutes = this.preferencesManager.get('secretExpiryMinutes') || 10;
+        item.isSensitive = true;
+        item.expiresAt = Date.now() + expiryMinutes * 60 * 1000;
+        return item;
+    }
+
+    /**
+     * Apply the user's capture rules (see captureRules.js) to new items
+     * Returns the items that weren't skipped (null when none are left)
+     * Collections are added after saving, so their IDs are left on item.collectionIds
+     */
+    applyCaptureRules(result) {
+        const rules = this.preferencesManager ? this.preferencesManager.get('captureRules') : null;
+        if (!result || !Array.isArray(rules) || rules.length === 0) {
+            return result;
+        }
+
+        const kept = [];
+        for (const item of Array.isArray(result) ? result : [result]) {
+            const actions = evaluateRules(rules, item);
+            if (!actions) {
+                kept.push(item);
+                continue;
+            }
+
+            if (actions.skip) {
+                // Image files were already written for this item
+                if (item.imagePath && this.imageStorageManager) {
+                    this.imageStorageManager.deleteImage(item.id).catch(() => {});
+                }
+                console.log('Skipped clipboard item by capture rule');
+                continue;
+            }
+
+            this.applyRuleActions(item, actions);
+            kept.push(item);
+        }
+
+        if (kept.length === 0) {
+            return null;
+        }
+        return Array.isArray(result) ? kept : kept[0];
+    }
+
+    applyRuleActions(item, actions) {
+        if (actions.transform && typeof item.plainText === 'string' && (item.type === ClipboardItemType.TEXT || item.type === ClipboardItemType.RICH_TEXT)) {
+            try {
+                // The saved copy becomes plain text; the clipboard itself is left alone
+                const text = applyTransform(actions.transform, item.plainText);
+                item.type = ClipboardItemType.TEXT;
+                item.plainText = text;
+                item.richText = null;
+                item.contentHash = ClipboardItem.generateHash(text, ClipboardItemType.TEXT);
+                item.fileSize = Buffer.byteLength(text, 'utf8');
+                Object.assign(item, this.classifyContent(text));
+            } catch (error) {
+                console.warn(`Capture rule transformation failed: ${error.message}`);
+            }
+        }
+
+        if (actions.pin) {
+            item.isPinned = true;
+        }
+        if (actions.tags.length > 0) {
+            item.tags = [...(item.tags || []), ...actions.tags];
+        }
+        if (actions.ttlMinutes) {
+            const expiresAt = Date.now() + actions.ttlMinutes * 60 * 1000;
+            item.expiresAt = item.expiresAt ? Math.min(item.expiresAt, expiresAt) : expiresAt;
+        }
+        if (actions.collectionIds.length > 0) {
+            item.collectionIds = actions.collectionIds;
+        }
+    }
+
+    /**
+     * Tags suggested from the content type of captured text (url, email, json, code)
+     */
+    getSuggestedTags(text, classification = undefined) {
+        if (this.preferencesManager && this.preferencesManager.get('autoTagContent') === false) {
+            return [];
+        }
+        return suggestTags(text, classification);
+    }
 
+    /**
+     * Content type (and code language) of captured text, as ClipboardItem fields
+     * Takes an existing classifyText result to avoid classifying the same text twice
+     */
+    classifyContent(text, classification = classifyText(text)) {
+        return {
+            contentType: classification ? classification.contentType : null,
+            codeLanguage: classification ? classification.language : null
+        };
+    }
+
+    /**
+     * Check if captures from the given application should be dropped
+     */
+    isExcludedApplication(appInfo) {
+        if (!appInfo || !this.preferencesManager) {
+            return false;
+        }
+        return this.preferencesManager.isApplicationExcluded(appInfo.name, appInfo.bundleId);
+    }
 
     /**
      * Check if file is an image
@@ -330,7 +539,18 @@ class ClipboardMonitor {
      */
     async createClipboardItem(content, contentHash) {
         try {
-            const sourceApp = this.getActiveApplication();
+            const appInfo = this.getActiveApplicationInfo();
+            const sourceApp = appInfo ? appInfo.name : null;
+
+            // Never capture from excluded applications (password managers, banking apps, ...)
+            if (this.isExcludedApplication(appInfo)) {
+                return null;
+            }
+
+            // Never capture content marked as concealed by password managers
+            if (this.isConcealedContent(content)) {
+                return null;
+            }
 
             // Direct image from clipboard (highest priority)
             if (content.image) {
@@ -445,25 +665,36 @@ class ClipboardMonitor {
                 });
             }
 
+            // Color values (hex, rgb(), hsl() or NSColor data)
+            const colorItem = this.createColorItem(content, sourceApp);
+            if (colorItem) {
+                return colorItem;
+            }
+
             // Fallback to text content
             if (content.text) {
+                const classification = classifyText(content.text);
                 if (content.html) {
-                    return new ClipboardItem({
+                    return this.applySecretDetection(new ClipboardItem({
                         type: ClipboardItemType.RICH_TEXT,
                         plainText: content.text,
                         richText: content.html,
                         contentHash: contentHash,
                         fileSize: Buffer.byteLength(content.text, 'utf8'),
-                        sourceApplication: sourceApp
-                    });
+                        sourceApplication: sourceApp,
+                        tags: this.getSuggestedTags(content.text, classification),
+                        ...this.classifyContent(content.text, classification)
+                    }));
                 } else {
-                    return new ClipboardItem({
+                    return this.applySecretDetection(new ClipboardItem({
                         type: ClipboardItemType.TEXT,
                         plainText: content.text,
                         contentHash: contentHash,
                         fileSize: Buffer.byteLength(content.text, 'utf8'),
-                        sourceApplication: sourceApp
-                    });
+                        sourceApplication: sourceApp,
+                        tags: this.getSuggestedTags(content.text, classification),
+                        ...this.classifyContent(content.text, classification)
+                    }));
                 }
             }
 
@@ -474,6 +705,28 @@ class ClipboardMonitor {
         }
     }
 
+    /**
+     * Create color clipboard item if the content is a single color value
+     */
+    createColorItem(content, sourceApp) {
+        // Copied text like #123 or #bad is more often an issue number or a word than a short hex color
+        const color = (content.colorData && parseNSColorData(content.colorData)) ||
+            parseColor(content.text, { shortHex: false });
+        if (!color) {
+            return null;
+        }
+
+        // Hash the normalized value so #fff and rgb(255, 255, 255) are the same item
+        const colorValue = normalizeColor(color);
+        return new ClipboardItem({
+            type: ClipboardItemType.COLOR,
+            colorValue: colorValue,
+            plainText: content.text ? content.text.trim() : colorValue,
+            contentHash: ClipboardItem.generateHash(colorValue, ClipboardItemType.COLOR),
+            sourceApplication: sourceApp
+        });
+    }
+
     /**
      * Create multi-file clipboard item
      */
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { parseColor, normalizeColor } = require('./colorUtils');
+
+const MAX_NAME_LENGTH = 100;
+
+// Colors offered in the sidebar (macOS system palette)
+const COLLECTION_COLORS = ['#FF3B30', '#FF9500', '#FFCC00', '#34C759', '#007AFF', '#AF52DE', '#8E8E93'];
+
+/**
+ * CollectionManager - Named, colored boards of clipboard items
+ * Items can belong to any number of collections; shares the HistoryManager database
+ */
+class CollectionManager {
+    constructor(db) {
+        this.db = db;
+    }
+
+    validateName(name) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            throw new Error('Invalid collection name');
+        }
+        return name.trim();
+    }
+
+    validateColor(color) {
+        const parsed = parseColor(color);
+        if (!parsed) {
+            throw new Error('Invalid collection color');
+        }
+        return normalizeColor({ ...parsed, a: 1 });
+    }
+
+    validateIds(ids) {
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id)) {
+            throw new Error('Invalid IDs');
+        }
+        return ids;
+    }
+
+    getCollections() {
+        return this.db.getCollections();
+    }
+
+    /**
+     * Create a collection; without a color the next palette color is used
+     */
+    createCollection(name, color = null) {
+        const count = this.db.getCollections().length;
+
+        return this.db.insertCollection({
+            id: crypto.randomUUID(),
+            name: this.validateName(name),
+            color: color ? this.validateColor(color) : COLLECTION_COLORS[count % COLLECTION_COLORS.length],
+            createdAt: Date.now()
+        });
+    }
+
+    /**
+     * Rename and/or recolor a collection
+     */
+    updateCollection(id, { name, color } = {}) {
+        const updates = {};
+        if (name !== undefined) {
+            updates.name = this.validateName(name);
+        }
+        if (color !== undefined) {
+            updates.color = this.validateColor(color);
+        }
+        return this.db.updateCollection(id, updates);
+    }
+
+    reorderCollections(ids) {
+        return this.db.reorderCollections(this.validateIds(ids));
+    }
+
+    deleteCollection(id) {
+        return this.db.deleteCollection(id);
+    }
+
+    addItems(collectionId, itemIds) {
+        return this.db.addToCollection(collectionId, this.validateIds(itemIds));
+    }
+
+    removeItems(collectionId, itemIds) {
+        return this.db.removeFromCollection(collectionId, this.validateIds(itemIds));
+    }
+}
+
+module.exports = {
+    CollectionManager,
+    COLLECTION_COLORS
+};
@@ -0,0 +1,258 @@
+/**
+ * Color parsing, normalization and conversion helpers
+ * Colors are stored normalized as #RRGGBB (or #RRGGBBAA when not opaque)
+ */
+
+const HEX_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTION_PATTERN = /^(rgba?|hsla?)\(\s*([^)]*)\)$/i;
+
+// Pasteboard type used by AppKit color wells and the system color picker
+const NSCOLOR_PASTEBOARD_TYPE = 'com.apple.cocoa.pasteboard.color';
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Parse a CSS number or percentage; percentages are scaled to `percentScale`
+ */
+function parseComponent(value, percentScale) {
+    const match = /^(-?\d*\.?\d+)(%?)$/.exec(value);
+    if (!match) return NaN;
+    const number = parseFloat(match[1]);
+    return match[2] ? (number / 100) * percentScale : number;
+}
+
+function parseAlpha(value) {
+    if (value === undefined) return 1;
+    return clamp(parseComponent(value, 1), 0, 1);
+}
+
+/**
+ * Split function arguments, accepting both "1, 2, 3, 0.5" and "1 2 3 / 0.5"
+ */
+function splitArguments(args) {
+    return args.replace(/\s*\/\s*/, ' ').split(/\s*,\s*|\s+/).filter(Boolean);
+}
+
+function hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360 / 360;
+    if (s === 0) {
+        const gray = l * 255;
+        return { r: gray, g: gray, b: gray };
+    }
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = (t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+
+    return {
+        r: channel(hue + 1 / 3) * 255,
+        g: channel(hue) * 255,
+        b: channel(hue - 1 / 3) * 255
+    };
+}
+
+function rgbToHsl(r, g, b) {
+    const rn = r / 255;
+    const gn = g / 255;
+    const bn = b / 255;
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+
+    if (max === min) {
+        return { h: 0, s: 0, l };
+    }
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === rn) {
+        h = (gn - bn) / d + (gn < bn ? 6 : 0);
+    } else if (max === gn) {
+        h = (bn - rn) / d + 2;
+    } else {
+        h = (rn - gn) / d + 4;
+    }
+
+    return { h: h * 60, s, l };
+}
+
+/**
+ * Parse a CSS-style color string (hex, rgb(), rgba(), hsl(), hsla())
+ * Returns { r, g, b, a } with channels 0-255 and alpha 0-1, or null
+ * With shortHex false, 3/4-digit hex (#fff) is rejected
+ */
+function parseColor(text, { shortHex = true } = {}) {
+    if (typeof text !== 'string') return null;
+    const value = text.trim();
+    if (!value || value.length > 64) return null;
+
+    const hex = HEX_PATTERN.exec(value);
+    if (hex && !shortHex && hex[1].length <= 4) {
+        return null;
+    }
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length <= 4) {
+            digits = digits.split('').map(d => d + d).join('');
+        }
+        return {
+            r: parseInt(digits.substring(0, 2), 16),
+            g: parseInt(digits.substring(2, 4), 16),
+            b: parseInt(digits.substring(4, 6), 16),
+            a: digits.length === 8 ? parseInt(digits.substring(6, 8), 16) / 255 : 1
+        };
+    }
+
+    const fn = FUNCTION_PATTERN.exec(value);
+    if (!fn) return null;
+
+    const args = splitArguments(fn[2]);
+    if (args.length !== 3 && args.length !== 4) return null;
+
+    let color;
+    if (fn[1].toLowerCase().startsWith('rgb')) {
+        const [r, g, b] = args.slice(0, 3).map(arg => parseComponent(arg, 255));
+        color = { r, g, b };
+    } else {
+        const h = parseFloat(args[0].replace(/deg$/i, ''));
+        const s = parseComponent(args[1], 1);
+        const l = parseComponent(args[2], 1);
+        if (!args[1].endsWith('%') || !args[2].endsWith('%')) return null;
+        color = hslToRgb(h, clamp(s, 0, 1), clamp(l, 0, 1));
+    }
+
+    const a = parseAlpha(args[3]);
+    if ([color.r, color.g, color.b, a].some(Number.isNaN)) return null;
+
+    return {
+        r: clamp(Math.round(color.r), 0, 255),
+        g: clamp(Math.round(color.g), 0, 255),
+        b: clamp(Math.round(color.b), 0, 255),
+        a
+    };
+}
+
+/**
+ * Read one typedstream-encoded number (integer or float) at offset
+ */
+function readTypedstreamNumber(buffer, offset) {
+    const tag = buffer.readInt8(offset);
+    if (tag === -125) return { value: buffer.readFloatLE(offset + 1), next: offset + 5 }; // float
+    if (tag === -127) return { value: buffer.readInt16LE(offset + 1), next: offset + 3 }; // int16
+    if (tag === -126) return { value: buffer.readInt32LE(offset + 1), next: offset + 5 }; // int32
+    return { value: tag, next: offset + 1 };
+}
+
+/**
+ * Best-effort decoding of NSColor pasteboard data (NSArchiver typedstream)
+ * Supports RGB ("ffff") and grayscale ("ff") color spaces; returns { r, g, b, a } or null
+ */
+function parseNSColorData(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) return null;
+
+    try {
+        const rgbMarker = buffer.indexOf(Buffer.from([0x04, 0x66, 0x66, 0x66, 0x66])); // "ffff"
+        const grayMarker = buffer.indexOf(Buffer.from([0x02, 0x66, 0x66])); // "ff"
+        const components = [];
+        let offset;
+        let count;
+
+        if (rgbMarker !== -1) {
+            offset = rgbMarker + 5;
+            count = 4;
+        } else if (grayMarker !== -1) {
+            offset = grayMarker + 3;
+            count = 2;
+        } else {
+            return null;
+        }
+
+        for (let i = 0; i < count; i++) {
+            const { value, next } = readTypedstreamNumber(buffer, offset);
+            components.push(clamp(value, 0, 1));
+            offset = next;
+        }
+
+        if (components.some(Number.isNaN)) return null;
+
+        if (count === 2) {
+            const gray = Math.round(components[0] * 255);
+            return { r: gray, g: gray, b: gray, a: components[1] };
+        }
+
+        return {
+            r: Math.round(components[0] * 255),
+            g: Math.round(components[1] * 255),
+            b: Math.round(components[2] * 255),
+            a: components[3]
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+function toHexByte(value) {
+    return Math.round(value).toString(16).padStart(2, '0').toUpperCase();
+}
+
+/**
+ * Normalize a parsed color to #RRGGBB or #RRGGBBAA
+ */
+function normalizeColor(color) {
+    const hex = `#${toHexByte(color.r)}${toHexByte(color.g)}${toHexByte(color.b)}`;
+    return color.a < 1 ? `${hex}${toHexByte(color.a * 255)}` : hex;
+}
+
+function round(value, digits) {
+    return Number(value.toFixed(digits));
+}
+
+/**
+ * Convert a stored color value to another notation: hex, rgb, hsl or swiftui
+ */
+function formatColor(colorValue, format = 'hex') {
+    const color = parseColor(colorValue);
+    if (!color) return colorValue;
+
+    const alpha = round(color.a, 2);
+    const opaque = color.a >= 1;
+
+    switch (format) {
+        case 'rgb':
+            return opaque
+                ? `rgb(${color.r}, ${color.g}, ${color.b})`
+                : `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha})`;
+
+        case 'hsl': {
+            const { h, s, l } = rgbToHsl(color.r, color.g, color.b);
+            const hsl = `${Math.round(h)}, ${Math.round(s * 100)}%, ${Math.round(l * 100)}%`;
+            return opaque ? `hsl(${hsl})` : `hsla(${hsl}, ${alpha})`;
+        }
+
+        case 'swiftui': {
+            const channels = `red: ${round(color.r / 255, 3)}, green: ${round(color.g / 255, 3)}, blue: ${round(color.b / 255, 3)}`;
+            return opaque ? `Color(${channels})` : `Color(${channels}, opacity: ${alpha})`;
+        }
+
+        default:
+            return normalizeColor(color);
+    }
+}
+
+module.exports = {
+    NSCOLOR_PASTEBOARD_TYPE,
+    parseColor,
+    parseNSColorData,
+    normalizeColor,
+    formatColor
+};
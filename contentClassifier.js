@@ -0,0 +1,180 @@
+/**
+ * Content classification for captured text
+ * Classifies text into a content type (url, email, path, json, code, phone, number, address)
+ * stored with the item, and suggests tags (url, email, json, code) at capture time
+ */
+
+const MAX_CLASSIFY_LENGTH = 10000; // Don't analyze huge blobs on every copy
+
+const CONTENT_TYPES = ['url', 'email', 'path', 'json', 'code', 'phone', 'number', 'address'];
+
+// Content types that are also suggested as tags
+const TAGGED_CONTENT_TYPES = ['url', 'email', 'json', 'code'];
+
+const URL_PATTERN = /^(?:https?|ftp):\/\/[^\s/$.?#][^\s]*$|^www\.[^\s]+\.[a-z]{2,}[^\s]*$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+// One segment per separator, so a near-miss (e.g. a glob) fails without backtracking
+const PATH_PATTERN = /^(?:~|\.{1,2})?(?:\/[^/\0*<>|"]+)+\/?$|^[a-z]:\\(?:[^\\\0*<>|"?:]+(?:\\[^\\\0*<>|"?:]+)*\\?)?$/i;
+const NUMBER_PATTERN = /^[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?(?:e[-+]?\d+)?%?$/i;
+const PHONE_PATTERN = /^\+?\(?\d[\d\s().-]{5,}\d$/;
+const DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}$|^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/;
+const IP_PATTERN = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+const STREET_PATTERN = /^\d+[a-z]?,?\s+(?:[\p{L}.'-]+\s+){0,4}(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|square|sq|terrace|parkway|pkwy|highway|hwy)\b\.?|[\p{L}-]+(?:straße|strasse|weg|gasse|platz|allee)\s+\d+/iu;
+
+// First matching rule wins, so more specific languages come first
+const LANGUAGE_RULES = [
+    ['html', [/<(?:!doctype|html|head|body|div|span|script|style|a|p|ul|li|table)\b[^>]*>/i]],
+    ['php', [/<\?php/, /^\s*\$\w+\s*=.*;\s*$/m]],
+    ['sql', [/^\s*(?:select\s[\s\S]+\sfrom|insert\s+into|update\s+\w+\s+set|delete\s+from|create\s+(?:table|index|view)|alter\s+table)\b/i]],
+    ['shell', [/^#!.*\b(?:sh|bash|zsh)\b/, /^\s*(?:sudo|cd|ls|echo|export|git|npm|npx|yarn|brew|curl|chmod|mkdir|rm)\s/m]],
+    ['python', [/^\s*(?:def|class)\s+\w+[^{]*:\s*$/m, /^\s*(?:from\s+[\w.]+\s+import|import\s+\w+\s*$)/m, /^\s*elif\b/m, /\bself\./]],
+    ['go', [/^\s*package\s+\w+\s*$/m, /\bfunc\s+(?:\(\w+\s+\*?\w+\)\s*)?\w+\(.*\)\s*[\w*()\[\], ]*\{/, /\w+\s*:=\s*/]],
+    ['rust', [/\bfn\s+\w+\s*(?:<[^>]*>)?\(/, /\blet\s+mut\b/, /\b(?:println|vec)!/, /\bimpl\b.*\{/]],
+    ['typescript', [/\binterface\s+\w+\s*\{/, /\b(?:const|let|var)\s+\w+\s*:\s*[\w<>[\]|]+\s*=/, /\)\s*:\s*(?:string|number|boolean|void|Promise<)/]],
+    ['swift', [/\bguard\s+let\b/, /\bfunc\s+\w+\s*\(.*\)\s*(?:->\s*\w+\s*)?\{/, /\bimport\s+(?:SwiftUI|UIKit|Foundation)\b/]],
+    ['javascript', [/\b(?:const|let|var)\s+\w+\s*=/, /=>/, /\bfunction\s*\w*\s*\(/, /\bconsole\.log\(/, /\brequire\(/, /^\s*(?:import|export)\s/m]],
+    ['java', [/\bpublic\s+(?:static\s+)?(?:final\s+)?(?:class|void|int|String)\b/, /\bSystem\.out\./]],
+    ['csharp', [/^\s*using\s+System\b/m, /\bnamespace\s+[\w.]+/, /\bConsole\.Write/]],
+    ['cpp', [/\bstd::/, /#include\s*<(?:iostream|vector|string|map)>/, /\btemplate\s*</]],
+    ['c', [/#include\s*[<"]/, /\bint\s+main\s*\(/, /\bprintf\s*\(/]],
+    ['ruby', [/^\s*def\s+\w+[?!]?(?:\(.*\))?\s*$/m, /^\s*end\s*$/m, /\bputs\s/]],
+    ['css', [/^\s*[\w.#:*\[\]="\s>+~-]+\{\s*[\w-]+\s*:[^;{}]+;/m]]
+];
+
+// Lines that look like source code in common languages
+const CODE_LINE_PATTERNS = [
+    /[;{}]\s*$/,
+    /^\s*(?:function|const|let|var|class|import|export|return|if|for|while|switch|def|elif|fn|func|package|public|private|protected|static|#include|#import|using|namespace)\b/,
+    /=>|->|::|===|!==|&&|\|\|/,
+    /^\s*(?:\/\/|#\s|\/\*|\*\s|--\s)/,
+    /^\s*<\/?[a-z][\w-]*(?:\s[^>]*)?>\s*$/i,
+    /^\s*[\w.]+\s*\([^)]*\)\s*;?\s*$/
+];
+
+function isJson(text) {
+    if (!/^[[{]/.test(text) || !/[\]}]$/.test(text)) {
+        return false;
+    }
+    try {
+        const value = JSON.parse(text);
+        return typeof value === 'object' && value !== null;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Heuristic: most non-empty lines look like code, and there are enough of them
+ */
+function isCode(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+    if (lines.length === 0) {
+        return false;
+    }
+
+    const codeLines = lines.filter(line => CODE_LINE_PATTERNS.some(pattern => pattern.test(line))).length;
+
+    if (lines.length === 1) {
+        // A single line needs strong signals (a statement with a keyword and terminator)
+        return /;\s*$/.test(lines[0]) && CODE_LINE_PATTERNS[1].test(lines[0]);
+    }
+
+    return codeLines >= 2 && codeLines / lines.length >= 0.5;
+}
+
+/**
+ * Best-effort source language of a code sample (null when unsure)
+ */
+function detectLanguage(text) {
+    for (const [language, patterns] of LANGUAGE_RULES) {
+        if (patterns.some(pattern => pattern.test(text))) {
+            return language;
+        }
+    }
+    return null;
+}
+
+function isPhoneNumber(text) {
+    if (!PHONE_PATTERN.test(text) || DATE_PATTERN.test(text) || IP_PATTERN.test(text)) {
+        return false;
+    }
+    const digits = text.replace(/\D/g, '').length;
+    // Plain digit runs are numbers unless written in international form
+    return digits >= 7 && digits <= 15 && (text.startsWith('+') || /[\s().-]/.test(text));
+}
+
+/**
+ * Postal addresses: a short block whose first line looks like a street line
+ */
+function isAddress(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+    return text.length <= 300 && lines.length <= 5 && STREET_PATTERN.test(lines[0]);
+}
+
+/**
+ * Classify captured text
+ * Returns { contentType, language } (language is only set for code), or null
+ */
+function classifyText(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    const sample = text.length > MAX_CLASSIFY_LENGTH ? text.substring(0, MAX_CLASSIFY_LENGTH) : text;
+    const trimmed = sample.trim();
+    if (!trimmed) {
+        return null;
+    }
+
+    const singleLine = !trimmed.includes('\n');
+
+    if (!/\s/.test(trimmed)) {
+        if (URL_PATTERN.test(trimmed)) return { contentType: 'url', language: null };
+        if (EMAIL_PATTERN.test(trimmed)) return { contentType: 'email', language: null };
+    }
+
+    if (singleLine && trimmed.length <= 1024 && PATH_PATTERN.test(trimmed)) {
+        return { contentType: 'path', language: null };
+    }
+
+    // Truncated samples can't be parsed as JSON
+    if (sample === text && isJson(trimmed)) {
+        return { contentType: 'json', language: null };
+    }
+
+    if (singleLine && NUMBER_PATTERN.test(trimmed)) {
+        return { contentType: 'number', language: null };
+    }
+
+    if (singleLine && isPhoneNumber(trimmed)) {
+        return { contentType: 'phone', language: null };
+    }
+
+    if (isCode(trimmed)) {
+        return { contentType: 'code', language: detectLanguage(trimmed) };
+    }
+
+    if (isAddress(trimmed)) {
+        return { contentType: 'address', language: null };
+    }
+
+    return null;
+}
+
+/**
+ * Suggest tags for captured text
+ * Pass the text's classifyText result when there is one, so the text isn't classified twice
+ * Returns a (possibly empty) list of tag names
+ */
+function suggestTags(text, classification = classifyText(text)) {
+    return classification && TAGGED_CONTENT_TYPES.includes(classification.contentType)
+        ? [classification.contentType]
+        : [];
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    classifyText,
+    detectLanguage,
+    suggestTags
+};
@@ -2,6 +2,23 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const { app } = require('electron');
 const fs = require('fs');
+const crypto = require('crypto');
+const { toFtsQuery, matchesText } = require('./searchQuery');
+const { classifyText } = require('./contentClassifier');
+
+// Version of the schema created by initSchema; later changes are applied by runMigrations
+const BASE_SCHEMA_VERSION = 3;
+
+// Item tags as a single column (names separated by \u001f), selected alongside clipboard_items
+const TAGS_COLUMN = `(
+    SELECT group_concat(tags.name, char(31)) FROM item_tags
+    JOIN tags ON tags.id = item_tags.tag_id
+    WHERE item_tags.item_id = clipboard_items.id
+) AS tags`;
+
+// Whether a row's content goes into the full-text index: encrypted rows are left out, since their
+// tokens would be ciphertext (search() filters decrypted items instead while encryption is on)
+const isIndexed = row => `(coalesce(${row}.plain_text, '') NOT LIKE 'enc:v1:%' AND coalesce(${row}.file_paths, '') NOT LIKE 'enc:v1:%')`;
 
 class DatabaseManager {
     constructor(dbPath = null) {
@@ -16,7 +33,43 @@ class DatabaseManager {
         }
 
         this.db = null;
-        this.currentVersion = 3;
+        this.currentVersion = 10;
+        this.encryption = null;
+    }
+
+    /**
+     * Encrypt clipboard content columns with an EncryptionManager (see encryption.js)
+     */
+    setEncryption(encryption) {
+        this.encryption = encryption;
+        if (this.db && encryption && encryption.isActive) {
+            // Overwrite freed pages so replaced plaintext doesn't linger in the file
+            this.db.pragma('secure_delete = ON');
+        }
+    }
+
+    isEncrypted() {
+        return Boolean(this.encryption && this.encryption.isActive);
+    }
+
+    encryptText(value) {
+        return this.encryption ? this.encryption.encryptText(value) : value;
+    }
+
+    decryptText(value) {
+        return this.encryption ? this.encryption.decryptText(value) : value;
+    }
+
+    encryptBuffer(value) {
+        return this.encryption ? this.encryption.encryptBuffer(value) : value;
+    }
+
+    decryptBuffer(value) {
+        return this.encryption ? this.encryption.decryptBuffer(value) : value;
+    }
+
+    protectHash(hash) {
+        return this.encryption ? this.encryption.hashKey(hash) : hash;
     }
 
     /**
@@ -89,10 +142,10 @@ class DatabaseManager {
             createIndexes.forEach(sql => this.db.exec(sql));
             this.db.exec(createMetaTable);
 
-            // Set initial version if not exists
+            // New databases start at the base schema and are migrated from there
             const version = this.getVersion();
             if (version === null) {
-                this.setVersion(this.currentVersion);
+                this.setVersion(BASE_SCHEMA_VERSION);
             }
         } catch (error) {
             console.error('Schema initialization failed:', error);
@@ -153,6 +206,208 @@ class DatabaseManager {
                 }
             }
 
+            // Migration to version 4: Add sensitive item columns
+            if (currentVersion < 4) {
+                try {
+                    this.db.exec('ALTER TABLE clipboard_items ADD COLUMN is_sensitive INTEGER DEFAULT 0');
+                    this.db.exec('ALTER TABLE clipboard_items ADD COLUMN expires_at INTEGER');
+                    this.db.exec('CREATE INDEX IF NOT EXISTS idx_expires_at ON clipboard_items(expires_at)');
+                    console.log('Migration to version 4 complete');
+                } catch (error) {
+                    console.error('Migration to version 4 failed:', error);
+                }
+            }
+
+            // Migration to version 5: Full-text search index kept in sync by triggers
+            if (currentVersion < 5) {
+                try {
+                    this.db.exec(`
+                        CREATE VIRTUAL TABLE IF NOT EXISTS clipboard_items_fts USING fts5(
+                            plain_text, file_paths, source_application,
+                            content='clipboard_items', content_rowid='rowid',
+                            tokenize='unicode61 remove_diacritics 2'
+                        );
+
+                        CREATE TRIGGER IF NOT EXISTS clipboard_items_fts_insert AFTER INSERT ON clipboard_items BEGIN
+                            INSERT INTO clipboard_items_fts(rowid, plain_text, file_paths, source_application)
+                            VALUES (new.rowid, new.plain_text, new.file_paths, new.source_application);
+                        END;
+
+                        CREATE TRIGGER IF NOT EXISTS clipboard_items_fts_delete AFTER DELETE ON clipboard_items BEGIN
+                            INSERT INTO clipboard_items_fts(clipboard_items_fts, rowid, plain_text, file_paths, source_application)
+                            VALUES ('delete', old.rowid, old.plain_text, old.file_paths, old.source_application);
+                        END;
+
+                        CREATE TRIGGER IF NOT EXISTS clipboard_items_fts_update
+                        AFTER UPDATE OF plain_text, file_paths, source_application ON clipboard_items BEGIN
+                            INSERT INTO clipboard_items_fts(clipboard_items_fts, rowid, plain_text, file_paths, source_application)
+                            VALUES ('delete', old.rowid, old.plain_text, old.file_paths, old.source_application);
+                            INSERT INTO clipboard_items_fts(rowid, plain_text, file_paths, source_application)
+                            VALUES (new.rowid, new.plain_text, new.file_paths, new.source_application);
+                        END;
+                    `);
+
+                    // Index existing rows
+                    this.db.exec("INSERT INTO clipboard_items_fts(clipboard_items_fts) VALUES ('rebuild')");
+                    console.log('Migration to version 5 complete');
+                } catch (error) {
+                    console.error('Migration to version 5 failed:', error);
+                }
+            }
+
+            // Migration to version 6: Snippets (reusable text templates)
+            if (currentVersion < 6) {
+                try {
+                    this.db.exec(`
+                        CREATE TABLE IF NOT EXISTS snippets (
+                            id TEXT PRIMARY KEY,
+                            name TEXT NOT NULL,
+                            content TEXT NOT NULL,
+                            created_at INTEGER NOT NULL,
+                            updated_at INTEGER NOT NULL,
+                            use_count INTEGER DEFAULT 0,
+                            last_used_at INTEGER
+                        )
+                    `);
+                    console.log('Migration to version 6 complete');
+                } catch (error) {
+                    console.error('Migration to version 6 failed:', error);
+                }
+            }
+
+            // Migration to version 7: Collections (named boards of items)
+            if (currentVersion < 7) {
+                try {
+                    this.db.exec(`
+                        CREATE TABLE IF NOT EXISTS collections (
+                            id TEXT PRIMARY KEY,
+                            name TEXT NOT NULL,
+                            color TEXT,
+                            position INTEGER NOT NULL DEFAULT 0,
+                            created_at INTEGER NOT NULL
+                        );
+
+                        CREATE TABLE IF NOT EXISTS collection_items (
+                            collection_id TEXT NOT NULL,
+                            item_id TEXT NOT NULL,
+                            added_at INTEGER NOT NULL,
+                            PRIMARY KEY (collection_id, item_id)
+                        );
+
+                        CREATE INDEX IF NOT EXISTS idx_collection_items_item ON collection_items(item_id);
+
+                        CREATE TRIGGER IF NOT EXISTS clipboard_items_collections_delete AFTER DELETE ON clipboard_items BEGIN
+                            DELETE FROM collection_items WHERE item_id = old.id;
+                        END;
+
+                        CREATE TRIGGER IF NOT EXISTS collections_items_delete AFTER DELETE ON collections BEGIN
+                            DELETE FROM collection_items WHERE collection_id = old.id;
+                        END;
+                    `);
+                    console.log('Migration to version 7 complete');
+                } catch (error) {
+                    console.error('Migration to version 7 failed:', error);
+                }
+            }
+
+            // Migration to version 8: Free-form item tags
+            if (currentVersion < 8) {
+                try {
+                    this.db.exec(`
+                        CREATE TABLE IF NOT EXISTS tags (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            name TEXT NOT NULL UNIQUE COLLATE NOCASE
+                        );
+
+                        CREATE TABLE IF NOT EXISTS item_tags (
+                            item_id TEXT NOT NULL,
+                            tag_id INTEGER NOT NULL,
+                            PRIMARY KEY (item_id, tag_id)
+                        );
+
+                        CREATE INDEX IF NOT EXISTS idx_item_tags_tag ON item_tags(tag_id);
+
+                        CREATE TRIGGER IF NOT EXISTS clipboard_items_tags_delete AFTER DELETE ON clipboard_items BEGIN
+                            DELETE FROM item_tags WHERE item_id = old.id;
+                        END;
+                    `);
+                    console.log('Migration to version 8 complete');
+                } catch (error) {
+                    console.error('Migration to version 8 failed:', error);
+                }
+            }
+
+            // Migration to version 9: Content type of text items (url, email, code, ...)
+            if (currentVersion < 9) {
+                try {
+                    this.db.exec('ALTER TABLE clipboard_items ADD COLUMN content_type TEXT');
+                    this.db.exec('ALTER TABLE clipboard_items ADD COLUMN code_language TEXT');
+                    this.db.exec('CREATE INDEX IF NOT EXISTS idx_content_type ON clipboard_items(content_type)');
+
+                    // Classify existing text items
+                    const rows = this.db.prepare(`
+                        SELECT id, plain_text FROM clipboard_items
+                        WHERE type IN ('text', 'richText') AND plain_text IS NOT NULL
+                    `).all();
+                    const update = this.db.prepare('UPDATE clipboard_items SET content_type = ?, code_language = ? WHERE id = ?');
+
+                    this.db.transaction(() => {
+                        for (const row of rows) {
+                            const classification = classifyText(row.plain_text);
+                            if (classification) {
+                                update.run(classification.contentType, classification.language, row.id);
+                            }
+                        }
+                    })();
+
+                    console.log('Migration to version 9 complete');
+                } catch (error) {
+                    console.error('Migration to version 9 failed:', error);
+                }
+            }
+
+            // Migration to version 10: Keep encrypted content out of the full-text index
+            if (currentVersion < 10) {
+                try {
+                    this.db.exec(`
+                        DROP TRIGGER IF EXISTS clipboard_items_fts_insert;
+                        DROP TRIGGER IF EXISTS clipboard_items_fts_delete;
+                        DROP TRIGGER IF EXISTS clipboard_items_fts_update;
+
+                        CREATE TRIGGER clipboard_items_fts_insert AFTER INSERT ON clipboard_items
+                        WHEN ${isIndexed('new')} BEGIN
+                            INSERT INTO clipboard_items_fts(rowid, plain_text, file_paths, source_application)
+                            VALUES (new.rowid, new.plain_text, new.file_paths, new.source_application);
+                        END;
+
+                        CREATE TRIGGER clipboard_items_fts_delete AFTER DELETE ON clipboard_items
+                        WHEN ${isIndexed('old')} BEGIN
+                            INSERT INTO clipboard_items_fts(clipboard_items_fts, rowid, plain_text, file_paths, source_application)
+                            VALUES ('delete', old.rowid, old.plain_text, old.file_paths, old.source_application);
+                        END;
+
+                        CREATE TRIGGER clipboard_items_fts_update
+                        AFTER UPDATE OF plain_text, file_paths, source_application ON clipboard_items BEGIN
+                            INSERT INTO clipboard_items_fts(clipboard_items_fts, rowid, plain_text, file_paths, source_application)
+                            SELECT 'delete', old.rowid, old.plain_text, old.file_paths, old.source_application WHERE ${isIndexed('old')};
+                            INSERT INTO clipboard_items_fts(rowid, plain_text, file_paths, source_application)
+                            SELECT new.rowid, new.plain_text, new.file_paths, new.source_application WHERE ${isIndexed('new')};
+                        END;
+                    `);
+
+                    // Earlier triggers indexed ciphertext; drop it, and the freed pages with it
+                    this.rebuildSearchIndex();
+                    if (this.hasEncryptedContent()) {
+                        this.db.pragma('wal_checkpoint(TRUNCATE)');
+                        this.db.exec('VACUUM');
+                        this.db.pragma('wal_checkpoint(TRUNCATE)');
+                    }
+                    console.log('Migration to version 10 complete');
+                } catch (error) {
+                    console.error('Migration to version 10 failed:', error);
+                }
+            }
+
             this.setVersion(this.currentVersion);
         }
     }
@@ -167,8 +422,9 @@ class DatabaseManager {
                 plain_text, rich_text, image_data, thumbnail_data,
                 file_paths, color_value, source_application, file_size,
                 file_count, file_types, is_all_images,
-                image_path, thumbnail_path
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                image_path, thumbnail_path, is_sensitive, expires_at,
+                content_type, code_language
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         try {
@@ -179,12 +435,12 @@ class DatabaseManager {
                 item.timestamp,
                 item.isPinned ? 1 : 0,
                 item.isDeleted ? 1 : 0,
-                item.contentHash,
-                item.plainText,
-                item.richText,
-                item.imageData || null,
-                item.thumbnailData || null,
-                item.filePaths ? JSON.stringify(item.filePaths) : null,
+                this.protectHash(item.contentHash),
+                this.encryptText(item.plainText),
+                this.encryptText(item.richText),
+                this.encryptBuffer(item.imageData || null),
+                this.encryptBuffer(item.thumbnailData || null),
+                item.filePaths ? this.encryptText(JSON.stringify(item.filePaths)) : null,
                 item.colorValue,
                 item.sourceApplication,
                 item.fileSize,
@@ -192,7 +448,11 @@ class DatabaseManager {
                 item.fileTypes,
                 item.isAllImages,
                 item.imagePath || null,
-                item.thumbnailPath || null
+                item.thumbnailPath || null,
+                item.isSensitive ? 1 : 0,
+                item.expiresAt || null,
+                item.contentType || null,
+                item.codeLanguage || null
             );
             return result.changes > 0;
         } catch (error) {
@@ -210,13 +470,32 @@ class DatabaseManager {
             offset = 0,
             isPinned = null,
             isDeleted = null,
+            collectionId = null,
+            excludeCollections = false,
+            filters = null,
             orderBy = 'timestamp',
             orderDirection = 'DESC'
         } = options;
 
-        let sql = 'SELECT * FROM clipboard_items WHERE 1=1';
+        let sql = `SELECT *, ${TAGS_COLUMN} FROM clipboard_items WHERE 1=1`;
         const params = [];
 
+        if (collectionId !== null) {
+            sql += ' AND id IN (SELECT item_id FROM collection_items WHERE collection_id = ?)';
+            params.push(collectionId);
+        }
+
+        // Items on a collection are kept when pruning history
+        if (excludeCollections) {
+            sql += ' AND id NOT IN (SELECT item_id FROM collection_items)';
+        }
+
+        if (filters) {
+            const conditions = this.buildFilterConditions(filters);
+            sql += conditions.sql;
+            params.push(...conditions.params);
+        }
+
         if (isPinned !== null) {
             sql += ' AND is_pinned = ?';
             params.push(isPinned ? 1 : 0);
@@ -241,6 +520,100 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Compile structured search filters (see parseSearchQuery) to SQL conditions
+     * Returns { sql, params } where sql is a series of " AND ..." clauses
+     */
+    buildFilterConditions(filters, prefix = '') {
+        const clauses = [];
+        const params = [];
+        const column = name => `${prefix}${name}`;
+        const likePattern = value => `%${value.replace(/[%_\\]/g, '\\$&')}%`;
+        const sizeOperators = ['>', '>=', '<', '<=', '=', '!='];
+
+        if (filters.types && filters.types.length > 0) {
+            clauses.push(`${column('type')} IN (${filters.types.map(() => '?').join(', ')})`);
+            params.push(...filters.types);
+        }
+
+        if (filters.excludedTypes && filters.excludedTypes.length > 0) {
+            clauses.push(`${column('type')} NOT IN (${filters.excludedTypes.map(() => '?').join(', ')})`);
+            params.push(...filters.excludedTypes);
+        }
+
+        if (filters.contentTypes && filters.contentTypes.length > 0) {
+            clauses.push(`${column('content_type')} IN (${filters.contentTypes.map(() => '?').join(', ')})`);
+            params.push(...filters.contentTypes);
+        }
+
+        if (filters.excludedContentTypes && filters.excludedContentTypes.length > 0) {
+            clauses.push(`(${column('content_type')} IS NULL OR ${column('content_type')} NOT IN (${filters.excludedContentTypes.map(() => '?').join(', ')}))`);
+            params.push(...filters.excludedContentTypes);
+        }
+
+        if (filters.languages && filters.languages.length > 0) {
+            clauses.push(`${column('code_language')} IN (${filters.languages.map(() => '?').join(', ')})`);
+            params.push(...filters.languages);
+        }
+
+        if (filters.excludedLanguages && filters.excludedLanguages.length > 0) {
+            clauses.push(`(${column('code_language')} IS NULL OR ${column('code_language')} NOT IN (${filters.excludedLanguages.map(() => '?').join(', ')}))`);
+            params.push(...filters.excludedLanguages);
+        }
+
+        if (filters.apps && filters.apps.length > 0) {
+            clauses.push(`(${filters.apps.map(() => `${column('source_application')} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+            params.push(...filters.apps.map(likePattern));
+        }
+
+        for (const app of filters.excludedApps || []) {
+            clauses.push(`(${column('source_application')} IS NULL OR ${column('source_application')} NOT LIKE ? ESCAPE '\\')`);
+            params.push(likePattern(app));
+        }
+
+        if (filters.isPinned !== null && filters.isPinned !== undefined) {
+            clauses.push(`${column('is_pinned')} = ?`);
+            params.push(filters.isPinned ? 1 : 0);
+        }
+
+        if (filters.after !== null && filters.after !== undefined) {
+            clauses.push(`${column('timestamp')} >= ?`);
+            params.push(filters.after);
+        }
+
+        if (filters.before !== null && filters.before !== undefined) {
+            clauses.push(`${column('timestamp')} < ?`);
+            params.push(filters.before);
+        }
+
+        // Each tag must be present (tags are matched case-insensitively)
+        const tagged = `${column('id')} IN (SELECT item_tags.item_id FROM item_tags
+            JOIN tags ON tags.id = item_tags.tag_id WHERE tags.name = ?)`;
+
+        for (const tag of filters.tags || []) {
+            clauses.push(tagged);
+            params.push(tag);
+        }
+
+        for (const tag of filters.excludedTags || []) {
+            clauses.push(`NOT ${tagged}`);
+            params.push(tag);
+        }
+
+        for (const size of filters.sizes || []) {
+            if (!sizeOperators.includes(size.op)) {
+                throw new Error(`Invalid size operator: ${size.op}`);
+            }
+            clauses.push(`${column('file_size')} ${size.op} ?`);
+            params.push(size.bytes);
+        }
+
+        return {
+            sql: clauses.map(clause => ` AND ${clause}`).join(''),
+            params
+        };
+    }
+
     /**
      * Get a single item by ID
      */
@@ -250,7 +623,7 @@ class DatabaseManager {
         }
         
         try {
-            const stmt = this.db.prepare('SELECT * FROM clipboard_items WHERE id = ?');
+            const stmt = this.db.prepare(`SELECT *, ${TAGS_COLUMN} FROM clipboard_items WHERE id = ?`);
             const row = stmt.get(id);
             return row ? this.rowToItem(row) : null;
         } catch (error) {
@@ -261,21 +634,64 @@ class DatabaseManager {
 
     /**
      * Search items by text content
+     * Uses the FTS5 index with BM25 ranking; each result has a `snippet` with matches
+     * wrapped in \u0001...\u0002 markers.
+     * `options.filters` narrows results with structured filters (see parseSearchQuery).
      */
     search(query, options = {}) {
         if (typeof query !== 'string') {
             throw new Error('Invalid search query');
         }
-        
+
+        const { limit = 50, offset = 0, isDeleted = false, filters = null } = options;
+        const conditions = filters
+            ? this.buildFilterConditions(filters, 'clipboard_items.')
+            : { sql: '', params: [] };
+
+        // FTS5 can't express a query made only of exclusions, and can't see into encrypted
+        // content - filter recent items instead
+        const ftsQuery = toFtsQuery(query);
+        if (!ftsQuery || this.isEncrypted()) {
+            return this.query({ isDeleted, filters, limit: 10000 })
+                .filter(item => matchesText(`${item.plainText || ''}\n${(item.filePaths || []).join('\n')}`, query))
+                .slice(offset, offset + limit);
+        }
+
+        const sql = `
+            SELECT clipboard_items.*, ${TAGS_COLUMN},
+                snippet(clipboard_items_fts, -1, char(1), char(2), '…', 16) AS snippet
+            FROM clipboard_items_fts
+            JOIN clipboard_items ON clipboard_items.rowid = clipboard_items_fts.rowid
+            WHERE clipboard_items_fts MATCH ?
+            AND clipboard_items.is_deleted = ?${conditions.sql}
+            ORDER BY bm25(clipboard_items_fts, 10.0, 5.0, 1.0), clipboard_items.timestamp DESC
+            LIMIT ? OFFSET ?
+        `;
+
+        try {
+            const stmt = this.db.prepare(sql);
+            const rows = stmt.all(ftsQuery, isDeleted ? 1 : 0, ...conditions.params, limit, offset);
+            return rows.map(row => ({ ...this.rowToItem(row), snippet: row.snippet }));
+        } catch (error) {
+            console.error('Full-text search failed, falling back to substring search:', error);
+            return this.searchLike(query, options);
+        }
+    }
+
+    /**
+     * Search items by substring (no ranking)
+     */
+    searchLike(query, options = {}) {
         // Sanitize query to prevent SQL injection
-        const sanitizedQuery = query.replace(/[%_]/g, '\\$&');
+        const sanitizedQuery = query.replace(/[%_\\]/g, '\\$&');
         
-        const { limit = 50, offset = 0, isDeleted = false } = options;
+        const { limit = 50, offset = 0, isDeleted = false, filters = null } = options;
+        const conditions = filters ? this.buildFilterConditions(filters) : { sql: '', params: [] };
 
         const sql = `
-            SELECT * FROM clipboard_items 
+            SELECT *, ${TAGS_COLUMN} FROM clipboard_items 
             WHERE is_deleted = ? 
-            AND (plain_text LIKE ? ESCAPE '\\' OR file_paths LIKE ? ESCAPE '\\')
+            AND (plain_text LIKE ? ESCAPE '\\' OR file_paths LIKE ? ESCAPE '\\')${conditions.sql}
             ORDER BY timestamp DESC
             LIMIT ? OFFSET ?
         `;
@@ -283,7 +699,7 @@ class DatabaseManager {
         try {
             const searchPattern = `%${sanitizedQuery}%`;
             const stmt = this.db.prepare(sql);
-            const rows = stmt.all(isDeleted ? 1 : 0, searchPattern, searchPattern, limit, offset);
+            const rows = stmt.all(isDeleted ? 1 : 0, searchPattern, searchPattern, ...conditions.params, limit, offset);
             return rows.map(row => this.rowToItem(row));
         } catch (error) {
             console.error('Search failed:', error);
@@ -297,7 +713,9 @@ class DatabaseManager {
     update(id, updates) {
         const allowedFields = [
             'is_pinned', 'is_deleted', 'plain_text', 'rich_text',
-            'image_data', 'thumbnail_data', 'file_paths', 'color_value'
+            'image_data', 'thumbnail_data', 'file_paths', 'color_value',
+            'is_sensitive', 'expires_at', 'type', 'content_hash', 'file_size',
+            'content_type', 'code_language'
         ];
 
         const fields = [];
@@ -318,6 +736,15 @@ class DatabaseManager {
                     value = JSON.stringify(value);
                 }
 
+                // Content columns are stored encrypted when encryption is on
+                if (dbKey === 'plain_text' || dbKey === 'rich_text' || dbKey === 'file_paths') {
+                    value = this.encryptText(value);
+                } else if (dbKey === 'image_data' || dbKey === 'thumbnail_data') {
+                    value = this.encryptBuffer(value);
+                } else if (dbKey === 'content_hash') {
+                    value = this.protectHash(value);
+                }
+
                 values.push(value);
             }
         });
@@ -339,6 +766,19 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Move an item to another point in the history (update() leaves timestamps alone)
+     */
+    setTimestamp(id, timestamp) {
+        try {
+            const stmt = this.db.prepare('UPDATE clipboard_items SET timestamp = ? WHERE id = ?');
+            return stmt.run(timestamp, id).changes > 0;
+        } catch (error) {
+            console.error('Set timestamp failed:', error);
+            throw new Error(`Set timestamp failed: ${error.message}`);
+        }
+    }
+
     /**
      * Delete items permanently
      */
@@ -400,7 +840,7 @@ class DatabaseManager {
     existsByHash(contentHash) {
         try {
             const stmt = this.db.prepare('SELECT id FROM clipboard_items WHERE content_hash = ? AND is_deleted = 0 LIMIT 1');
-            const row = stmt.get(contentHash);
+            const row = stmt.get(this.protectHash(contentHash));
             return row ? row.id : null;
         } catch (error) {
             console.error('Exists by hash check failed:', error);
@@ -408,6 +848,383 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Permanently delete items whose expiry time has passed (including trashed copies)
+     * Returns the deleted rows
+     */
+    deleteExpired(now = Date.now()) {
+        try {
+            const rows = this.db.prepare(
+                'SELECT * FROM clipboard_items WHERE expires_at IS NOT NULL AND expires_at <= ?'
+            ).all(now);
+
+            if (rows.length > 0) {
+                this.delete(rows.map(row => row.id));
+            }
+
+            return rows.map(row => this.rowToItem(row));
+        } catch (error) {
+            console.error('Delete expired failed:', error);
+            throw new Error(`Delete expired failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Insert a new snippet
+     */
+    insertSnippet(snippet) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO snippets (id, name, content, created_at, updated_at, use_count, last_used_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `);
+            const result = stmt.run(
+                snippet.id,
+                snippet.name,
+                snippet.content,
+                snippet.createdAt,
+                snippet.updatedAt,
+                snippet.useCount || 0,
+                snippet.lastUsedAt || null
+            );
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Insert snippet failed:', error);
+            throw new Error(`Insert snippet failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get all snippets, most used first
+     */
+    getSnippets() {
+        try {
+            const rows = this.db.prepare(
+                'SELECT * FROM snippets ORDER BY use_count DESC, name COLLATE NOCASE ASC'
+            ).all();
+            return rows.map(row => this.rowToSnippet(row));
+        } catch (error) {
+            console.error('Get snippets failed:', error);
+            throw new Error(`Get snippets failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a single snippet by ID
+     */
+    getSnippetById(id) {
+        if (typeof id !== 'string' || !id) {
+            throw new Error('Invalid ID');
+        }
+
+        try {
+            const row = this.db.prepare('SELECT * FROM snippets WHERE id = ?').get(id);
+            return row ? this.rowToSnippet(row) : null;
+        } catch (error) {
+            console.error('Get snippet failed:', error);
+            throw new Error(`Get snippet failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a snippet's name and/or content
+     */
+    updateSnippet(id, updates) {
+        const fields = [];
+        const values = [];
+
+        if (updates.name !== undefined) {
+            fields.push('name = ?');
+            values.push(updates.name);
+        }
+        if (updates.content !== undefined) {
+            fields.push('content = ?');
+            values.push(updates.content);
+        }
+
+        if (fields.length === 0) {
+            return false;
+        }
+
+        fields.push('updated_at = ?');
+        values.push(Date.now(), id);
+
+        try {
+            const stmt = this.db.prepare(`UPDATE snippets SET ${fields.join(', ')} WHERE id = ?`);
+            return stmt.run(...values).changes > 0;
+        } catch (error) {
+            console.error('Update snippet failed:', error);
+            throw new Error(`Update snippet failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record that a snippet was used
+     */
+    recordSnippetUse(id, timestamp = Date.now()) {
+        try {
+            const stmt = this.db.prepare('UPDATE snippets SET use_count = use_count + 1, last_used_at = ? WHERE id = ?');
+            return stmt.run(timestamp, id).changes > 0;
+        } catch (error) {
+            console.error('Record snippet use failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete a snippet
+     */
+    deleteSnippet(id) {
+        try {
+            return this.db.prepare('DELETE FROM snippets WHERE id = ?').run(id).changes > 0;
+        } catch (error) {
+            console.error('Delete snippet failed:', error);
+            throw new Error(`Delete snippet failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get all tags with the number of (non-deleted) items using them, most used first
+     */
+    getTags() {
+        try {
+            const rows = this.db.prepare(`
+                SELECT tags.name, COUNT(clipboard_items.id) AS item_count
+                FROM tags
+                LEFT JOIN item_tags ON item_tags.tag_id = tags.id
+                LEFT JOIN clipboard_items ON clipboard_items.id = item_tags.item_id
+                    AND clipboard_items.is_deleted = 0
+                GROUP BY tags.id
+                ORDER BY item_count DESC, tags.name COLLATE NOCASE ASC
+            `).all();
+            return rows.map(row => ({ name: row.name, itemCount: row.item_count }));
+        } catch (error) {
+            console.error('Get tags failed:', error);
+            throw new Error(`Get tags failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add tags to items, creating tags that don't exist yet
+     * Returns the number of tags added
+     */
+    addTags(itemIds, names) {
+        try {
+            const insertTag = this.db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+            const tagItem = this.db.prepare(`
+                INSERT OR IGNORE INTO item_tags (item_id, tag_id)
+                SELECT clipboard_items.id, tags.id FROM clipboard_items, tags
+                WHERE clipboard_items.id = ? AND tags.name = ?
+            `);
+            const add = this.db.transaction(() => {
+                let count = 0;
+                for (const name of names) {
+                    insertTag.run(name);
+                    for (const itemId of itemIds) {
+                        count += tagItem.run(itemId, name).changes;
+                    }
+                }
+                return count;
+            });
+            return add();
+        } catch (error) {
+            console.error('Add tags failed:', error);
+            throw new Error(`Add tags failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a tag from items; tags no longer used by any item are deleted
+     */
+    removeTag(itemIds, name) {
+        const placeholders = itemIds.map(() => '?').join(',');
+
+        try {
+            const remove = this.db.transaction(() => {
+                const result = this.db.prepare(`
+                    DELETE FROM item_tags
+                    WHERE item_id IN (${placeholders})
+                    AND tag_id = (SELECT id FROM tags WHERE name = ?)
+                `).run(...itemIds, name);
+                this.db.prepare(
+                    'DELETE FROM tags WHERE name = ? AND id NOT IN (SELECT tag_id FROM item_tags)'
+                ).run(name);
+                return result.changes;
+            });
+            return remove();
+        } catch (error) {
+            console.error('Remove tag failed:', error);
+            throw new Error(`Remove tag failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get all collections in display order, with their item counts
+     */
+    getCollections() {
+        try {
+            const rows = this.db.prepare(`
+                SELECT collections.*, COUNT(clipboard_items.id) AS item_count
+                FROM collections
+                LEFT JOIN collection_items ON collection_items.collection_id = collections.id
+                LEFT JOIN clipboard_items ON clipboard_items.id = collection_items.item_id
+                    AND clipboard_items.is_deleted = 0
+                GROUP BY collections.id
+                ORDER BY collections.position ASC, collections.created_at ASC
+            `).all();
+            return rows.map(row => this.rowToCollection(row));
+        } catch (error) {
+            console.error('Get collections failed:', error);
+            throw new Error(`Get collections failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Insert a new collection at the end of the list
+     */
+    insertCollection(collection) {
+        try {
+            const { position } = this.db.prepare(
+                'SELECT COALESCE(MAX(position) + 1, 0) AS position FROM collections'
+            ).get();
+            const stmt = this.db.prepare(
+                'INSERT INTO collections (id, name, color, position, created_at) VALUES (?, ?, ?, ?, ?)'
+            );
+            stmt.run(collection.id, collection.name, collection.color, position, collection.createdAt);
+            return { ...collection, position, itemCount: 0 };
+        } catch (error) {
+            console.error('Insert collection failed:', error);
+            throw new Error(`Insert collection failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a collection's name and/or color
+     */
+    updateCollection(id, updates) {
+        const fields = [];
+        const values = [];
+
+        if (updates.name !== undefined) {
+            fields.push('name = ?');
+            values.push(updates.name);
+        }
+        if (updates.color !== undefined) {
+            fields.push('color = ?');
+            values.push(updates.color);
+        }
+
+        if (fields.length === 0) {
+            return false;
+        }
+
+        values.push(id);
+
+        try {
+            const stmt = this.db.prepare(`UPDATE collections SET ${fields.join(', ')} WHERE id = ?`);
+            return stmt.run(...values).changes > 0;
+        } catch (error) {
+            console.error('Update collection failed:', error);
+            throw new Error(`Update collection failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set collection order from a list of IDs
+     */
+    reorderCollections(ids) {
+        try {
+            const stmt = this.db.prepare('UPDATE collections SET position = ? WHERE id = ?');
+            const reorder = this.db.transaction((orderedIds) => {
+                orderedIds.forEach((id, index) => stmt.run(index, id));
+            });
+            reorder(ids);
+            return true;
+        } catch (error) {
+            console.error('Reorder collections failed:', error);
+            throw new Error(`Reorder collections failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a collection (its items stay in history)
+     */
+    deleteCollection(id) {
+        try {
+            return this.db.prepare('DELETE FROM collections WHERE id = ?').run(id).changes > 0;
+        } catch (error) {
+            console.error('Delete collection failed:', error);
+            throw new Error(`Delete collection failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add items to a collection (items already on it are ignored)
+     * Returns the number of items added
+     */
+    addToCollection(collectionId, itemIds) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT OR IGNORE INTO collection_items (collection_id, item_id, added_at)
+                SELECT ?, id, ? FROM clipboard_items WHERE id = ?
+            `);
+            const add = this.db.transaction((ids) => {
+                const now = Date.now();
+                return ids.reduce((count, itemId) => count + stmt.run(collectionId, now, itemId).changes, 0);
+            });
+            return add(itemIds);
+        } catch (error) {
+            console.error('Add to collection failed:', error);
+            throw new Error(`Add to collection failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove items from a collection
+     */
+    removeFromCollection(collectionId, itemIds) {
+        const placeholders = itemIds.map(() => '?').join(',');
+
+        try {
+            const stmt = this.db.prepare(
+                `DELETE FROM collection_items WHERE collection_id = ? AND item_id IN (${placeholders})`
+            );
+            return stmt.run(collectionId, ...itemIds).changes;
+        } catch (error) {
+            console.error('Remove from collection failed:', error);
+            throw new Error(`Remove from collection failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert database row to collection object
+     */
+    rowToCollection(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            color: row.color,
+            position: row.position,
+            createdAt: row.created_at,
+            itemCount: row.item_count
+        };
+    }
+
+    /**
+     * Convert database row to snippet object
+     */
+    rowToSnippet(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            content: row.content,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            useCount: row.use_count,
+            lastUsedAt: row.last_used_at
+        };
+    }
+
     /**
      * Convert database row to ClipboardItem object
      */
@@ -419,11 +1236,11 @@ class DatabaseManager {
             isPinned: row.is_pinned === 1,
             isDeleted: row.is_deleted === 1,
             contentHash: row.content_hash,
-            plainText: row.plain_text,
-            richText: row.rich_text,
-            imageData: row.image_data,
-            thumbnailData: row.thumbnail_data,
-            filePaths: row.file_paths ? JSON.parse(row.file_paths) : null,
+            plainText: this.decryptText(row.plain_text),
+            richText: this.decryptText(row.rich_text),
+            imageData: this.decryptBuffer(row.image_data),
+            thumbnailData: this.decryptBuffer(row.thumbnail_data),
+            filePaths: this.parseFilePaths(this.decryptText(row.file_paths)),
             colorValue: row.color_value,
             sourceApplication: row.source_application,
             fileSize: row.file_size,
@@ -431,10 +1248,124 @@ class DatabaseManager {
             fileTypes: row.file_types,
             isAllImages: row.is_all_images,
             imagePath: row.image_path,
-            thumbnailPath: row.thumbnail_path
+            thumbnailPath: row.thumbnail_path,
+            isSensitive: row.is_sensitive === 1,
+            expiresAt: row.expires_at,
+            tags: row.tags ? row.tags.split('\u001f').sort() : [],
+            contentType: row.content_type || null,
+            codeLanguage: row.code_language || null
         };
     }
 
+    parseFilePaths(value) {
+        try {
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Re-create the full-text index from the rows it should hold (see isIndexed)
+     * 'delete-all' empties the index's shadow tables, so no tokens of earlier content stay behind
+     * in old segments (an FTS5 'delete' only marks them)
+     */
+    rebuildSearchIndex() {
+        this.db.exec(`
+            INSERT INTO clipboard_items_fts(clipboard_items_fts) VALUES ('delete-all');
+            INSERT INTO clipboard_items_fts(rowid, plain_text, file_paths, source_application)
+                SELECT rowid, plain_text, file_paths, source_application FROM clipboard_items WHERE ${isIndexed('clipboard_items')};
+            INSERT INTO clipboard_items_fts(clipboard_items_fts) VALUES ('optimize');
+        `);
+    }
+
+    /**
+     * Whether any item content is still stored encrypted (enc:v1: text or PBE1 BLOBs, see encryption.js)
+     */
+    hasEncryptedContent() {
+        const row = this.db.prepare(`
+            SELECT 1 FROM clipboard_items
+            WHERE plain_text LIKE 'enc:v1:%' OR rich_text LIKE 'enc:v1:%' OR file_paths LIKE 'enc:v1:%'
+                OR substr(image_data, 1, 4) = X'50424531' OR substr(thumbnail_data, 1, 4) = X'50424531'
+            LIMIT 1
+        `).get();
+        return Boolean(row);
+    }
+
+    /**
+     * Rewrite every item's content after encryption was turned on or off
+     * Turning it on keys the content hashes; turning it off recomputes text hashes
+     * (other hashes stay keyed, so those items just won't dedupe against new copies)
+     * Rows that can't be decrypted are left untouched
+     * Returns { converted, failed }
+     */
+    convertEncryption() {
+        const encrypt = this.isEncrypted();
+        const rows = this.db.prepare(
+            'SELECT id, type, content_hash, plain_text, rich_text, file_paths, image_data, thumbnail_data FROM clipboard_items'
+        ).all();
+        const stmt = this.db.prepare(`
+            UPDATE clipboard_items
+            SET content_hash = ?, plain_text = ?, rich_text = ?, file_paths = ?, image_data = ?, thumbnail_data = ?
+            WHERE id = ?
+        `);
+
+        // A value that was there but decrypts to null can't be read with the current key
+        const unreadable = (stored, decrypted) => stored !== null && stored !== undefined && decrypted === null;
+        let converted = 0;
+        let failed = 0;
+
+        const convert = this.db.transaction(() => {
+            for (const row of rows) {
+                const plainText = this.decryptText(row.plain_text);
+                const richText = this.decryptText(row.rich_text);
+                const filePaths = this.decryptText(row.file_paths);
+                const imageData = this.decryptBuffer(row.image_data);
+                const thumbnailData = this.decryptBuffer(row.thumbnail_data);
+                if (unreadable(row.plain_text, plainText) || unreadable(row.rich_text, richText) ||
+                    unreadable(row.file_paths, filePaths) || unreadable(row.image_data, imageData) ||
+                    unreadable(row.thumbnail_data, thumbnailData)) {
+                    failed++;
+                    continue;
+                }
+                let contentHash = row.content_hash;
+
+                if (encrypt) {
+                    contentHash = this.protectHash(contentHash);
+                } else if (row.type === 'text' || row.type === 'richText') {
+                    // Same hashing as ClipboardMonitor.generateContentHash
+                    contentHash = crypto.createHash('sha256').update(richText || plainText || '').digest('hex');
+                }
+
+                stmt.run(
+                    contentHash,
+                    this.encryptText(plainText),
+                    this.encryptText(richText),
+                    this.encryptText(filePaths),
+                    this.encryptBuffer(imageData),
+                    this.encryptBuffer(thumbnailData),
+                    row.id
+                );
+                converted++;
+            }
+        });
+
+        try {
+            convert();
+            this.rebuildSearchIndex();
+
+            // Rewrite the file so no copy of the old content survives in free pages or the WAL
+            // (VACUUM goes through the WAL too, so the file only changes at the second checkpoint)
+            this.db.pragma('wal_checkpoint(TRUNCATE)');
+            this.db.exec('VACUUM');
+            this.db.pragma('wal_checkpoint(TRUNCATE)');
+            return { converted, failed };
+        } catch (error) {
+            console.error('Encryption conversion failed:', error);
+            throw new Error(`Encryption conversion failed: ${error.message}`);
+        }
+    }
+
     /**
      * Convert camelCase to snake_case
      */
@@ -0,0 +1,192 @@
+const { safeStorage } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const TEXT_PREFIX = 'enc:v1:'; // Marks encrypted column values
+const BUFFER_MAGIC = Buffer.from('PBE1'); // Marks encrypted files and BLOBs
+
+/**
+ * EncryptionManager - AES-256-GCM encryption of clipboard content at rest
+ * The data key is random and stored in userData wrapped by Electron safeStorage
+ * (the macOS Keychain), so the database and image files are unreadable without it.
+ * Encrypted values are self-describing, so plaintext left from before encryption
+ * was turned on still reads correctly.
+ */
+class EncryptionManager {
+    constructor(userDataPath) {
+        this.keyPath = path.join(userDataPath, 'pastebro.key');
+        this.key = null;
+        this.isActive = false; // Whether new writes are encrypted
+    }
+
+    isAvailable() {
+        try {
+            return safeStorage.isEncryptionAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    hasKey() {
+        return this.key !== null;
+    }
+
+    /**
+     * Load the existing key, if any (needed to read data even while encryption is off)
+     */
+    loadKey() {
+        if (this.key || !fs.existsSync(this.keyPath)) {
+            return this.hasKey();
+        }
+
+        try {
+            const wrapped = fs.readFileSync(this.keyPath);
+            this.key = Buffer.from(safeStorage.decryptString(wrapped), 'base64');
+        } catch (error) {
+            console.error('Failed to unlock encryption key:', error);
+        }
+        return this.hasKey();
+    }
+
+    /**
+     * Start encrypting new writes, creating the key on first use
+     * Returns false when the OS keychain is unavailable
+     */
+    activate() {
+        if (!this.isAvailable()) {
+            return false;
+        }
+
+        if (!this.loadKey()) {
+            if (fs.existsSync(this.keyPath)) {
+                // The key exists but can't be unlocked - never replace it, that would orphan the data
+                return false;
+            }
+
+            const key = crypto.randomBytes(32);
+            fs.writeFileSync(this.keyPath, safeStorage.encryptString(key.toString('base64')), { mode: 0o600 });
+            this.key = key;
+        }
+
+        this.isActive = true;
+        return true;
+    }
+
+    deactivate() {
+        this.isActive = false;
+    }
+
+    /**
+     * Delete the key once nothing is encrypted with it anymore
+     */
+    forgetKey() {
+        this.isActive = false;
+        this.key = null;
+        try {
+            fs.rmSync(this.keyPath, { force: true });
+        } catch (error) {
+            console.error('Failed to delete encryption key:', error);
+        }
+    }
+
+    encryptBytes(data) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+    }
+
+    decryptBytes(data) {
+        const iv = data.subarray(0, IV_LENGTH);
+        const tag = data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+        const decipher = crypto.createDecipheriv(ALGORITHM, this.key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+    }
+
+    isEncryptedText(value) {
+        return typeof value === 'string' && value.startsWith(TEXT_PREFIX);
+    }
+
+    isEncryptedBuffer(value) {
+        return Buffer.isBuffer(value) && value.subarray(0, BUFFER_MAGIC.length).equals(BUFFER_MAGIC);
+    }
+
+    /**
+     * Encrypt a text value when active (null and non-strings pass through)
+     */
+    encryptText(value) {
+        if (!this.isActive || typeof value !== 'string' || this.isEncryptedText(value)) {
+            return value;
+        }
+        return TEXT_PREFIX + this.encryptBytes(Buffer.from(value, 'utf8')).toString('base64');
+    }
+
+    /**
+     * Decrypt a text value; plaintext passes through, unreadable values become null
+     */
+    decryptText(value) {
+        if (!this.isEncryptedText(value)) {
+            return value;
+        }
+        if (!this.key) {
+            return null;
+        }
+
+        try {
+            return this.decryptBytes(Buffer.from(value.substring(TEXT_PREFIX.length), 'base64')).toString('utf8');
+        } catch (error) {
+            console.error('Failed to decrypt value:', error.message);
+            return null;
+        }
+    }
+
+    encryptBuffer(value) {
+        if (!this.isActive || !Buffer.isBuffer(value) || this.isEncryptedBuffer(value)) {
+            return value;
+        }
+        return Buffer.concat([BUFFER_MAGIC, this.encryptBytes(value)]);
+    }
+
+    decryptBuffer(value) {
+        if (!this.isEncryptedBuffer(value)) {
+            return value;
+        }
+        if (!this.key) {
+            return null;
+        }
+
+        try {
+            return this.decryptBytes(value.subarray(BUFFER_MAGIC.length));
+        } catch (error) {
+            console.error('Failed to decrypt data:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Identifies the key without revealing it (recorded in backups, to tell whether they can be read)
+     */
+    getKeyFingerprint() {
+        if (!this.key) {
+            return null;
+        }
+        return crypto.createHmac('sha256', this.key).update('pastebro-key-fingerprint').digest('hex');
+    }
+
+    /**
+     * Keyed hash for content hashes, so stored hashes can't confirm guesses of short secrets
+     */
+    hashKey(hash) {
+        if (!this.isActive || typeof hash !== 'string') {
+            return hash;
+        }
+        return crypto.createHmac('sha256', this.key).update(hash).digest('hex');
+    }
+}
+
+module.exports = EncryptionManager;
@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAX_TEXT_FILE_SIZE = 1024 * 1024; // Larger files are never previewed
+const MAX_TEXT_PREVIEW_BYTES = 64 * 1024; // Only the start of a text file is read
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.svg', '.ico'];
+
+/**
+ * Read the start of a file as text, or null when it looks binary
+ */
+async function readTextPreview(filePath, size) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const length = Math.min(size, MAX_TEXT_PREVIEW_BYTES);
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        const bytes = buffer.subarray(0, bytesRead);
+
+        if (bytes.includes(0)) {
+            return null;
+        }
+
+        try {
+            // stream: true tolerates a multi-byte character cut off at the read limit
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: bytesRead < size });
+        } catch (error) {
+            return null;
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Metadata for a file referenced by a clipboard item
+ * Returns { path, name, exists, isDirectory, size, modified, isImage, text, truncated };
+ * text is only read when includePreview is set and the file is small and looks like text
+ */
+async function getFileInfo(filePath, { includePreview = false } = {}) {
+    const info = {
+        path: filePath,
+        name: path.basename(filePath) || filePath,
+        exists: false,
+        isDirectory: false,
+        size: null,
+        modified: null,
+        isImage: IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()),
+        text: null,
+        truncated: false
+    };
+
+    let stats;
+    try {
+        stats = await fs.stat(filePath);
+    } catch (error) {
+        return info;
+    }
+
+    info.exists = true;
+    info.isDirectory = stats.isDirectory();
+    info.size = info.isDirectory ? null : stats.size;
+    info.modified = stats.mtimeMs;
+
+    if (includePreview && stats.isFile() && !info.isImage && stats.size <= MAX_TEXT_FILE_SIZE) {
+        try {
+            info.text = await readTextPreview(filePath, stats.size);
+            info.truncated = info.text !== null && stats.size > MAX_TEXT_PREVIEW_BYTES;
+        } catch (error) {
+            console.error('Error reading file preview:', error);
+        }
+    }
+
+    return info;
+}
+
+module.exports = {
+    getFileInfo
+};
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * History archives - portable exports that include image files
+ * A gzipped tar holding manifest.json ({ version, exportDate, items }) followed by
+ * images/<file> and thumbnails/<file>. Item image paths in the manifest point at
+ * those archive entries and are rewritten to the local store on import.
+ */
+
+const ARCHIVE_VERSION = 2;
+const MANIFEST_NAME = 'manifest.json';
+const BLOCK_SIZE = 512;
+const MAX_ENTRY_SIZE = 512 * 1024 * 1024; // Refuse entries that can't be an image or manifest
+
+function tarHeader(name, size, mtime) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    header.write(name, 0, 100, 'utf8');
+    header.write('0000644\0', 100, 'ascii'); // mode
+    header.write('0000000\0', 108, 'ascii'); // uid
+    header.write('0000000\0', 116, 'ascii'); // gid
+    header.write(size.toString(8).padStart(11, '0') + '\0', 124, 'ascii');
+    header.write(Math.floor(mtime / 1000).toString(8).padStart(11, '0') + '\0', 136, 'ascii');
+    header.write('        ', 148, 'ascii'); // checksum placeholder
+    header.write('0', 156, 'ascii'); // regular file
+    header.write('ustar\0' + '00', 257, 'ascii');
+
+    let checksum = 0;
+    for (const byte of header) {
+        checksum += byte;
+    }
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 'ascii');
+    return header;
+}
+
+function readString(buffer, start, length) {
+    const end = buffer.indexOf(0, start);
+    return buffer.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+/**
+ * Write a gzipped tar from an (async) iterable of { name, data } entries
+ */
+async function writeTar(filePath, entries) {
+    const gzip = zlib.createGzip();
+    const output = fs.createWriteStream(filePath);
+    const finished = new Promise((resolve, reject) => {
+        output.on('finish', resolve);
+        output.on('error', reject);
+        gzip.on('error', reject);
+    });
+    gzip.pipe(output);
+
+    const write = (chunk) => new Promise(resolve => {
+        if (gzip.write(chunk)) {
+            resolve();
+        } else {
+            gzip.once('drain', resolve);
+        }
+    });
+
+    const now = Date.now();
+    for await (const { name, data } of entries) {
+        await write(tarHeader(name, data.length, now));
+        await write(data);
+        const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding > 0) {
+            await write(Buffer.alloc(padding));
+        }
+    }
+
+    // Two empty blocks end the archive
+    gzip.end(Buffer.alloc(BLOCK_SIZE * 2));
+    await finished;
+}
+
+/**
+ * Read the entries of a gzipped tar one at a time as { name, data }
+ * Only the current entry is held in memory
+ */
+async function* readTar(filePath) {
+    const source = fs.createReadStream(filePath);
+    const input = source.pipe(zlib.createGunzip());
+    let chunks = [];
+    let buffered = 0;
+
+    const take = (length) => {
+        const all = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, buffered);
+        chunks = all.length > length ? [all.subarray(length)] : [];
+        buffered = all.length - length;
+        return all.subarray(0, length);
+    };
+
+    let header = null;
+    try {
+        for await (const chunk of input) {
+            chunks.push(chunk);
+            buffered += chunk.length;
+
+            while (true) {
+                if (!header) {
+                    if (buffered < BLOCK_SIZE) break;
+                    const block = take(BLOCK_SIZE);
+                    if (block.every(byte => byte === 0)) {
+                        return;
+                    }
+
+                    const size = parseInt(readString(block, 124, 12).trim() || '0', 8);
+                    if (!Number.isFinite(size) || size < 0 || size > MAX_ENTRY_SIZE) {
+                        throw new Error('Invalid archive');
+                    }
+                    const prefix = readString(block, 345, 155);
+                    const name = readString(block, 0, 100);
+                    header = {
+                        name: prefix ? `${prefix}/${name}` : name,
+                        type: String.fromCharCode(block[156] || 48),
+                        size,
+                        paddedSize: Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE
+                    };
+                }
+
+                if (buffered < header.paddedSize) break;
+                const data = Buffer.from(take(header.paddedSize).subarray(0, header.size));
+                const entry = header;
+                header = null;
+
+                // Only regular files matter (skips directories and extended headers)
+                if (entry.type === '0') {
+                    yield { name: entry.name, data };
+                }
+            }
+        }
+    } finally {
+        // Also closes the file when the caller stops early
+        source.destroy();
+    }
+
+    if (header) {
+        throw new Error('Archive is truncated');
+    }
+}
+
+/**
+ * Export items and their image files to an archive
+ * readImage(storedPath) returns the (decrypted) file contents
+ * Returns the number of image files written
+ */
+async function writeHistoryArchive(filePath, items, readImage) {
+    const files = new Map(); // archive name -> stored path
+    const archiveName = (storedPath, directory) => {
+        if (!storedPath) {
+            return null;
+        }
+        const name = `${directory}/${path.basename(storedPath)}`;
+        files.set(name, storedPath);
+        return name;
+    };
+
+    const manifestItems = items.map(item => ({
+        ...item,
+        imagePath: archiveName(item.imagePath, 'images'),
+        thumbnailPath: archiveName(item.thumbnailPath, 'thumbnails')
+    }));
+    const manifest = { version: ARCHIVE_VERSION, exportDate: Date.now(), items: manifestItems };
+
+    let written = 0;
+    async function* entries() {
+        yield { name: MANIFEST_NAME, data: Buffer.from(JSON.stringify(manifest)) };
+
+        for (const [name, storedPath] of files) {
+            try {
+                const data = await readImage(storedPath);
+                if (data) {
+                    written++;
+                    yield { name, data };
+                }
+            } catch (error) {
+                // The manifest still names it; import treats it as missing
+                console.error(`Failed to export ${name}:`, error.message);
+            }
+        }
+    }
+
+    await writeTar(filePath, entries());
+    return written;
+}
+
+/**
+ * Read an archive: image files are handed to storeImage(directory, fileName, data), which
+ * returns their local path, and the manifest items come back with paths rewritten
+ * (null for images missing from the archive)
+ * Without storeImage only the manifest is read (for previewing an import)
+ */
+async function readHistoryArchive(filePath, storeImage = null) {
+    let manifest = null;
+    const stored = new Map(); // archive name -> local path
+
+    for await (const { name, data } of readTar(filePath)) {
+        if (name === MANIFEST_NAME) {
+            manifest = JSON.parse(data.toString('utf8'));
+            if (!storeImage) break;
+            continue;
+        }
+        if (!storeImage) {
+            continue;
+        }
+
+        const match = /^(images|thumbnails)\/([^/]+)$/.exec(name);
+        if (!match) {
+            continue;
+        }
+        try {
+            stored.set(name, await storeImage(match[1], match[2], data));
+        } catch (error) {
+            console.error(`Failed to import ${name}:`, error.message);
+        }
+    }
+
+    if (!manifest || !Array.isArray(manifest.items)) {
+        throw new Error('Invalid export file format');
+    }
+
+    return manifest.items.map(item => ({
+        ...item,
+        imagePath: stored.get(item.imagePath) || null,
+        thumbnailPath: stored.get(item.thumbnailPath) || null
+    }));
+}
+
+/**
+ * Whether a file is a (gzipped) archive rather than a plain JSON export
+ */
+function isHistoryArchive(filePath) {
+    const handle = fs.openSync(filePath, 'r');
+    try {
+        const magic = Buffer.alloc(2);
+        fs.readSync(handle, magic, 0, 2, 0);
+        return magic[0] === 0x1f && magic[1] === 0x8b;
+    } finally {
+        fs.closeSync(handle);
+    }
+}
+
+module.exports = {
+    writeHistoryArchive,
+    readHistoryArchive,
+    isHistoryArchive
+};
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const { ClipboardItem, ClipboardItemType } = require('./clipboardItem');
+const { classifyText } = require('./contentClassifier');
+
+/**
+ * History importers - read exports from PasteBro and other clipboard managers
+ *
+ * Supported files:
+ *   PasteBro JSON exports (archives are read by historyArchive.js)
+ *   JSON arrays of strings or records, CSV/TSV with a header row
+ *   SQLite databases: Maccy, and other Core Data or plain tables with a text column
+ *   plain text, one item per line
+ * Records are mapped by common field names (text/content/value, timestamp/date, pinned/favorite, app/source).
+ */
+
+const SQLITE_MAGIC = 'SQLite format 3\0';
+const CORE_DATA_EPOCH = 978307200; // 2001-01-01 in Unix seconds
+const MAX_RECORDS = 50000;
+
+const TEXT_KEYS = ['plaintext', 'text', 'content', 'contents', 'value', 'string', 'body', 'clip', 'clipping', 'title'];
+const TIME_KEYS = ['timestamp', 'lastcopiedat', 'copiedat', 'firstcopiedat', 'createdat', 'created', 'date', 'datetime', 'time', 'updatedat'];
+const PIN_KEYS = ['ispinned', 'pinned', 'pin', 'isfavorite', 'favorite', 'favourite', 'starred'];
+const APP_KEYS = ['sourceapplication', 'sourceapp', 'application', 'app', 'appname', 'source'];
+
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * First non-empty value among the candidate keys (record keys are compared normalized;
+ * Core Data's Z prefix is ignored)
+ */
+function pickField(fields, keys) {
+    for (const key of keys) {
+        for (const name of [key, `z${key}`]) {
+            const value = fields.get(name);
+            if (value !== undefined && value !== null && value !== '') return value;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Timestamp in ms from ms, Unix seconds, Core Data seconds or a date string
+ */
+function parseTimestamp(value, coreData = false) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+        value = Number(value);
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        if (coreData) return Math.round((value + CORE_DATA_EPOCH) * 1000);
+        return Math.round(value > 1e11 ? value : value * 1000);
+    }
+    const parsed = Date.parse(String(value));
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function parsePinned(value) {
+    if (typeof value === 'string') {
+        // Maccy stores the pin's shortcut letter
+        return !['', '0', 'false', 'no'].includes(value.trim().toLowerCase());
+    }
+    return value === true || value === 1;
+}
+
+function toText(value) {
+    if (Buffer.isBuffer(value)) return value.toString('utf8');
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number') return String(value);
+    return '';
+}
+
+/**
+ * ClipboardItem for an imported text, or null when there's no text
+ */
+function createTextItem({ text, timestamp, isPinned = false, sourceApplication = null, tags = [] }) {
+    if (!text || !text.trim()) {
+        return null;
+    }
+
+    const classification = classifyText(text);
+    return new ClipboardItem({
+        type: ClipboardItemType.TEXT,
+        plainText: text,
+        contentHash: ClipboardItem.generateHash(text, ClipboardItemType.TEXT),
+        timestamp,
+        isPinned,
+        sourceApplication,
+        tags,
+        contentType: classification ? classification.contentType : null,
+        codeLanguage: classification ? classification.language : null
+    });
+}
+
+/**
+ * Map a record (object or string) from another app onto a ClipboardItem
+ * fallbackTime keeps the file's order for records without a date
+ */
+function mapRecord(record, fallbackTime, coreData = false) {
+    if (typeof record === 'string') {
+        return createTextItem({ text: record, timestamp: fallbackTime });
+    }
+    if (!record || typeof record !== 'object') {
+        return null;
+    }
+
+    const fields = new Map(Object.entries(record).map(([key, value]) => [normalizeKey(key), value]));
+    const tags = pickField(fields, ['tags']);
+    const app = toText(pickField(fields, APP_KEYS)).trim();
+
+    return createTextItem({
+        text: toText(pickField(fields, TEXT_KEYS)),
+        timestamp: parseTimestamp(pickField(fields, TIME_KEYS), coreData) || fallbackTime,
+        isPinned: parsePinned(pickField(fields, PIN_KEYS)),
+        sourceApplication: app || null,
+        tags: Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string') : []
+    });
+}
+
+function mapRecords(records, coreData = false) {
+    const now = Date.now();
+    const items = [];
+    let skipped = 0;
+
+    records.slice(0, MAX_RECORDS).forEach((record, index) => {
+        const item = mapRecord(record, now - index * 1000, coreData);
+        if (item) {
+            items.push(item);
+        } else {
+            skipped++;
+        }
+    });
+
+    return { items, skipped: skipped + Math.max(0, records.length - MAX_RECORDS) };
+}
+
+/**
+ * PasteBro JSON export; image paths only survive when the files exist on this Mac
+ */
+function readPasteBroJson(data) {
+    const items = [];
+    let skipped = 0;
+
+    for (const itemData of data.items) {
+        try {
+            items.push(ClipboardItem.fromDatabase({
+                ...itemData,
+                imagePath: itemData.imagePath && fs.existsSync(itemData.imagePath) ? itemData.imagePath : null,
+                thumbnailPath: itemData.thumbnailPath && fs.existsSync(itemData.thumbnailPath) ? itemData.thumbnailPath : null
+            }));
+        } catch (error) {
+            console.error('Error reading imported item:', error);
+            skipped++;
+        }
+    }
+
+    return { source: 'PasteBro', items, skipped };
+}
+
+function readJson(data) {
+    if (data && Array.isArray(data.items) && data.version) {
+        return readPasteBroJson(data);
+    }
+
+    let records = Array.isArray(data) ? data : null;
+    if (!records && data && typeof data === 'object') {
+        const key = ['items', 'clips', 'clippings', 'history', 'entries', 'data'].find(name => Array.isArray(data[name]));
+        records = key ? data[key] : null;
+    }
+    if (!records) {
+        throw new Error('No clipboard items found in JSON file');
+    }
+
+    return { source: 'JSON', ...mapRecords(records) };
+}
+
+/**
+ * Rows of a CSV/TSV file (quoted fields may contain delimiters and line breaks)
+ */
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+function readCsv(text, delimiter) {
+    const [header, ...rows] = parseCsv(text, delimiter);
+    const keys = (header || []).map(normalizeKey);
+    if (!keys.some(key => TEXT_KEYS.includes(key))) {
+        throw new Error('CSV file needs a header row with a Text or Content column');
+    }
+
+    const records = rows.map(cells => {
+        const record = {};
+        keys.forEach((key, index) => {
+            // Undo the formula guard added by PasteBro's CSV export
+            record[key] = (cells[index] || '').replace(/^'(?=[=+\-@\t\r])/, '');
+        });
+        return record;
+    });
+
+    return { source: 'CSV', ...mapRecords(records) };
+}
+
+function readPlainText(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    return { source: 'Text file', ...mapRecords(lines) };
+}
+
+/**
+ * Maccy keeps each copy's pasteboard types as rows of ZHISTORYITEMCONTENT
+ */
+function readMaccy(db) {
+    const rows = db.prepare(`
+        SELECT i.Z_PK AS id, i.ZLASTCOPIEDAT AS copiedAt, i.ZPIN AS pin, i.ZAPPLICATION AS app, c.ZVALUE AS text, i.ZTITLE AS title
+        FROM ZHISTORYITEM i
+        LEFT JOIN ZHISTORYITEMCONTENT c ON c.ZITEM = i.Z_PK
+            AND c.ZTYPE IN ('public.utf8-plain-text', 'NSStringPboardType')
+        ORDER BY i.ZLASTCOPIEDAT DESC
+        LIMIT ${MAX_RECORDS}
+    `).all();
+
+    // One record per history item (an item can hold several text types, some of them empty)
+    const records = new Map();
+    for (const row of rows) {
+        if (!records.has(row.id) || !toText(records.get(row.id).text)) {
+            records.set(row.id, row);
+        }
+    }
+
+    return { source: 'Maccy', ...mapRecords([...records.values()], true) };
+}
+
+/**
+ * Any other database: the first table with a text column
+ */
+function readSqliteTable(db) {
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all();
+
+    for (const { name } of tables) {
+        const columns = db.prepare(`PRAGMA table_info("${name.replace(/"/g, '""')}")`).all().map(column => column.name);
+        const keys = columns.map(normalizeKey);
+        if (!keys.some(key => TEXT_KEYS.includes(key) || TEXT_KEYS.includes(key.replace(/^z/, '')))) {
+            continue;
+        }
+
+        const rows = db.prepare(`SELECT * FROM "${name.replace(/"/g, '""')}" LIMIT ${MAX_RECORDS}`).all();
+        return { source: `SQLite (${name})`, ...mapRecords(rows, columns.includes('Z_PK')) };
+    }
+
+    throw new Error('No table with clipboard text found in database');
+}
+
+function readSqlite(filePath) {
+    const Database = require('better-sqlite3');
+    const db = new Database(filePath, { readonly: true, fileMustExist: true });
+
+    try {
+        const hasTable = (name) => db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+        if (hasTable('ZHISTORYITEM') && hasTable('ZHISTORYITEMCONTENT')) {
+            return readMaccy(db);
+        }
+        return readSqliteTable(db);
+    } finally {
+        db.close();
+    }
+}
+
+function startsWith(filePath, magic) {
+    const handle = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(magic.length);
+        fs.readSync(handle, buffer, 0, magic.length, 0);
+        return buffer.toString('latin1') === magic;
+    } finally {
+        fs.closeSync(handle);
+    }
+}
+
+/**
+ * Read an export from PasteBro or another clipboard manager
+ * Returns { source, items, skipped } where skipped counts records without usable text
+ */
+function readImportFile(filePath) {
+    if (startsWith(filePath, SQLITE_MAGIC)) {
+        return readSqlite(filePath);
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.json' || /^\s*[[{]/.test(text)) {
+        try {
+            return readJson(JSON.parse(text));
+        } catch (error) {
+            if (extension === '.json') throw error;
+        }
+    }
+    if (extension === '.csv') {
+        return readCsv(text, ',');
+    }
+    if (extension === '.tsv') {
+        return readCsv(text, '\t');
+    }
+    return readPlainText(text);
+}
+
+/**
+ * Dry-run summary of items about to be imported
+ * { count, pinned, types: { text: 12, ... }, oldest, newest }
+ */
+function summarizeImport(items) {
+    const types = {};
+    let pinned = 0;
+    let oldest = null;
+    let newest = null;
+
+    for (const item of items) {
+        types[item.type] = (types[item.type] || 0) + 1;
+        if (item.isPinned) pinned++;
+        if (oldest === null || item.timestamp < oldest) oldest = item.timestamp;
+        if (newest === null || item.timestamp > newest) newest = item.timestamp;
+    }
+
+    return { count: items.length, pinned, types, oldest, newest };
+}
+
+module.exports = {
+    readImportFile,
+    summarizeImport
+};
@@ -1,5 +1,41 @@
+const crypto = require('crypto');
 const DatabaseManager = require('./database');
-const { ClipboardItem } = require('./clipboardItem');
+const { ClipboardItem, ClipboardItemType } = require('./clipboardItem');
+const { parseSearchQuery } = require('./searchQuery');
+const { classifyText } = require('./contentClassifier');
+
+const MAX_TAG_LENGTH = 50;
+const MAX_IMPORT_PROBLEMS = 50; // Skipped/failed items listed in an import report
+const PAGE_SIZE = 1000; // Rows per query when reading the whole history
+
+/**
+ * How imported items that are already in the history (same content hash) are merged:
+ *   newest  keep one item with the newer copy's timestamp and pin state
+ *   both    add the imported copy as a separate item (images are never duplicated)
+ *   pinned  keep the existing item, pinned when either copy is pinned
+ */
+const IMPORT_POLICIES = ['newest', 'both', 'pinned'];
+
+/**
+ * Normalize user-entered tag names: trim, drop a leading "#", collapse whitespace,
+ * remove characters that would break search syntax and dedupe case-insensitively
+ */
+function normalizeTags(tags) {
+    const seen = new Set();
+    const result = [];
+
+    for (const tag of Array.isArray(tags) ? tags : []) {
+        if (typeof tag !== 'string') continue;
+
+        const name = tag.replace(/["\u0000-\u001f]/g, '').replace(/^#+/, '').replace(/\s+/g, ' ').trim();
+        if (!name || name.length > MAX_TAG_LENGTH || seen.has(name.toLowerCase())) continue;
+
+        seen.add(name.toLowerCase());
+        result.push(name);
+    }
+
+    return result;
+}
 
 /**
  * HistoryManager - Manages clipboard history operations
@@ -11,9 +47,17 @@ class HistoryManager {
         this.db.init();
         this.maxItems = 1000;
         this.retentionDays = 30;
+        this.imageStorageManager = null;
         this._insertCount = 0;
     }
 
+    /**
+     * Delete the image files of purged items with an ImageStorageManager
+     */
+    setImageStorage(imageStorageManager) {
+        this.imageStorageManager = imageStorageManager;
+    }
+
     /**
      * Add new clipboard item to history
      * Handles duplicate detection and storage limits
@@ -35,6 +79,11 @@ class HistoryManager {
             const success = this.db.insert(item.toDatabase());
             
             if (success) {
+                const tags = normalizeTags(item.tags);
+                if (tags.length > 0) {
+                    this.db.addTags([item.id], tags);
+                }
+                
                 // Enforce storage limits periodically (every 10 items) instead of every insert
                 this._insertCount = (this._insertCount || 0) + 1;
                 if (this._insertCount % 10 === 0) {
@@ -52,6 +101,144 @@ class HistoryManager {
         }
     }
 
+    /**
+     * Add imported items in one transaction, merging copies that already exist by the policy
+     * (see IMPORT_POLICIES); replace clears the unpinned history first
+     * Returns { added, merged, skipped, failed, problems: [{ preview, status, reason }] }
+     */
+    async importItems(items, { policy = 'newest', replace = false } = {}) {
+        if (!IMPORT_POLICIES.includes(policy)) {
+            throw new Error(`Unknown import policy: ${policy}`);
+        }
+
+        const report = { added: 0, merged: 0, skipped: 0, failed: 0, problems: [] };
+        const staged = []; // Archive images to move into the store once the import is saved
+        const note = (item, status, reason) => {
+            report[status]++;
+            if (report.problems.length < MAX_IMPORT_PROBLEMS) {
+                const preview = item && item.isSensitive ? 'Sensitive item' : (item && item.getPreview ? item.getPreview(60) : '');
+                report.problems.push({ preview, status, reason });
+            }
+        };
+
+        this.db.beginTransaction();
+        try {
+            if (replace) {
+                await this.clearAllHistory();
+            }
+
+            for (const item of items) {
+                try {
+                    if (!(item instanceof ClipboardItem) || !item.isValid()) {
+                        note(item, 'failed', 'Missing content');
+                        continue;
+                    }
+
+                    const existingId = this.db.existsByHash(item.contentHash);
+                    if (existingId && !(policy === 'both' && item.type !== ClipboardItemType.IMAGE)) {
+                        if (this._mergeImportedItem(existingId, item, policy)) {
+                            report.merged++;
+                        } else {
+                            note(item, 'skipped', 'Already in history');
+                        }
+                        continue;
+                    }
+
+                    // Ids only collide when the same item was imported before and then edited
+                    if (this.db.getById(item.id)) {
+                        item.id = crypto.randomUUID();
+                    }
+                    const moves = this.imageStorageManager ? this.imageStorageManager.planImportedFiles(item) : [];
+                    if (!this.db.insert(item.toDatabase())) {
+                        note(item, 'failed', 'Could not be saved');
+                        continue;
+                    }
+                    if (moves.length > 0) {
+                        staged.push({ item, moves });
+                    }
+                    const tags = normalizeTags(item.tags);
+                    if (tags.length > 0) {
+                        this.db.addTags([item.id], tags);
+                    }
+                    report.added++;
+                } catch (error) {
+                    console.error('Error importing item:', error);
+                    note(item, 'failed', error.message);
+                }
+            }
+
+            this.db.commit();
+        } catch (error) {
+            this.db.rollback();
+            throw error;
+        }
+
+        for (const { item, moves } of staged) {
+            try {
+                await this.imageStorageManager.moveImportedFiles(moves);
+            } catch (error) {
+                console.error('Error storing imported image:', error);
+                this.db.delete([item.id]);
+                await this.imageStorageManager.deleteImage(item.id);
+                report.added--;
+                note(item, 'failed', 'Image could not be stored');
+            }
+        }
+
+        if (report.added > 0) {
+            this.enforceStorageLimits();
+        }
+        return report;
+    }
+
+    /**
+     * Apply a merge policy to an existing item; returns whether it changed
+     */
+    _mergeImportedItem(existingId, item, policy) {
+        const existing = this.db.getById(existingId);
+        if (!existing) {
+            return false;
+        }
+
+        if (policy === 'pinned') {
+            return item.isPinned && !existing.isPinned
+                ? this.db.update(existingId, { isPinned: true })
+                : false;
+        }
+
+        // Keep newest
+        if (item.timestamp <= existing.timestamp) {
+            return false;
+        }
+        this.db.setTimestamp(existingId, item.timestamp);
+        if (Boolean(item.isPinned) !== Boolean(existing.isPinned)) {
+            this.db.update(existingId, { isPinned: item.isPinned });
+        }
+        return true;
+    }
+
+    /**
+     * Every item (not in trash) matching structured filters (see DatabaseManager.buildFilterConditions), newest first
+     * Read a page at a time so large histories aren't cut off
+     */
+    async getAllItems(filters = null) {
+        const items = [];
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const rows = this.db.query({
+                limit: PAGE_SIZE,
+                offset,
+                isDeleted: false,
+                filters,
+                orderBy: 'timestamp',
+                orderDirection: 'DESC'
+            });
+            items.push(...rows.map(row => ClipboardItem.fromDatabase(row)));
+            if (rows.length < PAGE_SIZE) {
+                return items;
+            }
+        }
+    }
+
     /**
      * Get clipboard items with pagination
      */
@@ -61,7 +248,8 @@ class HistoryManager {
                 limit = 50,
                 offset = 0,
                 isPinned = null,
-                isDeleted = false
+                isDeleted = false,
+                collectionId = null
             } = options;
 
             const items = this.db.query({
@@ -69,6 +257,7 @@ class HistoryManager {
                 offset,
                 isPinned,
                 isDeleted,
+                collectionId,
                 orderBy: 'timestamp',
                 orderDirection: 'DESC'
             });
@@ -81,7 +270,9 @@ class HistoryManager {
     }
 
     /**
-     * Search clipboard items by text content
+     * Search clipboard items by text content and structured filters
+     * (e.g. `type:image app:Slack after:2026-09-01`, see searchQuery.js)
+     * Results are ranked by relevance and carry a highlighted `snippet` when available
      */
     async searchItems(query, options = {}) {
         try {
@@ -89,8 +280,27 @@ class HistoryManager {
                 return this.getItems(options);
             }
 
-            const items = this.db.search(query, options);
-            return items.map(item => ClipboardItem.fromDatabase(item));
+            const { text, filters, hasFilters } = parseSearchQuery(query);
+
+            if (!text.trim()) {
+                const { limit = 50, offset = 0 } = options;
+                const items = this.db.query({
+                    limit,
+                    offset,
+                    isDeleted: false,
+                    filters: hasFilters ? filters : null,
+                    orderBy: 'timestamp',
+                    orderDirection: 'DESC'
+                });
+                return items.map(item => ClipboardItem.fromDatabase(item));
+            }
+
+            const items = this.db.search(text, { ...options, filters: hasFilters ? filters : null });
+            return items.map(row => {
+                const item = ClipboardItem.fromDatabase(row);
+                item.snippet = row.snippet || null;
+                return item;
+            });
         } catch (error) {
             console.error('Error searching items:', error);
             throw error;
@@ -163,6 +373,114 @@ class HistoryManager {
         }
     }
 
+    /**
+     * Replace the text of a text or rich text item (formatting is dropped)
+     * The content hash and content type are recomputed so deduplication and filters stay correct
+     * Returns the updated item, or null if the item can't be edited
+     */
+    async updateItemText(id, text) {
+        try {
+            const item = await this.getItemById(id);
+            if (!item || item.isDeleted || (item.type !== ClipboardItemType.TEXT && item.type !== ClipboardItemType.RICH_TEXT)) {
+                return null;
+            }
+
+            const plainText = String(text);
+            const classification = classifyText(plainText);
+            const success = this.db.update(id, {
+                type: ClipboardItemType.TEXT,
+                plainText,
+                richText: null,
+                contentHash: ClipboardItem.generateHash(plainText, ClipboardItemType.TEXT),
+                fileSize: Buffer.byteLength(plainText, 'utf8'),
+                contentType: classification ? classification.contentType : null,
+                codeLanguage: classification ? classification.language : null
+            });
+
+            return success ? this.getItemById(id) : null;
+        } catch (error) {
+            console.error('Error updating item text:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark items as sensitive (masked in the sidebar) or clear the mark
+     * Sensitive items are purged after ttlMinutes; null keeps them until deleted
+     * Returns the number of items updated
+     */
+    setSensitive(ids, sensitive, ttlMinutes = null) {
+        try {
+            if (!Array.isArray(ids)) {
+                ids = [ids];
+            }
+
+            const expiresAt = sensitive && ttlMinutes > 0 ? Date.now() + ttlMinutes * 60 * 1000 : null;
+            let updated = 0;
+            for (const id of ids) {
+                if (this.db.update(id, { isSensitive: Boolean(sensitive), expiresAt })) {
+                    updated++;
+                }
+            }
+            return updated;
+        } catch (error) {
+            console.error('Error updating sensitive items:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all tags with usage counts (for autocomplete)
+     */
+    getTags() {
+        try {
+            return this.db.getTags();
+        } catch (error) {
+            console.error('Error getting tags:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add tags to items
+     * Returns the normalized tag names that were applied
+     */
+    addTags(ids, tags) {
+        try {
+            if (!Array.isArray(ids)) {
+                ids = [ids];
+            }
+
+            const names = normalizeTags(tags);
+            if (ids.length > 0 && names.length > 0) {
+                this.db.addTags(ids, names);
+            }
+            return names;
+        } catch (error) {
+            console.error('Error adding tags:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a tag from items
+     */
+    removeTag(ids, tag) {
+        try {
+            if (!Array.isArray(ids)) {
+                ids = [ids];
+            }
+
+            if (ids.length === 0 || typeof tag !== 'string') {
+                return 0;
+            }
+            return this.db.removeTag(ids, tag);
+        } catch (error) {
+            console.error('Error removing tag:', error);
+            throw error;
+        }
+    }
+
     /**
      * Move items to trash (soft delete)
      */
@@ -297,6 +615,7 @@ class HistoryManager {
     /**
      * Enforce storage limits
      * Remove oldest non-pinned items if exceeding max items
+     * Items on a collection are never pruned
      */
     enforceStorageLimits() {
         try {
@@ -310,6 +629,7 @@ class HistoryManager {
                 const oldestItems = this.db.query({
                     isPinned: false,
                     isDeleted: false,
+                    excludeCollections: true,
                     limit: excessCount,
                     orderBy: 'timestamp',
                     orderDirection: 'ASC'
@@ -330,6 +650,7 @@ class HistoryManager {
                 const expiredItems = this.db.query({
                     isPinned: false,
                     isDeleted: false,
+                    excludeCollections: true,
                     limit: 10000,
                     orderBy: 'timestamp',
                     orderDirection: 'ASC'
@@ -347,6 +668,30 @@ class HistoryManager {
         }
     }
 
+    /**
+     * Permanently remove items whose expiry time has passed, trashed copies and image files included
+     * Returns the removed items
+     */
+    async purgeExpiredItems() {
+        try {
+            const expiredItems = this.db.deleteExpired(Date.now()).map(item => ClipboardItem.fromDatabase(item));
+
+            if (expiredItems.length > 0) {
+                console.log(`Purged ${expiredItems.length} expired items`);
+            }
+
+            if (this.imageStorageManager) {
+                const imageItems = expiredItems.filter(item => item.type === ClipboardItemType.IMAGE && item.imagePath);
+                await Promise.all(imageItems.map(item => this.imageStorageManager.deleteImage(item.id)));
+            }
+
+            return expiredItems;
+        } catch (error) {
+            console.error('Error purging expired items:', error);
+            return [];
+        }
+    }
+
     /**
      * Update preferences
      */
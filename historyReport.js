@@ -0,0 +1,235 @@
+const { highlightForClipboard } = require('./syntaxHighlighter');
+
+/**
+ * History reports - human-readable exports (CSV, Markdown, HTML) for handing clipboard logs to others
+ * Sensitive items are listed without their content.
+ */
+
+const HIDDEN_TEXT = 'Sensitive content hidden';
+
+/**
+ * Validate export filters from the renderer
+ * { from, to } are timestamps, type is an item or content type (see captureRules.js)
+ */
+function normalizeFilters(options = {}) {
+    const timestamp = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+    const tag = typeof options.tag === 'string' ? options.tag.trim().replace(/^#+/, '').toLowerCase() : '';
+
+    return {
+        from: timestamp(options.from),
+        to: timestamp(options.to),
+        type: typeof options.type === 'string' ? options.type : '',
+        tag,
+        pinnedOnly: options.pinnedOnly === true
+    };
+}
+
+/**
+ * Export filters as database query filters (see DatabaseManager.buildFilterConditions)
+ * Item kinds match like capture rules: text includes rich text, file includes file groups
+ */
+function toQueryFilters(filters) {
+    const query = { types: [], contentTypes: [], tags: [], isPinned: null, after: null, before: null };
+
+    if (filters.type === 'text') {
+        query.types.push('text', 'richText');
+    } else if (filters.type === 'file') {
+        query.types.push('file', 'multi-file');
+    } else if (filters.type === 'image' || filters.type === 'color') {
+        query.types.push(filters.type);
+    } else if (filters.type) {
+        query.contentTypes.push(filters.type);
+    }
+
+    if (filters.tag) query.tags.push(filters.tag);
+    if (filters.pinnedOnly) query.isPinned = true;
+    if (filters.from) query.after = filters.from;
+    // "to" is inclusive; before is not
+    if (filters.to) query.before = filters.to + 1;
+
+    return query;
+}
+
+function getTypeLabel(item) {
+    if (item.contentType) return item.contentType;
+    if (item.type === 'richText') return 'text';
+    if (item.type === 'multi-file') return 'file';
+    return item.type;
+}
+
+/**
+ * The text an item contributes to a report
+ */
+function getItemText(item) {
+    if (item.isSensitive) return HIDDEN_TEXT;
+    if (item.filePaths && item.filePaths.length > 0) return item.filePaths.join('\n');
+    if (item.type === 'color') return item.colorValue || item.plainText || '';
+    if (item.type === 'image') return '';
+    return item.plainText || '';
+}
+
+function formatDay(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Items (newest first) grouped into [{ day, items }]
+ */
+function groupByDay(items) {
+    const groups = [];
+    for (const item of items) {
+        const day = formatDay(item.timestamp);
+        if (groups.length === 0 || groups[groups.length - 1].day !== day) {
+            groups.push({ day, items: [] });
+        }
+        groups[groups.length - 1].items.push(item);
+    }
+    return groups;
+}
+
+function isCode(item) {
+    return !item.isSensitive && (item.contentType === 'code' || item.contentType === 'json');
+}
+
+function csvCell(value) {
+    let text = String(value);
+    // Keep spreadsheets from running text as a formula
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per item: type, timestamp, source app, text
+ */
+function formatCsv(items) {
+    const rows = [['Type', 'Timestamp', 'Source App', 'Text']];
+    for (const item of items) {
+        rows.push([
+            getTypeLabel(item),
+            new Date(item.timestamp).toISOString(),
+            item.sourceApplication || '',
+            getItemText(item)
+        ]);
+    }
+    // CRLF line endings and a BOM so Excel reads UTF-8 correctly
+    return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function markdownFence(text, language = '') {
+    const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Grouped by day, with code fences for code
+ */
+function formatMarkdown(items) {
+    const sections = ['# Clipboard History'];
+
+    for (const { day, items: dayItems } of groupByDay(items)) {
+        sections.push(`## ${day}`);
+
+        for (const item of dayItems) {
+            const meta = [`**${formatTime(item.timestamp)}**`, getTypeLabel(item), item.sourceApplication]
+                .filter(Boolean).join(' · ');
+            const text = getItemText(item);
+            let body;
+
+            if (item.type === 'image' && !item.isSensitive) {
+                body = '_Image_';
+            } else if (isCode(item)) {
+                body = markdownFence(text, item.contentType === 'json' ? 'json' : (item.codeLanguage || ''));
+            } else if (item.filePaths && item.filePaths.length > 0 && !item.isSensitive) {
+                body = item.filePaths.map(filePath => `- \`${filePath}\``).join('\n');
+            } else if (item.isSensitive) {
+                body = `_${text}_`;
+            } else {
+                body = text.split('\n').map(line => `> ${line}`).join('\n');
+            }
+
+            sections.push(`${meta}\n\n${body}`);
+        }
+    }
+
+    return sections.join('\n\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Helvetica Neue', Arial, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #333; background: #f5f5f5; }
+    h1 { font-size: 22px; }
+    h2 { font-size: 15px; color: #666; margin: 28px 0 10px; }
+    .item { background: white; border-radius: 8px; padding: 12px 16px; margin-bottom: 10px; }
+    .meta { font-size: 12px; color: #999; margin-bottom: 6px; }
+    .text { margin: 0; font-family: inherit; font-size: 14px; white-space: pre-wrap; word-break: break-word; }
+    .hidden { font-style: italic; color: #999; }
+    pre { white-space: pre-wrap; word-break: break-word; margin: 0; }
+    img { max-width: 100%; border-radius: 4px; }
+    .swatch { display: inline-block; width: 14px; height: 14px; border-radius: 3px; vertical-align: middle; margin-right: 6px; border: 1px solid #ddd; }
+`;
+
+function htmlItemBody(item, thumbnails) {
+    if (item.isSensitive) {
+        return `<div class="hidden">${HIDDEN_TEXT}</div>`;
+    }
+    if (item.type === 'image') {
+        const thumbnail = thumbnails.get(item.id);
+        return thumbnail ? `<img src="data:image/jpeg;base64,${thumbnail}" alt="Image">` : '<div class="hidden">Image</div>';
+    }
+    if (item.type === 'color') {
+        const color = getItemText(item);
+        const swatch = /^[#\w\s(),.%]+$/.test(color) ? `<span class="swatch" style="background: ${color}"></span>` : '';
+        return `<div>${swatch}${escapeHtml(color)}</div>`;
+    }
+    if (isCode(item)) {
+        return highlightForClipboard(item.plainText || '', item.codeLanguage).html;
+    }
+    return `<pre class="text">${escapeHtml(getItemText(item))}</pre>`;
+}
+
+/**
+ * Self-contained page; thumbnails maps item ids to base64 JPEG thumbnails
+ */
+function formatHtml(items, thumbnails = new Map()) {
+    const sections = groupByDay(items).map(({ day, items: dayItems }) => {
+        const entries = dayItems.map(item => {
+            const meta = [formatTime(item.timestamp), getTypeLabel(item), item.sourceApplication]
+                .filter(Boolean).map(escapeHtml).join(' · ');
+            return `<div class="item"><div class="meta">${meta}</div>${htmlItemBody(item, thumbnails)}</div>`;
+        });
+        return `<h2>${escapeHtml(day)}</h2>\n${entries.join('\n')}`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline';">
+  <title>Clipboard History</title>
+  <style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Clipboard History</h1>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    normalizeFilters,
+    toQueryFilters,
+    formatCsv,
+    formatMarkdown,
+    formatHtml
+};
@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
 const crypto = require('crypto');
 
 /**
@@ -11,6 +12,24 @@ class ImageStorageManager {
     this.basePath = basePath;
     this.imagesPath = path.join(basePath, 'images');
     this.thumbnailsPath = path.join(basePath, 'thumbnails');
+    this.importPath = path.join(basePath, 'import'); // Archive images waiting for their items to be saved
+    this.exportPath = path.join(os.tmpdir(), 'pastebro-images');
+    this.encryption = null;
+  }
+
+  /**
+   * Encrypt image files with an EncryptionManager (see encryption.js)
+   */
+  setEncryption(encryption) {
+    this.encryption = encryption;
+  }
+
+  encrypt(buffer) {
+    return this.encryption ? this.encryption.encryptBuffer(buffer) : buffer;
+  }
+
+  decrypt(buffer) {
+    return this.encryption ? this.encryption.decryptBuffer(buffer) : buffer;
   }
 
   /**
@@ -20,6 +39,8 @@ class ImageStorageManager {
     try {
       await fs.mkdir(this.imagesPath, { recursive: true });
       await fs.mkdir(this.thumbnailsPath, { recursive: true });
+      // Left over from an import that didn't finish
+      await this.clearImports();
       console.log('Image storage directories created');
     } catch (error) {
       console.error('Failed to create image directories:', error);
@@ -44,7 +65,7 @@ class ImageStorageManager {
         .toBuffer();
 
       const imagePath = path.join(this.imagesPath, `${imageId}.webp`);
-      await fs.writeFile(imagePath, compressedBuffer);
+      await fs.writeFile(imagePath, this.encrypt(compressedBuffer));
 
       // Generate and save thumbnail (200x200 JPEG at 70% quality)
       const thumbnailBuffer = await sharp(imageBuffer)
@@ -53,7 +74,7 @@ class ImageStorageManager {
         .toBuffer();
         
       const thumbnailPath = path.join(this.thumbnailsPath, `${imageId}.jpg`);
-      await fs.writeFile(thumbnailPath, thumbnailBuffer);
+      await fs.writeFile(thumbnailPath, this.encrypt(thumbnailBuffer));
 
       return {
         id: imageId,
@@ -100,12 +121,13 @@ class ImageStorageManager {
     }
     
     try {
-      const imagePath = path.join(this.imagesPath, `${id}.png`);
+      // Images are saved as WebP; older versions saved PNG
+      const imagePaths = [`${id}.webp`, `${id}.png`].map(name => path.join(this.imagesPath, name));
       const thumbnailPath = path.join(this.thumbnailsPath, `${id}.jpg`);
 
-      // Delete both files (ignore errors if files don't exist)
+      // Delete all files (ignore errors if files don't exist)
       await Promise.allSettled([
-        fs.unlink(imagePath),
+        ...imagePaths.map(imagePath => fs.unlink(imagePath)),
         fs.unlink(thumbnailPath)
       ]);
 
@@ -154,7 +176,7 @@ class ImageStorageManager {
     
     try {
       const imagePath = this.getImagePath(id);
-      return await fs.readFile(imagePath);
+      return this.decrypt(await fs.readFile(imagePath));
     } catch (error) {
       console.error('Failed to read image:', error);
       return null;
@@ -172,13 +194,132 @@ class ImageStorageManager {
     
     try {
       const thumbnailPath = this.getThumbnailPath(id);
-      return await fs.readFile(thumbnailPath);
+      return this.decrypt(await fs.readFile(thumbnailPath));
     } catch (error) {
       console.error('Failed to read thumbnail:', error);
       return null;
     }
   }
 
+  /**
+   * Read a stored image or thumbnail by path (decrypted)
+   * Only files inside the storage directories are served
+   */
+  async readStoredFile(filePath) {
+    const resolved = path.resolve(filePath);
+    const directory = path.dirname(resolved);
+    if (directory !== this.imagesPath && directory !== this.thumbnailsPath) {
+      throw new Error('Not a stored image');
+    }
+    return this.decrypt(await fs.readFile(resolved));
+  }
+
+  /**
+   * Stage an image or thumbnail from an imported archive (encrypted like saved images)
+   * It only moves into the store, named after its item, once that item is saved (see planImportedFiles)
+   * Returns the staged path
+   */
+  async importFile(kind, fileName, buffer) {
+    // Validate name to prevent path traversal
+    if (typeof fileName !== 'string' || !fileName || fileName !== path.basename(fileName) || fileName.includes('..')) {
+      throw new Error('Invalid image file name');
+    }
+
+    await fs.mkdir(this.importPath, { recursive: true });
+    const target = path.join(this.importPath, `${kind === 'thumbnails' ? 'thumbnail' : 'image'}-${crypto.randomUUID()}${path.extname(fileName)}`);
+    await fs.writeFile(target, this.encrypt(buffer));
+    return target;
+  }
+
+  /**
+   * Point an imported item's staged files at their place in the store (<item id>.<ext>)
+   * Returns the [from, to] moves for moveImportedFiles; files that aren't staged are left alone
+   */
+  planImportedFiles(item) {
+    const moves = [];
+    for (const [key, directory] of [['imagePath', this.imagesPath], ['thumbnailPath', this.thumbnailsPath]]) {
+      const from = item[key];
+      if (from && path.dirname(path.resolve(from)) === this.importPath) {
+        const to = path.join(directory, `${item.id}${path.extname(from)}`);
+        moves.push([from, to]);
+        item[key] = to;
+      }
+    }
+    return moves;
+  }
+
+  async moveImportedFiles(moves) {
+    for (const [from, to] of moves) {
+      await fs.rename(from, to);
+    }
+  }
+
+  /**
+   * Delete staged files that no imported item took
+   */
+  async clearImports() {
+    await fs.rm(this.importPath, { recursive: true, force: true });
+  }
+
+  /**
+   * Decrypted copies of stored images for handing to other apps as file references
+   * Replaces the previous export; returns the new paths
+   */
+  async exportImages(filePaths) {
+    await this.clearExports();
+    await fs.mkdir(this.exportPath, { recursive: true, mode: 0o700 });
+
+    const exported = [];
+    for (const filePath of filePaths) {
+      try {
+        const target = path.join(this.exportPath, path.basename(filePath));
+        await fs.writeFile(target, await this.readStoredFile(filePath), { mode: 0o600 });
+        exported.push(target);
+      } catch (error) {
+        console.error('Failed to export image:', error);
+      }
+    }
+    return exported;
+  }
+
+  async clearExports() {
+    await fs.rm(this.exportPath, { recursive: true, force: true });
+  }
+
+  /**
+   * Rewrite every stored file after encryption was turned on or off
+   * Files are replaced atomically (write to a temp file, then rename)
+   * Returns { converted, failed }
+   */
+  async convertEncryption() {
+    let converted = 0;
+    let failed = 0;
+
+    for (const directory of [this.imagesPath, this.thumbnailsPath]) {
+      const files = await fs.readdir(directory);
+      for (const file of files) {
+        const filePath = path.join(directory, file);
+        try {
+          const data = await fs.readFile(filePath);
+          const output = this.encrypt(this.decrypt(data));
+          if (!output) {
+            // Encrypted with a key we can't unlock
+            failed++;
+          } else if (!output.equals(data)) {
+            await fs.writeFile(`${filePath}.tmp`, output);
+            await fs.rename(`${filePath}.tmp`, filePath);
+            converted++;
+          }
+        } catch (error) {
+          console.error(`Failed to convert ${file}:`, error);
+          failed++;
+        }
+      }
+    }
+
+    return { converted, failed };
+  }
+
   /**
    * Get storage statistics
    */
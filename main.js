@@ -1,11 +1,25 @@
-const { app, BrowserWindow, Tray, Menu, globalShortcut, ipcMain, clipboard } = require('electron');
+const { app, BrowserWindow, Tray, Menu, globalShortcut, ipcMain, clipboard, shell, protocol } = require('electron');
 const path = require('path');
 const ClipboardMonitor = require('./clipboardMonitor');
 const HistoryManager = require('./historyManager');
 const PreferencesManager = require('./preferencesManager');
 const PermissionManager = require('./permissionManager');
 const ImageStorageManager = require('./imageStorageManager');
+const EncryptionManager = require('./encryption');
+const AppLock = require('./appLock');
+const BackupManager = require('./backupManager');
+const PasteStack = require('./pasteStack');
+const { SnippetManager } = require('./snippetManager');
+const { CollectionManager } = require('./collectionManager');
 const { ClipboardItem } = require('./clipboardItem');
+const { formatColor } = require('./colorUtils');
+const { classifyText } = require('./contentClassifier');
+const { getTransforms, applyTransform, mergeTexts } = require('./textTransforms');
+const { highlight, highlightForClipboard } = require('./syntaxHighlighter');
+const { getFileInfo } = require('./fileInfo');
+const { writeHistoryArchive, readHistoryArchive, isHistoryArchive } = require('./historyArchive');
+const { normalizeFilters, toQueryFilters, formatCsv, formatMarkdown, formatHtml } = require('./historyReport');
+const { readImportFile, summarizeImport } = require('./historyImporters');
 
 class PasteBroApp {
   constructor() {
@@ -19,7 +33,23 @@ class PasteBroApp {
     this.preferencesManager = null;
     this.permissionManager = null;
     this.imageStorageManager = null;
+    this.encryptionManager = null;
+    this.appLock = null;
+    this.lockWindow = null;
+    this.pendingUnlockAction = null; // Runs once the lock window unlocks the app
+    this.pendingImport = null; // Items read by preview-import, waiting for confirmation
+    this.backupManager = null;
+    this.lastBackupAt = null; // Newest backup in the backup folder (null = not looked up yet)
+    this.backupInProgress = false;
+    this.pendingRestore = null; // Backup read by preview-restore, waiting for confirmation
+    this.snippetManager = null;
+    this.collectionManager = null;
+    this.pasteStack = null;
+    this.previousApp = null; // Frontmost app before the sidebar was shown
     this.migrationInterval = null;
+    this.expiryInterval = null;
+    this.lockInterval = null;
+    this.backupInterval = null;
     this.shortcutHealthCheck = null;
     this.rendererHealthCheck = null;
     this._lastToggleTime = 0;
@@ -35,6 +65,11 @@ class PasteBroApp {
       app.dock.hide();
     }
 
+    // Stored images are served through their own scheme so they can be decrypted (must precede ready)
+    protocol.registerSchemesAsPrivileged([
+      { scheme: 'pastebro-image', privileges: { standard: true, secure: true } }
+    ]);
+
     // Wait for app to be ready
     await app.whenReady();
 
@@ -60,6 +95,104 @@ class PasteBroApp {
 
     // PHASE 5: Start background migration checker
     this.startBackgroundMigration();
+    this.startExpiryTimer();
+    this.startLockTimer();
+    this.startBackupTimer();
+  }
+
+  startExpiryTimer() {
+    // Purge expired sensitive items every 30 seconds
+    this.expiryInterval = setInterval(async () => {
+      const expiredItems = await this.historyManager.purgeExpiredItems();
+      if (expiredItems.length === 0) {
+        return;
+      }
+
+      if (this.preferencesManager.get('clearClipboardOnExpiry')) {
+        this.clearExpiredFromClipboard(expiredItems);
+      }
+
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('items-expired', expiredItems.map(item => item.id));
+      }
+    }, 30 * 1000);
+  }
+
+  /**
+   * Empty the system clipboard if it still holds the text of an expired item
+   */
+  clearExpiredFromClipboard(items) {
+    try {
+      const text = clipboard.readText();
+      if (!text || !items.some(item => item.plainText === text)) {
+        return;
+      }
+
+      clipboard.clear();
+      this.clipboardMonitor.ignoreCurrentContent();
+      console.log('Cleared expired item from the clipboard');
+    } catch (error) {
+      console.error('Error clearing expired clipboard content:', error);
+    }
+  }
+
+  startLockTimer() {
+    // Lock once the system has been idle for the configured time (checked every 15 seconds)
+    this.lockInterval = setInterval(() => {
+      const minutes = this.preferencesManager.get('lockAfterMinutes');
+      if (!minutes || this.isLocked() || !this.isLockEnabled()) {
+        return;
+      }
+
+      const { powerMonitor } = require('electron');
+      if (powerMonitor.getSystemIdleTime() >= minutes * 60) {
+        this.lockApp();
+      }
+    }, 15 * 1000);
+  }
+
+  startBackupTimer() {
+    // Back up once the newest backup is older than the configured interval (checked every 15 minutes)
+    this.backupInterval = setInterval(async () => {
+      try {
+        if (!this.preferencesManager.get('backupEnabled') || this.isQuitting) {
+          return;
+        }
+
+        if (this.lastBackupAt === null) {
+          this.lastBackupAt = (await this.backupManager.getLastBackupTime(this.getBackupFolder())) || 0;
+        }
+        const interval = this.preferencesManager.get('backupIntervalHours') * 60 * 60 * 1000;
+        if (Date.now() - this.lastBackupAt >= interval) {
+          await this.runBackup();
+        }
+      } catch (error) {
+        console.error('Scheduled backup failed:', error);
+      }
+    }, 15 * 60 * 1000);
+  }
+
+  getBackupFolder() {
+    return this.preferencesManager.get('backupFolder') || path.join(app.getPath('userData'), 'Backups');
+  }
+
+  /**
+   * Back up now and rotate old backups; returns the backup summary, or null while another backup runs
+   */
+  async runBackup(keep = this.preferencesManager.get('backupKeep')) {
+    if (this.backupInProgress) {
+      return null;
+    }
+
+    this.backupInProgress = true;
+    try {
+      const backup = await this.backupManager.createBackup(this.getBackupFolder(), keep);
+      this.lastBackupAt = backup.createdAt;
+      console.log(`Backed up ${backup.itemCount} items to ${backup.path}`);
+      return backup;
+    } finally {
+      this.backupInProgress = false;
+    }
   }
 
   startBackgroundMigration() {
@@ -122,13 +255,30 @@ class PasteBroApp {
     // Check and notify about Full Disk Access
     this.permissionManager.checkAndNotify();
 
-    // Initialize image storage manager
+    // Encryption at rest; the key is loaded even when off so leftover encrypted data stays readable
     const userDataPath = app.getPath('userData');
+    this.encryptionManager = new EncryptionManager(userDataPath);
+    this.encryptionManager.loadKey();
+    if (this.preferencesManager.get('encryptHistory') && !this.encryptionManager.activate()) {
+      console.error('History encryption is on but the keychain is unavailable; new items will not be encrypted');
+    }
+
+    // App lock starts locked so history needs the passcode after launch
+    this.appLock = new AppLock(userDataPath);
+    if (this.isLockEnabled()) {
+      this.appLock.lock();
+    }
+
+    // Initialize image storage manager
     this.imageStorageManager = new ImageStorageManager(userDataPath);
+    this.imageStorageManager.setEncryption(this.encryptionManager);
     await this.imageStorageManager.initialize();
+    this.registerImageProtocol();
 
     // Initialize history manager (async)
     this.historyManager = new HistoryManager();
+    this.historyManager.db.setEncryption(this.encryptionManager);
+    this.historyManager.setImageStorage(this.imageStorageManager);
 
     // Update history manager with preferences
     this.historyManager.updatePreferences({
@@ -136,6 +286,11 @@ class PasteBroApp {
       retentionDays: this.preferencesManager.get('retentionDays')
     });
 
+    // Snippets and collections share the history database
+    this.snippetManager = new SnippetManager(this.historyManager.db);
+    this.collectionManager = new CollectionManager(this.historyManager.db);
+    this.backupManager = new BackupManager(this.historyManager.db, this.imageStorageManager, this.encryptionManager);
+
     // Migrate BLOB images to file storage (background)
     setImmediate(() => {
       this.migrateBlobImagesToFiles();
@@ -150,6 +305,13 @@ class PasteBroApp {
     this.clipboardMonitor = new ClipboardMonitor((item) => {
       this.handleClipboardChange(item);
     }, this.imageStorageManager, this.preferencesManager);
+
+    // Paste stack collects successive copies while active
+    this.pasteStack = new PasteStack(this.preferencesManager.get('pasteStackOrder'), () => {
+      this.handlePasteStackChange();
+    });
+    this.clipboardMonitor.setPasteStack(this.pasteStack);
+    this.updateTrayMenu();
   }
 
   async migrateBlobImagesToFiles() {
@@ -220,7 +382,7 @@ class PasteBroApp {
       for (const singleItem of items) {
         // Add item to history (non-blocking)
         this.historyManager.addItem(singleItem).then(itemId => {
-          if (itemId && this.mainWindow) {
+          if (itemId && this.mainWindow && !this.isLocked()) {
             // Send full item data including image paths for immediate preview
             const notification = {
               id: singleItem.id,
@@ -228,12 +390,29 @@ class PasteBroApp {
               timestamp: singleItem.timestamp,
               isPinned: singleItem.isPinned,
               plainText: singleItem.plainText,
+              colorValue: singleItem.colorValue,
               sourceApplication: singleItem.sourceApplication,
               imagePath: singleItem.imagePath,
-              thumbnailPath: singleItem.thumbnailPath
+              thumbnailPath: singleItem.thumbnailPath,
+              isSensitive: singleItem.isSensitive,
+              expiresAt: singleItem.expiresAt,
+              tags: singleItem.tags,
+              contentType: singleItem.contentType,
+              codeLanguage: singleItem.codeLanguage
             };
             this.mainWindow.webContents.send('clipboard-updated', notification);
           }
+
+          // Collections picked by capture rules
+          if (itemId && singleItem.collectionIds) {
+            for (const collectionId of singleItem.collectionIds) {
+              try {
+                this.collectionManager.addItems(collectionId, [itemId]);
+              } catch (error) {
+                console.error('Capture rule could not add to collection:', error.message);
+              }
+            }
+          }
         }).catch(error => {
           console.error('Error adding item to history:', error);
         });
@@ -243,10 +422,397 @@ class PasteBroApp {
     }
   }
 
+  /**
+   * Serve stored images and thumbnails as pastebro-image://images/<file> and
+   * pastebro-image://thumbnails/<file>, decrypting them when needed
+   */
+  registerImageProtocol() {
+    const directories = {
+      images: this.imageStorageManager.imagesPath,
+      thumbnails: this.imageStorageManager.thumbnailsPath
+    };
+    const mimeTypes = { '.webp': 'image/webp', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png' };
+
+    protocol.handle('pastebro-image', async (request) => {
+      try {
+        const url = new URL(request.url);
+        const fileName = decodeURIComponent(url.pathname.replace(/^\//, ''));
+        const directory = directories[url.hostname];
+
+        // A bare file name only; readStoredFile also refuses anything outside the storage folders
+        if (!directory || !fileName || fileName !== path.basename(fileName)) {
+          return new Response(null, { status: 404 });
+        }
+
+        const data = await this.imageStorageManager.readStoredFile(path.join(directory, fileName));
+        if (!data) {
+          return new Response(null, { status: 404 });
+        }
+        return new Response(data, {
+          headers: { 'Content-Type': mimeTypes[path.extname(fileName).toLowerCase()] || 'application/octet-stream' }
+        });
+      } catch (error) {
+        return new Response(null, { status: 404 });
+      }
+    });
+  }
+
+  /**
+   * Turn encryption at rest on or off and rewrite existing history and images to match
+   * Returns false when encryption can't be turned on (no keychain access)
+   */
+  async setHistoryEncryption(enabled) {
+    if (enabled) {
+      if (!this.encryptionManager.activate()) {
+        return false;
+      }
+    } else {
+      // Without the key, encrypted items can't be decrypted - turning encryption off would destroy them
+      if (!this.encryptionManager.hasKey() && this.historyManager.db.hasEncryptedContent()) {
+        console.error('Cannot turn off history encryption: the key is unavailable and items are still encrypted');
+        return false;
+      }
+
+      // The key stays loaded until everything is decrypted
+      this.encryptionManager.deactivate();
+    }
+
+    this.historyManager.db.setEncryption(this.encryptionManager);
+    const items = this.historyManager.db.convertEncryption();
+    const images = await this.imageStorageManager.convertEncryption();
+    console.log(`History encryption ${enabled ? 'enabled' : 'disabled'} (${items.converted} items, ${items.failed + images.failed} unreadable)`);
+
+    // Keep the key while any item or file is still encrypted with it
+    if (!enabled && items.failed === 0 && images.failed === 0) {
+      this.encryptionManager.forgetKey();
+    }
+    return true;
+  }
+
+  /**
+   * Text item created inside PasteBro (saved transformations and edits), classified and tagged like a capture
+   */
+  createTextItem(text) {
+    const item = ClipboardItem.fromText(text);
+    const classification = classifyText(text);
+    Object.assign(item, this.clipboardMonitor.classifyContent(text, classification));
+    item.tags = this.clipboardMonitor.getSuggestedTags(text, classification);
+    return item;
+  }
+
+  isLockEnabled() {
+    return Boolean(this.appLock && this.preferencesManager.get('appLockEnabled') && this.appLock.hasPasscode());
+  }
+
+  isLocked() {
+    return Boolean(this.appLock && this.appLock.isLocked);
+  }
+
+  /**
+   * Lock the app: hide the sidebar, close history windows and empty the renderer
+   */
+  lockApp() {
+    if (!this.isLockEnabled() || this.isLocked()) {
+      return false;
+    }
+
+    this.appLock.lock();
+    this.pendingImport = null;
+
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.hide();
+      // Reloading drops rendered items; the reloaded page gets nothing while locked
+      this.mainWindow.webContents.reload();
+    }
+    for (const window of [this.historyViewerWindow, this.preferencesWindow]) {
+      if (window && !window.isDestroyed()) {
+        window.close();
+      }
+    }
+
+    this.updateTrayMenu();
+    console.log('App locked');
+    return true;
+  }
+
+  unlockApp() {
+    this.appLock.forceUnlock();
+
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.reload();
+    }
+    this.updateTrayMenu();
+
+    const action = this.pendingUnlockAction;
+    this.pendingUnlockAction = null;
+    if (this.lockWindow && !this.lockWindow.isDestroyed()) {
+      this.lockWindow.close();
+    }
+    if (action) {
+      action();
+    }
+  }
+
+  /**
+   * Run an action that shows history, asking to unlock first while locked
+   */
+  requireUnlock(action) {
+    if (!this.isLocked()) {
+      action();
+      return;
+    }
+
+    this.pendingUnlockAction = action;
+    this.openLockWindow();
+  }
+
+  canUseTouchID() {
+    if (process.platform !== 'darwin') {
+      return false;
+    }
+    const { systemPreferences } = require('electron');
+    return systemPreferences.canPromptTouchID();
+  }
+
+  /**
+   * Paste stack state for the sidebar (items in paste order, next first)
+   */
+  getPasteStackState() {
+    return {
+      isActive: this.pasteStack.isActive,
+      order: this.pasteStack.order,
+      items: this.isLocked() ? [] : this.pasteStack.getQueue().map(item => ({
+        id: item.id,
+        type: item.type,
+        preview: item.isSensitive ? '••••••••' : item.getPreview(80),
+        colorValue: item.colorValue
+      }))
+    };
+  }
+
+  handlePasteStackChange() {
+    this.updateTrayMenu();
+    this.updatePasteNextShortcut();
+
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('paste-stack-updated', this.getPasteStackState());
+    }
+  }
+
+  togglePasteStack() {
+    if (!this.pasteStack) {
+      return false;
+    }
+    if (!this.pasteStack.isActive) {
+      this.requestAccessibilityAccess();
+    }
+    return this.pasteStack.toggle();
+  }
+
+  /**
+   * Synthesized keystrokes need Accessibility access; macOS prompts once if it's missing
+   */
+  requestAccessibilityAccess() {
+    if (process.platform !== 'darwin') {
+      return true;
+    }
+    const { systemPreferences } = require('electron');
+    return systemPreferences.isTrustedAccessibilityClient(true);
+  }
+
+  /**
+   * Put the next queued item on the clipboard and paste it into the frontmost app
+   */
+  async pasteNextFromStack() {
+    if (!this.pasteStack || !this.pasteStack.isActive || this.isLocked()) {
+      return;
+    }
+
+    const item = this.pasteStack.next();
+    if (!item) {
+      shell.beep();
+      return;
+    }
+
+    try {
+      this.clipboardMonitor.pauseMonitoring();
+      await this.writeItemToClipboard(item);
+
+      // Don't collect our own write back into the stack
+      this.clipboardMonitor.ignoreCurrentContent();
+      this.simulatePaste();
+    } catch (error) {
+      console.error('Error pasting from paste stack:', error);
+    } finally {
+      this.clipboardMonitor.resumeMonitoring();
+    }
+  }
+
+  /**
+   * Send Cmd+V to the frontmost app (requires Accessibility permission)
+   * Optionally activates targetApp ({ name, bundleId }) first and moves the caret
+   * cursorOffset characters back from the end of the pasted text
+   */
+  simulatePaste({ targetApp = null, cursorOffset = null } = {}) {
+    if (process.platform !== 'darwin') {
+      return;
+    }
+
+    // App identifiers are passed as arguments, never interpolated into the script
+    const script = ['on run argv'];
+    if (targetApp && targetApp.bundleId) {
+      script.push('tell application id (item 1 of argv) to activate', 'delay 0.1');
+    } else if (targetApp && targetApp.name) {
+      script.push('tell application (item 1 of argv) to activate', 'delay 0.1');
+    }
+    script.push('tell application "System Events"', 'keystroke "v" using command down');
+    if (cursorOffset > 0) {
+      script.push('delay 0.05', `repeat ${Math.min(cursorOffset, 10000)} times`, 'key code 123', 'end repeat');
+    }
+    script.push('end tell', 'end run');
+
+    const args = script.flatMap(line => ['-e', line]);
+    if (targetApp && (targetApp.bundleId || targetApp.name)) {
+      args.push(targetApp.bundleId || targetApp.name);
+    }
+
+    const { execFile } = require('child_process');
+    execFile('osascript', args, { timeout: 5000 }, (error) => {
+      if (error) {
+        console.error('Error simulating paste:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Hide the sidebar and paste into the app that was active before it was shown
+   */
+  pasteIntoPreviousApp(cursorOffset = null) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.hide();
+    }
+
+    // Without a captured app, hiding PasteBro hands focus back to the previous app
+    if (!this.previousApp) {
+      app.hide();
+    }
+
+    this.simulatePaste({ targetApp: this.previousApp, cursorOffset });
+  }
+
+  /**
+   * Write a history item (or snippet) to the system clipboard in its native format
+   * Returns { cursorOffset } (set for snippets with a {{cursor}} placeholder)
+   */
+  async writeItemToClipboard(item) {
+    if (item.type === 'text' || item.type === 'richText') {
+      if (item.richText && this.preferencesManager.get('copyWithFormatting')) {
+        // Write both HTML and RTF to preserve formatting across apps
+        clipboard.write({
+          text: item.plainText || '',
+          html: item.richText,
+          rtf: item.richText // RTF format for apps like Word, Pages
+        });
+      } else {
+        clipboard.writeText(item.plainText || '');
+      }
+    } else if (item.type === 'image') {
+      const { nativeImage } = require('electron');
+      const fs = require('fs');
+
+      // ALWAYS migrate BLOB images to file storage when copying
+      if (item.imageData && !item.imagePath) {
+        console.log('Migrating BLOB image to file storage...');
+        try {
+          const { imagePath, thumbnailPath } = await this.imageStorageManager.saveImage(
+            item.imageData,
+            item.id
+          );
+
+          // Update database and clear BLOB data
+          await this.historyManager.db.update(item.id, {
+            image_path: imagePath,
+            thumbnail_path: thumbnailPath,
+            image_data: null,
+            thumbnail_data: null
+          });
+
+          item.imagePath = imagePath;
+          item.thumbnailPath = thumbnailPath;
+
+          // Clear BLOB data from memory
+          item.imageData = null;
+          item.imageThumbnail = null;
+
+          console.log('Migration successful:', imagePath);
+        } catch (error) {
+          console.error('Migration failed:', error);
+        }
+      }
+
+      // Copy image to clipboard
+      if (item.imagePath && fs.existsSync(item.imagePath)) {
+        // Load from file storage
+        const imageBuffer = await this.imageStorageManager.readStoredFile(item.imagePath);
+        const image = nativeImage.createFromBuffer(imageBuffer);
+        clipboard.writeImage(image);
+      } else if (item.imageData) {
+        // Fallback to BLOB data
+        const buffer = Buffer.isBuffer(item.imageData)
+          ? item.imageData
+          : Buffer.from(item.imageData);
+        const image = nativeImage.createFromBuffer(buffer);
+        clipboard.writeImage(image);
+      }
+    } else if (item.type === 'color') {
+      // Copy in the requested notation, or as originally copied
+      const text = item.colorFormat
+        ? formatColor(item.colorValue, item.colorFormat)
+        : (item.plainText || item.colorValue || '');
+      clipboard.writeText(text);
+    } else if (item.type === 'code') {
+      // Syntax-highlighted HTML/RTF for editors, the plain source for everything else
+      clipboard.write(highlightForClipboard(item.plainText || '', item.codeLanguage));
+    } else if (item.type === 'snippet') {
+      // Expand placeholders; {{clipboard}} refers to what was on the clipboard before this copy
+      const { text, cursorOffset } = this.snippetManager.expandSnippet(item.snippetId, {
+        clipboardText: clipboard.readText(),
+        inputs: item.inputs || {}
+      });
+      clipboard.writeText(text);
+      return { cursorOffset };
+    } else if (item.type === 'multi-file' && item.filePaths) {
+      // Copy multiple files to clipboard
+      const paths = typeof item.filePaths === 'string'
+        ? JSON.parse(item.filePaths)
+        : item.filePaths;
+
+      // Write file URLs in macOS format
+      const fileUrls = paths.map(p => `file://${p}`).join('\n');
+      clipboard.write({
+        text: paths.map(p => p.split('/').pop()).join('\n'),
+        bookmark: fileUrls
+      });
+    } else if (item.type === 'file' && item.filePaths) {
+      // Copy file paths
+      const paths = typeof item.filePaths === 'string'
+        ? JSON.parse(item.filePaths)
+        : item.filePaths;
+      clipboard.writeText(paths.join('\n'));
+    }
+
+    return { cursorOffset: null };
+  }
+
   setupIpcHandlers() {
     // Get clipboard history
     ipcMain.handle('get-clipboard-history', async () => {
       try {
+        // Nothing leaves the main process while the app is locked
+        if (this.isLocked()) {
+          return [];
+        }
+
         const limit = this.preferencesManager.get('sidebarItemLimit') || 100;
         const items = await this.historyManager.getItems({ limit, offset: 0 });
 
@@ -286,93 +852,38 @@ class PasteBroApp {
     });
 
     // Copy item to clipboard
-    ipcMain.handle('copy-to-clipboard', async (event, item) => {
+    // options.invertPaste flips the pasteAfterCopy preference for this copy (Shift+Enter)
+    // options.transform writes a transformed copy of the text; options.saveTransformed keeps it in history
+    ipcMain.handle('copy-to-clipboard', async (event, item, options = {}) => {
       try {
+        if (this.isLocked()) {
+          return false;
+        }
+
         // Pause monitoring to avoid capturing our own copy
         this.clipboardMonitor.pauseMonitoring();
 
-        if (item.type === 'text' || item.type === 'richText') {
-          if (item.richText && this.preferencesManager.get('copyWithFormatting')) {
-            // Write both HTML and RTF to preserve formatting across apps
-            clipboard.write({
-              text: item.plainText || '',
-              html: item.richText,
-              rtf: item.richText // RTF format for apps like Word, Pages
-            });
-          } else {
-            clipboard.writeText(item.plainText || '');
-          }
-        } else if (item.type === 'image') {
-          const { nativeImage } = require('electron');
-          const fs = require('fs');
-
-          // ALWAYS migrate BLOB images to file storage when copying
-          if (item.imageData && !item.imagePath) {
-            console.log('Migrating BLOB image to file storage...');
-            try {
-              const { imagePath, thumbnailPath } = await this.imageStorageManager.saveImage(
-                item.imageData,
-                item.id
-              );
-
-              // Update database and clear BLOB data
-              await this.historyManager.db.update(item.id, {
-                image_path: imagePath,
-                thumbnail_path: thumbnailPath,
-                image_data: null,
-                thumbnail_data: null
-              });
-
-              item.imagePath = imagePath;
-              item.thumbnailPath = thumbnailPath;
-
-              // Clear BLOB data from memory
-              item.imageData = null;
-              item.imageThumbnail = null;
+        // Transformations work on a copy; the stored item is left untouched
+        let target = item;
+        if (options.transform) {
+          target = { type: 'text', plainText: applyTransform(options.transform, item.plainText), skipTimestampUpdate: true };
+        } else if (options.highlight) {
+          target = { type: 'code', plainText: item.plainText, codeLanguage: item.codeLanguage, skipTimestampUpdate: true };
+        }
 
-              console.log('Migration successful:', imagePath);
-            } catch (error) {
-              console.error('Migration failed:', error);
-            }
-          }
+        const { cursorOffset } = await this.writeItemToClipboard(target);
 
-          // Copy image to clipboard
-          if (item.imagePath && fs.existsSync(item.imagePath)) {
-            // Load from file storage
-            const imageBuffer = fs.readFileSync(item.imagePath);
-            const image = nativeImage.createFromBuffer(imageBuffer);
-            clipboard.writeImage(image);
-          } else if (item.imageData) {
-            // Fallback to BLOB data
-            const buffer = Buffer.isBuffer(item.imageData)
-              ? item.imageData
-              : Buffer.from(item.imageData);
-            const image = nativeImage.createFromBuffer(buffer);
-            clipboard.writeImage(image);
+        if (target !== item) {
+          // Only record the result when asked to
+          this.clipboardMonitor.ignoreCurrentContent();
+          if (options.saveTransformed) {
+            this.handleClipboardChange(this.createTextItem(target.plainText));
           }
-        } else if (item.type === 'multi-file' && item.filePaths) {
-          // Copy multiple files to clipboard
-          const paths = typeof item.filePaths === 'string'
-            ? JSON.parse(item.filePaths)
-            : item.filePaths;
-
-          // Write file URLs in macOS format
-          const fileUrls = paths.map(p => `file://${p}`).join('\n');
-          clipboard.write({
-            text: paths.map(p => p.split('/').pop()).join('\n'),
-            bookmark: fileUrls
-          });
-        } else if (item.type === 'file' && item.filePaths) {
-          // Copy file paths
-          const paths = typeof item.filePaths === 'string'
-            ? JSON.parse(item.filePaths)
-            : item.filePaths;
-          clipboard.writeText(paths.join('\n'));
         }
 
         // Update timestamp to move item to top (unless it's a multi-item copy)
-        if (item.id && !item.skipTimestampUpdate) {
-          await this.historyManager.db.update(item.id, {
+        if (target.id && !target.skipTimestampUpdate) {
+          await this.historyManager.db.update(target.id, {
             timestamp: Date.now()
           });
         }
@@ -382,8 +893,12 @@ class PasteBroApp {
           this.clipboardMonitor.resumeMonitoring();
         }, 100);
 
-        // Auto-hide if preference is set
-        if (this.preferencesManager.get('autoHideAfterCopy')) {
+        const shouldPaste = Boolean(this.preferencesManager.get('pasteAfterCopy')) !== Boolean(options && options.invertPaste);
+
+        if (shouldPaste) {
+          this.pasteIntoPreviousApp(cursorOffset);
+        } else if (this.preferencesManager.get('autoHideAfterCopy')) {
+          // Auto-hide if preference is set
           this.mainWindow.hide();
         }
 
@@ -395,13 +910,91 @@ class PasteBroApp {
       }
     });
 
+    // Syntax highlighting for code previews
+    ipcMain.handle('highlight-code', async (event, text, language) => {
+      try {
+        return highlight(text, language);
+      } catch (error) {
+        console.error('Error highlighting code:', error);
+        return { language: null, lines: String(text || '').split('\n') };
+      }
+    });
+
+    // File metadata for previews; a single file also gets a text preview
+    ipcMain.handle('get-file-info', async (event, filePaths) => {
+      try {
+        if (this.isLocked()) {
+          return [];
+        }
+
+        // Large multi-file items only list their first 100 files
+        const paths = filePaths.slice(0, 100);
+        return await Promise.all(paths.map(filePath => getFileInfo(filePath, { includePreview: paths.length === 1 })));
+      } catch (error) {
+        console.error('Error getting file info:', error);
+        return [];
+      }
+    });
+
+    // Text transformations offered in the sidebar
+    ipcMain.handle('get-text-transforms', async () => {
+      try {
+        return getTransforms();
+      } catch (error) {
+        console.error('Error getting text transforms:', error);
+        return [];
+      }
+    });
+
+    // Paste stack
+    ipcMain.handle('get-paste-stack', async () => {
+      try {
+        return this.getPasteStackState();
+      } catch (error) {
+        console.error('Error getting paste stack:', error);
+        return { isActive: false, order: 'fifo', items: [] };
+      }
+    });
+
+    ipcMain.handle('toggle-paste-stack', async () => {
+      try {
+        return this.togglePasteStack();
+      } catch (error) {
+        console.error('Error toggling paste stack:', error);
+        return false;
+      }
+    });
+
+    ipcMain.handle('clear-paste-stack', async () => {
+      try {
+        this.pasteStack.clear();
+        return true;
+      } catch (error) {
+        console.error('Error clearing paste stack:', error);
+        return false;
+      }
+    });
+
+    ipcMain.handle('remove-from-paste-stack', async (event, id) => {
+      try {
+        return this.pasteStack.remove(id);
+      } catch (error) {
+        console.error('Error removing from paste stack:', error);
+        return false;
+      }
+    });
+
     // Copy multiple images - Creative workaround using file URLs
     ipcMain.handle('copy-multiple-images', async (event, items) => {
       try {
+        if (this.isLocked()) {
+          return false;
+        }
+
         this.clipboardMonitor.pauseMonitoring();
 
         const fs = require('fs');
-        const filePaths = [];
+        let filePaths = [];
 
         // Collect all image file paths
         for (const item of items) {
@@ -410,6 +1003,11 @@ class PasteBroApp {
           }
         }
 
+        // Other apps get decrypted copies, never the encrypted originals
+        if (this.encryptionManager.hasKey()) {
+          filePaths = await this.imageStorageManager.exportImages(filePaths);
+        }
+
         console.log(`Copying ${filePaths.length} images as file references`);
 
         if (filePaths.length > 0) {
@@ -450,6 +1048,10 @@ class PasteBroApp {
     // Delete item
     ipcMain.handle('delete-item', async (event, itemId) => {
       try {
+        if (this.isLocked()) {
+          return false;
+        }
+
         await this.historyManager.moveToTrash([itemId]);
         return true;
       } catch (error) {
@@ -461,6 +1063,10 @@ class PasteBroApp {
     // Pin/unpin item
     ipcMain.handle('pin-item', async (event, itemId) => {
       try {
+        if (this.isLocked()) {
+          return false;
+        }
+
         await this.historyManager.togglePin(itemId);
         return true;
       } catch (error) {
@@ -469,11 +1075,86 @@ class PasteBroApp {
       }
     });
 
+    // Edit the text of an item; returns the saved item (a new one with saveAsNew) or null
+    ipcMain.handle('update-item', async (event, itemId, text, options = {}) => {
+      try {
+        if (this.isLocked()) {
+          return null;
+        }
+
+        if (options.saveAsNew) {
+          const item = this.createTextItem(text);
+          await this.handleClipboardChange(item);
+          return item.toDatabase();
+        }
+
+        const item = await this.historyManager.updateItemText(itemId, text);
+        return item ? item.toDatabase() : null;
+      } catch (error) {
+        console.error('Error updating item:', error);
+        return null;
+      }
+    });
+
+    // Join text items (in the given order) into a new history item; returns the new item or null
+    ipcMain.handle('merge-items', async (event, itemIds, options = {}) => {
+      try {
+        if (this.isLocked()) {
+          return null;
+        }
+
+        const { format = 'plain', separator = '\n' } = options || {};
+        if (typeof format !== 'string' || typeof separator !== 'string' || separator.length > 100) {
+          return null;
+        }
+
+        const items = await Promise.all(itemIds.map(id => this.historyManager.getItemById(id)));
+
+        // Sensitive items are masked in the sidebar, so they never leak into a merge
+        const texts = items
+          .filter(item => item && !item.isSensitive && (item.type === 'text' || item.type === 'richText'))
+          .map(item => item.plainText || '');
+        if (texts.length < 2) {
+          return null;
+        }
+
+        const item = this.createTextItem(mergeTexts(texts, { format, separator }));
+        await this.handleClipboardChange(item);
+        return item.toDatabase();
+      } catch (error) {
+        console.error('Error merging items:', error);
+        return null;
+      }
+    });
+
+    // Mark items sensitive with a time-to-live in minutes (null or 0 = no expiry), or clear the mark
+    // Returns the updated items
+    ipcMain.handle('set-items-sensitive', async (event, itemIds, sensitive, ttlMinutes = null) => {
+      try {
+        if (this.isLocked()) {
+          return [];
+        }
+
+        const minutes = Math.min(Math.max(0, parseInt(ttlMinutes, 10) || 0), 7 * 24 * 60);
+        this.historyManager.setSensitive(itemIds, sensitive, minutes || null);
+        const items = await Promise.all(itemIds.map(id => this.historyManager.getItemById(id)));
+        return items.filter(Boolean).map(item => item.toDatabase());
+      } catch (error) {
+        console.error('Error marking items sensitive:', error);
+        return [];
+      }
+    });
+
     // Search items
-    ipcMain.handle('search-items', async (event, query) => {
+    ipcMain.handle('search-items', async (event, query, options = {}) => {
       try {
-        const items = await this.historyManager.searchItems(query, { limit: 50 });
-        return items.map(item => item.toDatabase());
+        if (this.isLocked()) {
+          return [];
+        }
+
+        const limit = Math.min(1000, Math.max(1, parseInt(options && options.limit, 10) || 50));
+        const items = await this.historyManager.searchItems(query, { limit });
+        return items.map(item => ({ ...item.toDatabase(), snippet: item.snippet || null }));
       } catch (error) {
         console.error('Error searching items:', error);
         return [];
@@ -490,37 +1171,378 @@ class PasteBroApp {
       }
     });
 
-    // Update preferences
-    ipcMain.handle('update-preferences', async (event, prefs) => {
+    // Update preferences
+    ipcMain.handle('update-preferences', async (event, prefs) => {
+      try {
+        if (this.isLocked()) {
+          return false;
+        }
+
+        const hotkeyKeys = ['globalHotkey', 'pasteStackHotkey', 'pasteNextHotkey'];
+        const previousHotkeys = hotkeyKeys.map(key => this.preferencesManager.get(key));
+        const wasEncrypted = Boolean(this.preferencesManager.get('encryptHistory'));
+
+        this.preferencesManager.update(prefs);
+
+        // Encrypt or decrypt existing history; keep the old setting if that isn't possible
+        const encryptHistory = Boolean(this.preferencesManager.get('encryptHistory'));
+        if (encryptHistory !== wasEncrypted && !(await this.setHistoryEncryption(encryptHistory))) {
+          this.preferencesManager.update({ encryptHistory: wasEncrypted });
+          return false;
+        }
+
+        // The lock can't be turned on without a passcode
+        if (this.preferencesManager.get('appLockEnabled') && !this.appLock.hasPasscode()) {
+          this.preferencesManager.update({ appLockEnabled: false });
+          return false;
+        }
+
+        if ('appLockEnabled' in prefs) {
+          this.updateTrayMenu();
+        }
+
+        // Update history manager if relevant prefs changed
+        if (prefs.maxHistoryItems || prefs.retentionDays) {
+          this.historyManager.updatePreferences({
+            maxHistoryItems: this.preferencesManager.get('maxHistoryItems'),
+            retentionDays: this.preferencesManager.get('retentionDays')
+          });
+        }
+
+        if (prefs.pasteAfterCopy === true) {
+          this.requestAccessibilityAccess();
+        }
+
+        if ('pasteStackOrder' in prefs) {
+          this.pasteStack.setOrder(this.preferencesManager.get('pasteStackOrder'));
+        }
+
+        // Re-bind shortcuts when any hotkey changed
+        if (hotkeyKeys.some((key, index) => this.preferencesManager.get(key) !== previousHotkeys[index])) {
+          this.registerGlobalShortcuts();
+        }
+
+        // Update launch at login setting (only works in packaged app)
+        if ('launchAtLogin' in prefs && app.isPackaged) {
+          app.setLoginItemSettings({
+            openAtLogin: prefs.launchAtLogin,
+            openAsHidden: false
+          });
+        }
+
+        return true;
+      } catch (error) {
+        console.error('Error updating preferences:', error);
+        return false;
+      }
+    });
+
+    ipcMain.handle('get-encryption-status', async () => {
+      try {
+        return {
+          available: this.encryptionManager.isAvailable(),
+          enabled: this.encryptionManager.isActive,
+          // Backups that turning encryption off would make unreadable (the key is deleted)
+          encryptedBackups: await this.backupManager.countBackupsWithKey(this.getBackupFolder())
+        };
+      } catch (error) {
+        console.error('Error getting encryption status:', error);
+        return { available: false, enabled: false, encryptedBackups: 0 };
+      }
+    });
+
+    // App lock
+    ipcMain.handle('get-lock-status', async () => {
+      try {
+        return {
+          enabled: this.isLockEnabled(),
+          locked: this.isLocked(),
+          hasPasscode: this.appLock.hasPasscode(),
+          touchIdAvailable: this.canUseTouchID(),
+          useTouchID: Boolean(this.preferencesManager.get('lockUseTouchID'))
+        };
+      } catch (error) {
+        console.error('Error getting lock status:', error);
+        return { enabled: false, locked: false, hasPasscode: false, touchIdAvailable: false, useTouchID: false };
+      }
+    });
+
+    ipcMain.handle('set-lock-passcode', async (event, passcode) => {
+      try {
+        if (this.isLocked()) {
+          return false;
+        }
+        return this.appLock.setPasscode(passcode);
+      } catch (error) {
+        console.error('Error setting passcode:', error);
+        return false;
+      }
+    });
+
+    ipcMain.handle('unlock-app', async (event, passcode) => {
+      try {
+        if (!this.isLocked()) {
+          return { success: true, retryAfter: 0 };
+        }
+
+        const result = this.appLock.unlock(passcode);
+        if (result.success) {
+          this.unlockApp();
+        }
+        return result;
+      } catch (error) {
+        console.error('Error unlocking app:', error);
+        return { success: false, retryAfter: 0 };
+      }
+    });
+
+    ipcMain.handle('unlock-app-with-touch-id', async () => {
+      try {
+        if (!this.isLocked()) {
+          return true;
+        }
+        if (!this.preferencesManager.get('lockUseTouchID') || !this.canUseTouchID()) {
+          return false;
+        }
+
+        const { systemPreferences } = require('electron');
+        await systemPreferences.promptTouchID('show your clipboard history');
+        // The passcode may have been entered while the prompt was open
+        if (this.isLocked()) {
+          this.unlockApp();
+        }
+        return true;
+      } catch (error) {
+        // Rejected when cancelled or not recognized
+        console.error('Touch ID unlock failed:', error.message);
+        return false;
+      }
+    });
+
+    // Stop capturing from an application
+    ipcMain.handle('exclude-application', async (event, appName) => {
+      try {
+        if (this.isLocked()) {
+          return false;
+        }
+
+        if (typeof appName !== 'string' || !appName.trim()) {
+          return false;
+        }
+        this.preferencesManager.addExcludedApplication(appName.trim());
+        return true;
+      } catch (error) {
+        console.error('Error excluding application:', error);
+        return false;
+      }
+    });
+
+    // Tags
+    ipcMain.handle('get-tags', async () => {
+      try {
+        if (this.isLocked()) {
+          return [];
+        }
+
+        return this.historyManager.getTags();
+      } catch (error) {
+        console.error('Error getting tags:', error);
+        return [];
+      }
+    });
+
+    ipcMain.handle('add-tags', async (event, itemIds, tags) => {
+      try {
+        if (this.isLocked()) {
+          return [];
+        }
+
+        return this.historyManager.addTags(itemIds, tags);
+      } catch (error) {
+        console.error('Error adding tags:', error);
+        return [];
+      }
+    });
+
+    ipcMain.handle('remove-tag', async (event, itemIds, tag) => {
+      try {
+        if (this.isLocked()) {
+          return 0;
+        }
+
+        return this.historyManager.removeTag(itemIds, tag);
+      } catch (error) {
+        console.error('Error removing tag:', error);
+        return 0;
+      }
+    });
+
+    // Snippets
+    ipcMain.handle('get-snippets', async () => {
+      try {
+        if (this.isLocked()) {
+          return [];
+        }
+
+        return this.snippetManager.getSnippets();
+      } catch (error) {
+        console.error('Error getting snippets:', error);
+        return [];
+      }
+    });
+
+    ipcMain.handle('create-snippet', async (event, snippet) => {
+      try {
+        if (this.isLocked()) {
+          return null;
+        }
+
+        return this.snippetManager.createSnippet(snippet);
+      } catch (error) {
+        console.error('Error creating snippet:', error);
+        return null;
+      }
+    });
+
+    ipcMain.handle('update-snippet', async (event, snippetId, updates) => {
+      try {
+        if (this.isLocked()) {
+          return null;
+        }
+
+        return this.snippetManager.updateSnippet(snippetId, updates);
+      } catch (error) {
+        console.error('Error updating snippet:', error);
+        return null;
+      }
+    });
+
+    ipcMain.handle('delete-snippet', async (event, snippetId) => {
+      try {
+        if (this.isLocked()) {
+          return false;
+        }
+
+        return this.snippetManager.deleteSnippet(snippetId);
+      } catch (error) {
+        console.error('Error deleting snippet:', error);
+        return false;
+      }
+    });
+
+    // Collections
+    ipcMain.handle('get-collections', async () => {
+      try {
+        if (this.isLocked()) {
+          return [];
+        }
+
+        return this.collectionManager.getCollections();
+      } catch (error) {
+        console.error('Error getting collections:', error);
+        return [];
+      }
+    });
+
+    ipcMain.handle('get-collection-items', async (event, collectionId) => {
+      try {
+        if (this.isLocked()) {
+          return [];
+        }
+
+        const items = await this.historyManager.getItems({ collectionId, limit: 1000 });
+        return items.map(item => item.toDatabase());
+      } catch (error) {
+        console.error('Error getting collection items:', error);
+        return [];
+      }
+    });
+
+    ipcMain.handle('create-collection', async (event, name, color) => {
+      try {
+        if (this.isLocked()) {
+          return null;
+        }
+
+        return this.collectionManager.createCollection(name, color);
+      } catch (error) {
+        console.error('Error creating collection:', error);
+        return null;
+      }
+    });
+
+    ipcMain.handle('update-collection', async (event, collectionId, updates) => {
+      try {
+        if (this.isLocked()) {
+          return false;
+        }
+
+        return this.collectionManager.updateCollection(collectionId, updates);
+      } catch (error) {
+        console.error('Error updating collection:', error);
+        return false;
+      }
+    });
+
+    ipcMain.handle('reorder-collections', async (event, collectionIds) => {
+      try {
+        if (this.isLocked()) {
+          return false;
+        }
+
+        return this.collectionManager.reorderCollections(collectionIds);
+      } catch (error) {
+        console.error('Error reordering collections:', error);
+        return false;
+      }
+    });
+
+    ipcMain.handle('delete-collection', async (event, collectionId) => {
+      try {
+        if (this.isLocked()) {
+          return false;
+        }
+
+        return this.collectionManager.deleteCollection(collectionId);
+      } catch (error) {
+        console.error('Error deleting collection:', error);
+        return false;
+      }
+    });
+
+    ipcMain.handle('add-to-collection', async (event, collectionId, itemIds) => {
+      try {
+        if (this.isLocked()) {
+          return 0;
+        }
+
+        return this.collectionManager.addItems(collectionId, itemIds);
+      } catch (error) {
+        console.error('Error adding items to collection:', error);
+        return 0;
+      }
+    });
+
+    ipcMain.handle('remove-from-collection', async (event, collectionId, itemIds) => {
       try {
-        this.preferencesManager.update(prefs);
-
-        // Update history manager if relevant prefs changed
-        if (prefs.maxHistoryItems || prefs.retentionDays) {
-          this.historyManager.updatePreferences({
-            maxHistoryItems: this.preferencesManager.get('maxHistoryItems'),
-            retentionDays: this.preferencesManager.get('retentionDays')
-          });
-        }
-
-        // Update launch at login setting (only works in packaged app)
-        if ('launchAtLogin' in prefs && app.isPackaged) {
-          app.setLoginItemSettings({
-            openAtLogin: prefs.launchAtLogin,
-            openAsHidden: false
-          });
+        if (this.isLocked()) {
+          return 0;
         }
 
-        return true;
+        return this.collectionManager.removeItems(collectionId, itemIds);
       } catch (error) {
-        console.error('Error updating preferences:', error);
-        return false;
+        console.error('Error removing items from collection:', error);
+        return 0;
       }
     });
 
     // Restore from trash
     ipcMain.handle('restore-item', async (event, itemId) => {
       try {
+        if (this.isLocked()) {
+          return false;
+        }
+
         await this.historyManager.restoreFromTrash([itemId]);
         return true;
       } catch (error) {
@@ -532,6 +1554,10 @@ class PasteBroApp {
     // Empty trash
     ipcMain.handle('empty-trash', async () => {
       try {
+        if (this.isLocked()) {
+          return 0;
+        }
+
         const count = await this.historyManager.emptyTrash();
         return count;
       } catch (error) {
@@ -543,6 +1569,10 @@ class PasteBroApp {
     // Clear all history (except pinned)
     ipcMain.handle('clear-all-history', async () => {
       try {
+        if (this.isLocked()) {
+          return 0;
+        }
+
         const count = await this.historyManager.clearAllHistory();
         return count;
       } catch (error) {
@@ -552,28 +1582,77 @@ class PasteBroApp {
     });
 
     // Export history
-    ipcMain.handle('export-history', async () => {
+    // options: { format: archive|json|csv|markdown|html, from, to, type, tag, pinnedOnly }
+    ipcMain.handle('export-history', async (event, options = {}) => {
       try {
+        if (this.isLocked()) {
+          return { success: false };
+        }
+
+        const fileTypes = {
+          archive: { name: 'PasteBro Archive (with images)', extension: 'tgz' },
+          json: { name: 'JSON Files', extension: 'json' },
+          csv: { name: 'CSV Files', extension: 'csv' },
+          markdown: { name: 'Markdown Files', extension: 'md' },
+          html: { name: 'Web Pages', extension: 'html' }
+        };
+        const format = fileTypes[options.format] ? options.format : 'archive';
+        const { name, extension } = fileTypes[format];
+
         const { dialog } = require('electron');
         const result = await dialog.showSaveDialog({
           title: 'Export Clipboard History',
-          defaultPath: `pastebro-export-${Date.now()}.json`,
+          defaultPath: `pastebro-export-${Date.now()}.${extension}`,
           filters: [
-            { name: 'JSON Files', extensions: ['json'] }
+            { name, extensions: [extension] }
           ]
         });
 
         if (!result.canceled && result.filePath) {
-          const items = await this.historyManager.getItems({ limit: 10000 });
-          const exportData = {
-            version: 1,
-            exportDate: Date.now(),
-            items: items.map(item => item.toDatabase())
-          };
-
+          const items = await this.historyManager.getAllItems(toQueryFilters(normalizeFilters(options)));
           const fs = require('fs');
-          fs.writeFileSync(result.filePath, JSON.stringify(exportData, null, 2));
-          return { success: true, path: result.filePath };
+
+          if (format === 'archive') {
+            // Archive with the image and thumbnail files (decrypted, so it opens on any Mac)
+            const imageCount = await writeHistoryArchive(
+              result.filePath,
+              items.map(item => item.toDatabase()),
+              (filePath) => this.imageStorageManager.readStoredFile(filePath)
+            );
+            return { success: true, path: result.filePath, count: items.length, imageCount };
+          }
+
+          let output;
+          if (format === 'json') {
+            output = JSON.stringify({
+              version: 1,
+              exportDate: Date.now(),
+              items: items.map(item => item.toDatabase())
+            }, null, 2);
+          } else if (format === 'csv') {
+            output = formatCsv(items);
+          } else if (format === 'markdown') {
+            output = formatMarkdown(items);
+          } else {
+            // Thumbnails are embedded so the page works on its own
+            const thumbnails = new Map();
+            for (const item of items) {
+              if (item.type === 'image' && item.thumbnailPath && !item.isSensitive) {
+                try {
+                  const thumbnail = await this.imageStorageManager.readStoredFile(item.thumbnailPath);
+                  if (thumbnail) {
+                    thumbnails.set(item.id, thumbnail.toString('base64'));
+                  }
+                } catch (err) {
+                  console.error('Error reading thumbnail for export:', err.message);
+                }
+              }
+            }
+            output = formatHtml(items, thumbnails);
+          }
+
+          fs.writeFileSync(result.filePath, output);
+          return { success: true, path: result.filePath, count: items.length };
         }
 
         return { success: false };
@@ -583,53 +1662,287 @@ class PasteBroApp {
       }
     });
 
-    // Import history
-    ipcMain.handle('import-history', async (event, merge = true) => {
+    // Export preferences (including capture rules)
+    ipcMain.handle('export-preferences', async () => {
+      try {
+        const { dialog } = require('electron');
+        const result = await dialog.showSaveDialog({
+          title: 'Export Preferences',
+          defaultPath: 'pastebro-preferences.json',
+          filters: [
+            { name: 'JSON Files', extensions: ['json'] }
+          ]
+        });
+
+        if (!result.canceled && result.filePath && this.preferencesManager.exportToFile(result.filePath)) {
+          return { success: true, path: result.filePath };
+        }
+
+        return { success: false };
+      } catch (error) {
+        console.error('Error exporting preferences:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Import preferences (including capture rules)
+    ipcMain.handle('import-preferences', async () => {
       try {
+        if (this.isLocked()) {
+          return { success: false };
+        }
+
         const { dialog } = require('electron');
         const result = await dialog.showOpenDialog({
-          title: 'Import Clipboard History',
+          title: 'Import Preferences',
           filters: [
             { name: 'JSON Files', extensions: ['json'] }
           ],
           properties: ['openFile']
         });
 
-        if (!result.canceled && result.filePaths.length > 0) {
-          const fs = require('fs');
-          const data = JSON.parse(fs.readFileSync(result.filePaths[0], 'utf8'));
+        if (result.canceled || result.filePaths.length === 0 || !this.preferencesManager.importFromFile(result.filePaths[0])) {
+          return { success: false };
+        }
 
-          if (!data.items || !Array.isArray(data.items)) {
-            throw new Error('Invalid export file format');
-          }
+        // Apply the settings that live outside the preferences file
+        this.historyManager.updatePreferences({
+          maxHistoryItems: this.preferencesManager.get('maxHistoryItems'),
+          retentionDays: this.preferencesManager.get('retentionDays')
+        });
+        this.pasteStack.setOrder(this.preferencesManager.get('pasteStackOrder'));
+        this.registerGlobalShortcuts();
+        this.updateTrayMenu();
 
-          // Clear existing history if not merging
-          if (!merge) {
-            await this.historyManager.clearAllHistory();
-          }
+        return { success: true };
+      } catch (error) {
+        console.error('Error importing preferences:', error);
+        return { success: false, error: error.message };
+      }
+    });
 
-          // Import items
-          let importedCount = 0;
-          for (const itemData of data.items) {
-            try {
-              const item = ClipboardItem.fromDatabase(itemData);
-              await this.historyManager.addItem(item);
-              importedCount++;
-            } catch (err) {
-              console.error('Error importing item:', err);
-            }
-          }
+    // Import history, step 1: read a file and summarize it without changing anything
+    // (PasteBro exports and other clipboard managers' exports, see historyImporters.js)
+    ipcMain.handle('preview-import', async () => {
+      try {
+        if (this.isLocked()) {
+          return { success: false };
+        }
+
+        const { dialog } = require('electron');
+        const result = await dialog.showOpenDialog({
+          title: 'Import Clipboard History',
+          filters: [
+            { name: 'Clipboard Exports', extensions: ['tgz', 'json', 'csv', 'tsv', 'txt', 'sqlite', 'db'] },
+            { name: 'All Files', extensions: ['*'] }
+          ],
+          properties: ['openFile']
+        });
 
-          return { success: true, count: importedCount };
+        if (result.canceled || result.filePaths.length === 0) {
+          return { success: false };
         }
 
-        return { success: false };
+        const filePath = result.filePaths[0];
+        const isArchive = isHistoryArchive(filePath);
+        let source = 'PasteBro';
+        let items;
+        let skipped = 0;
+
+        if (isArchive) {
+          // Only the manifest; images are stored once the import is confirmed
+          items = (await readHistoryArchive(filePath)).map(itemData => ClipboardItem.fromDatabase(itemData));
+        } else {
+          ({ source, items, skipped } = readImportFile(filePath));
+        }
+
+        const duplicates = items.filter(item => this.historyManager.db.existsByHash(item.contentHash)).length;
+        this.pendingImport = { filePath, isArchive, items };
+
+        return { success: true, source, skipped, duplicates, ...summarizeImport(items) };
+      } catch (error) {
+        console.error('Error reading import file:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cancel-import', () => {
+      this.pendingImport = null;
+    });
+
+    // Import history, step 2: add the previewed items
+    // policy decides how copies already in the history are merged (see HistoryManager.importItems)
+    ipcMain.handle('import-history', async (event, merge = true, policy = 'newest') => {
+      try {
+        const pending = this.pendingImport;
+        this.pendingImport = null;
+        if (!pending || this.isLocked()) {
+          return { success: false };
+        }
+
+        let items = pending.items;
+        if (pending.isArchive) {
+          // Images are staged, then stored under the ids of the items that get added
+          const archiveItems = await readHistoryArchive(pending.filePath,
+            (kind, fileName, data) => this.imageStorageManager.importFile(kind, fileName, data));
+          items = archiveItems.map(itemData => ClipboardItem.fromDatabase(itemData));
+        }
+
+        // Items keep their original timestamps and pins; replacing clears the history first
+        const report = await this.historyManager.importItems(items, { policy, replace: !merge });
+        return { success: true, ...report };
       } catch (error) {
         console.error('Error importing history:', error);
         return { success: false, error: error.message };
+      } finally {
+        // Images of merged, skipped or failed items
+        await this.imageStorageManager.clearImports().catch(error => console.error('Error clearing imported images:', error));
+      }
+    });
+
+    // Backups
+    ipcMain.handle('get-backup-status', async () => {
+      try {
+        const folder = this.getBackupFolder();
+        return {
+          folder,
+          lastBackupAt: await this.backupManager.getLastBackupTime(folder),
+          count: (await this.backupManager.listBackups(folder)).length
+        };
+      } catch (error) {
+        console.error('Error getting backup status:', error);
+        return { folder: null, lastBackupAt: null, count: 0 };
+      }
+    });
+
+    ipcMain.handle('choose-backup-folder', async () => {
+      try {
+        const { dialog } = require('electron');
+        const result = await dialog.showOpenDialog({
+          title: 'Choose Backup Folder',
+          defaultPath: this.getBackupFolder(),
+          properties: ['openDirectory', 'createDirectory']
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+          return null;
+        }
+
+        this.preferencesManager.update({ backupFolder: result.filePaths[0] });
+        this.lastBackupAt = null;
+        return result.filePaths[0];
+      } catch (error) {
+        console.error('Error choosing backup folder:', error);
+        return null;
+      }
+    });
+
+    ipcMain.handle('backup-now', async () => {
+      try {
+        if (this.isLocked()) {
+          return { success: false };
+        }
+
+        const backup = await this.runBackup();
+        return backup ? { success: true, ...backup } : { success: false, error: 'A backup is already running' };
+      } catch (error) {
+        console.error('Error backing up:', error);
+        return { success: false, error: error.message };
       }
     });
 
+    // Restore, step 1: pick a backup, verify it and summarize what it holds
+    ipcMain.handle('preview-restore', async () => {
+      try {
+        if (this.isLocked()) {
+          return { success: false };
+        }
+
+        const { dialog } = require('electron');
+        const result = await dialog.showOpenDialog({
+          title: 'Restore from Backup',
+          defaultPath: this.getBackupFolder(),
+          properties: ['openDirectory']
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+          return { success: false };
+        }
+
+        const backup = await this.backupManager.readBackup(result.filePaths[0]);
+        if (backup.encrypted && !await this.backupManager.canDecrypt(backup.path)) {
+          return { success: false, error: 'This backup is encrypted with a key that is no longer on this Mac' };
+        }
+        this.pendingRestore = backup;
+        return { success: true, ...backup };
+      } catch (error) {
+        console.error('Error reading backup:', error);
+        return { success: false, error: error.code === 'ENOENT' ? 'This folder is not a PasteBro backup' : error.message };
+      }
+    });
+
+    ipcMain.handle('cancel-restore', () => {
+      this.pendingRestore = null;
+    });
+
+    // Restore, step 2: back up the current history, swap in the backup and relaunch
+    ipcMain.handle('restore-backup', async () => {
+      const backup = this.pendingRestore;
+      this.pendingRestore = null;
+      if (!backup || this.isLocked()) {
+        return { success: false };
+      }
+      // The key isn't backed up, so encrypted items could never be read again (checked again in
+      // case encryption was turned off since the preview)
+      try {
+        if (backup.encrypted && !await this.backupManager.canDecrypt(backup.path)) {
+          return { success: false, error: 'This backup is encrypted with a key that is no longer on this Mac' };
+        }
+      } catch (error) {
+        console.error('Error checking backup key:', error);
+        return { success: false, error: error.message };
+      }
+      const backupPath = backup.path;
+
+      try {
+        // Keep the current history in case the restore isn't what was wanted (not rotated)
+        if (!await this.runBackup(0)) {
+          return { success: false, error: 'A backup is already running. Try again when it has finished.' };
+        }
+      } catch (error) {
+        console.error('Error backing up before restore:', error);
+        return { success: false, error: `The current history could not be backed up: ${error.message}` };
+      }
+
+      let closed = false;
+      try {
+        await this.backupManager.restoreBackup(backupPath, () => {
+          closed = true;
+          this.isQuitting = true;
+          for (const interval of ['migrationInterval', 'expiryInterval', 'lockInterval', 'backupInterval']) {
+            if (this[interval]) {
+              clearInterval(this[interval]);
+              this[interval] = null;
+            }
+          }
+          this.clipboardMonitor.stopMonitoring();
+          this.historyManager.close();
+        });
+        console.log(`Restored backup ${backupPath}`);
+      } catch (error) {
+        console.error('Error restoring backup:', error);
+        const message = closed
+          ? `${error.message}. Your history was left as it was; restart PasteBro to continue.`
+          : error.message;
+        return { success: false, error: message };
+      }
+
+      // Start over with the restored database
+      app.relaunch();
+      app.exit(0);
+      return { success: true };
+    });
+
     // Hide sidebar
     ipcMain.on('hide-sidebar', () => {
       this.mainWindow.hide();
@@ -728,6 +2041,26 @@ class PasteBroApp {
 
     this.tray.setToolTip('PasteBro');
 
+    this.updateTrayMenu();
+
+    // Tray icon click removed - use menu or hotkey instead
+  }
+
+  /**
+   * Rebuild the tray menu (reflects paste stack state)
+   */
+  updateTrayMenu() {
+    if (!this.tray) {
+      return;
+    }
+
+    const stackActive = Boolean(this.pasteStack && this.pasteStack.isActive);
+    // The stack size hints at what was copied, so it's hidden while locked
+    const stackSize = this.pasteStack && !this.isLocked() ? this.pasteStack.size : 0;
+    const lockItems = this.isLockEnabled()
+      ? [{ label: this.isLocked() ? 'Locked' : 'Lock Now', enabled: !this.isLocked(), click: () => this.lockApp() }]
+      : [];
+
     const contextMenu = Menu.buildFromTemplate([
       {
         label: 'Show Sidebar',
@@ -742,6 +2075,15 @@ class PasteBroApp {
         click: () => this.openPreferences()
       },
       { type: 'separator' },
+      {
+        label: stackActive && stackSize > 0 ? `Paste Stack (${stackSize})` : 'Paste Stack',
+        type: 'checkbox',
+        checked: stackActive,
+        enabled: Boolean(this.pasteStack),
+        click: () => this.togglePasteStack()
+      },
+      ...lockItems,
+      { type: 'separator' },
       {
         label: 'Quit',
         click: () => {
@@ -753,6 +2095,24 @@ class PasteBroApp {
             this.migrationInterval = null;
           }
 
+          // Stop expiry timer
+          if (this.expiryInterval) {
+            clearInterval(this.expiryInterval);
+            this.expiryInterval = null;
+          }
+
+          // Stop idle lock timer
+          if (this.lockInterval) {
+            clearInterval(this.lockInterval);
+            this.lockInterval = null;
+          }
+
+          // Stop backup timer
+          if (this.backupInterval) {
+            clearInterval(this.backupInterval);
+            this.backupInterval = null;
+          }
+
           // Stop monitoring immediately
           if (this.clipboardMonitor) {
             this.clipboardMonitor.stopMonitoring();
@@ -770,8 +2130,6 @@ class PasteBroApp {
     ]);
 
     this.tray.setContextMenu(contextMenu);
-
-    // Tray icon click removed - use menu or hotkey instead
   }
 
   registerGlobalShortcuts() {
@@ -821,6 +2179,57 @@ class PasteBroApp {
         }
       }
     }, 5 * 60 * 1000); // Check every 5 minutes
+
+    this.registerPasteStackShortcuts();
+  }
+
+  registerPasteStackShortcuts() {
+    const hotkey = this.preferencesManager.get('pasteStackHotkey');
+
+    if (hotkey) {
+      try {
+        const ret = globalShortcut.register(hotkey, () => {
+          this.togglePasteStack();
+        });
+        if (!ret) {
+          console.error('Paste stack shortcut registration failed for:', hotkey);
+        }
+      } catch (error) {
+        // register throws for accelerators it can't parse
+        console.error('Invalid paste stack shortcut:', hotkey, error.message);
+      }
+    }
+
+    this.updatePasteNextShortcut();
+  }
+
+  /**
+   * Paste-next is only bound while the stack is active so apps keep the key combination otherwise
+   */
+  updatePasteNextShortcut() {
+    const hotkey = this.preferencesManager.get('pasteNextHotkey');
+    if (!hotkey) {
+      return;
+    }
+
+    const isActive = Boolean(this.pasteStack && this.pasteStack.isActive);
+    try {
+      const isRegistered = globalShortcut.isRegistered(hotkey);
+
+      if (isActive && !isRegistered) {
+        const ret = globalShortcut.register(hotkey, () => {
+          this.pasteNextFromStack();
+        });
+        if (!ret) {
+          console.error('Paste next shortcut registration failed for:', hotkey);
+        }
+      } else if (!isActive && isRegistered) {
+        globalShortcut.unregister(hotkey);
+      }
+    } catch (error) {
+      // isRegistered and register throw for accelerators they can't parse
+      console.error('Invalid paste next shortcut:', hotkey, error.message);
+    }
   }
 
   toggleSidebar() {
@@ -868,13 +2277,24 @@ class PasteBroApp {
     }
   }
 
-  showSidebar() {
+  showSidebar({ rememberApp = true } = {}) {
     try {
+      if (this.isLocked()) {
+        // Remember the app now; once unlocked the lock window is frontmost
+        this.rememberPreviousApp();
+        this.requireUnlock(() => this.showSidebar({ rememberApp: false }));
+        return;
+      }
+
       if (!this.mainWindow || this.mainWindow.isDestroyed()) {
         console.error('Main window is destroyed, recreating...');
         this.createMainWindow();
       }
 
+      if (rememberApp && !this.mainWindow.isFocused()) {
+        this.rememberPreviousApp();
+      }
+
       const { screen } = require('electron');
       const primaryDisplay = screen.getPrimaryDisplay();
       const { width, height } = primaryDisplay.workAreaSize;
@@ -909,7 +2329,24 @@ class PasteBroApp {
     }
   }
 
+  /**
+   * Remember where to paste back to (skipped when pasting is off to avoid the osascript call)
+   */
+  rememberPreviousApp() {
+    if (this.clipboardMonitor) {
+      this.previousApp = this.preferencesManager.get('pasteAfterCopy')
+        ? this.clipboardMonitor.getActiveApplicationInfo(0)
+        : null;
+    }
+  }
+
   openPreferences() {
+    // Preferences can turn the lock off, so they need unlocking too
+    if (this.isLocked()) {
+      this.requireUnlock(() => this.openPreferences());
+      return;
+    }
+
     // Create preferences window if it doesn't exist
     if (this.preferencesWindow) {
       this.preferencesWindow.focus();
@@ -936,6 +2373,11 @@ class PasteBroApp {
   }
 
   openHistoryViewer() {
+    if (this.isLocked()) {
+      this.requireUnlock(() => this.openHistoryViewer());
+      return;
+    }
+
     // Create history viewer window if it doesn't exist
     if (this.historyViewerWindow) {
       this.historyViewerWindow.focus();
@@ -960,6 +2402,36 @@ class PasteBroApp {
     });
   }
 
+  openLockWindow() {
+    if (this.lockWindow) {
+      this.lockWindow.focus();
+      return;
+    }
+
+    this.lockWindow = new BrowserWindow({
+      width: 320,
+      height: 280,
+      title: 'PasteBro Locked',
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      alwaysOnTop: true,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        preload: path.join(__dirname, 'preload.js')
+      }
+    });
+
+    this.lockWindow.loadFile('renderer/lock.html');
+
+    this.lockWindow.on('closed', () => {
+      this.lockWindow = null;
+      this.pendingUnlockAction = null;
+    });
+  }
+
   setupAppLifecycle() {
     // Handle macOS system shutdown/restart
     app.on('before-quit', (event) => {
@@ -974,6 +2446,24 @@ class PasteBroApp {
         this.migrationInterval = null;
       }
 
+      // Stop expiry timer
+      if (this.expiryInterval) {
+        clearInterval(this.expiryInterval);
+        this.expiryInterval = null;
+      }
+
+      // Stop idle lock timer
+      if (this.lockInterval) {
+        clearInterval(this.lockInterval);
+        this.lockInterval = null;
+      }
+
+      // Stop backup timer
+      if (this.backupInterval) {
+        clearInterval(this.backupInterval);
+        this.backupInterval = null;
+      }
+
       // Stop shortcut health check
       if (this.shortcutHealthCheck) {
         clearInterval(this.shortcutHealthCheck);
@@ -1012,6 +2502,24 @@ class PasteBroApp {
         this.migrationInterval = null;
       }
 
+      // Stop expiry timer
+      if (this.expiryInterval) {
+        clearInterval(this.expiryInterval);
+        this.expiryInterval = null;
+      }
+
+      // Stop idle lock timer
+      if (this.lockInterval) {
+        clearInterval(this.lockInterval);
+        this.lockInterval = null;
+      }
+
+      // Stop backup timer
+      if (this.backupInterval) {
+        clearInterval(this.backupInterval);
+        this.backupInterval = null;
+      }
+
       // Stop shortcut health check
       if (this.shortcutHealthCheck) {
         clearInterval(this.shortcutHealthCheck);
@@ -1027,6 +2535,11 @@ class PasteBroApp {
       if (this.historyManager) {
         this.historyManager.close();
       }
+
+      // Remove decrypted image copies handed to other apps
+      if (this.imageStorageManager) {
+        this.imageStorageManager.clearExports().catch(() => {});
+      }
     });
 
     // Handle activation (macOS)
@@ -1042,6 +2555,9 @@ class PasteBroApp {
 
       powerMonitor.on('suspend', () => {
         console.log('System going to sleep');
+        if (this.preferencesManager.get('lockOnScreenLock')) {
+          this.lockApp();
+        }
         // Unregister shortcuts before sleep
         globalShortcut.unregisterAll();
       });
@@ -1063,6 +2579,9 @@ class PasteBroApp {
 
       powerMonitor.on('lock-screen', () => {
         console.log('Screen locked');
+        if (this.preferencesManager.get('lockOnScreenLock')) {
+          this.lockApp();
+        }
       });
 
       powerMonitor.on('unlock-screen', () => {
@@ -0,0 +1,117 @@
+const MAX_STACK_SIZE = 100;
+
+/**
+ * PasteStack - Queue of successive copies for sequential pasting
+ * While active, ClipboardMonitor pushes every captured item; each paste pops
+ * the next one in FIFO (first copied, first pasted) or LIFO order.
+ */
+class PasteStack {
+    constructor(order = 'fifo', onChange = null) {
+        this.items = [];
+        this.isActive = false;
+        this.order = order === 'lifo' ? 'lifo' : 'fifo';
+        this.onChange = onChange;
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+
+    /**
+     * Start collecting with an empty queue
+     */
+    start() {
+        this.items = [];
+        this.isActive = true;
+        this.notify();
+    }
+
+    /**
+     * Stop collecting and drop anything left in the queue
+     */
+    stop() {
+        this.items = [];
+        this.isActive = false;
+        this.notify();
+    }
+
+    toggle() {
+        if (this.isActive) {
+            this.stop();
+        } else {
+            this.start();
+        }
+        return this.isActive;
+    }
+
+    setOrder(order) {
+        const normalized = order === 'lifo' ? 'lifo' : 'fifo';
+        if (normalized !== this.order) {
+            this.order = normalized;
+            this.notify();
+        }
+    }
+
+    /**
+     * Add a captured item (ignored while inactive)
+     */
+    push(item) {
+        if (!this.isActive || !item) {
+            return false;
+        }
+
+        this.items.push(item);
+
+        // Drop the oldest copies beyond the cap
+        if (this.items.length > MAX_STACK_SIZE) {
+            this.items.splice(0, this.items.length - MAX_STACK_SIZE);
+        }
+
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Remove and return the next item to paste, or null when empty
+     */
+    next() {
+        if (this.items.length === 0) {
+            return null;
+        }
+
+        const item = this.order === 'lifo' ? this.items.pop() : this.items.shift();
+        this.notify();
+        return item;
+    }
+
+    remove(id) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.items.splice(index, 1);
+        this.notify();
+        return true;
+    }
+
+    clear() {
+        this.items = [];
+        this.notify();
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Queued items in paste order (next first)
+     */
+    getQueue() {
+        return this.order === 'lifo' ? [...this.items].reverse() : [...this.items];
+    }
+}
+
+module.exports = PasteStack;
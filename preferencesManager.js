@@ -1,6 +1,41 @@
 const { app } = require('electron');
 const fs = require('fs');
 const path = require('path');
+const { normalizeRules } = require('./captureRules');
+
+// Settings tied to this Mac (keychain key, passcode file) that are never imported
+const LOCAL_ONLY_KEYS = ['encryptHistory', 'appLockEnabled', 'backupFolder'];
+
+// Accelerator names understood by Electron's globalShortcut (compared case-insensitively)
+const ACCELERATOR_MODIFIERS = new Set([
+    'command', 'cmd', 'control', 'ctrl', 'commandorcontrol', 'cmdorctrl',
+    'alt', 'option', 'altgr', 'shift', 'super', 'meta'
+]);
+const ACCELERATOR_KEYS = new Set([
+    'plus', 'space', 'tab', 'capslock', 'numlock', 'scrolllock', 'backspace', 'delete', 'insert',
+    'return', 'enter', 'up', 'down', 'left', 'right', 'home', 'end', 'pageup', 'pagedown',
+    'escape', 'esc', 'volumeup', 'volumedown', 'volumemute', 'medianexttrack', 'mediaprevioustrack',
+    'mediastop', 'mediaplaypause', 'printscreen', 'numdec', 'numadd', 'numsub', 'nummult', 'numdiv'
+]);
+
+/**
+ * Whether a string is an accelerator like "Control+Command+V": modifiers followed by one key
+ */
+function isValidAccelerator(value) {
+    const parts = value.split('+');
+    const key = parts.pop().toLowerCase();
+    const modifiers = parts.map(part => part.toLowerCase());
+
+    if (!modifiers.every(modifier => ACCELERATOR_MODIFIERS.has(modifier)) ||
+        new Set(modifiers).size !== modifiers.length) {
+        return false;
+    }
+    return /^[a-z0-9]$/.test(key) ||
+        /^[)!@#$%^&*(:;=<,_\-.>?/~`{\]\[|\\}"']$/.test(key) ||
+        /^f([1-9]|1[0-9]|2[0-4])$/.test(key) ||
+        /^num[0-9]$/.test(key) ||
+        ACCELERATOR_KEYS.has(key);
+}
 
 /**
  * PreferencesManager - Manages user preferences with file-based persistence
@@ -11,9 +46,13 @@ class PreferencesManager {
         
         this.defaults = {
             globalHotkey: 'Command+L',
+            pasteStackHotkey: 'Control+Command+S', // Toggle paste stack ('' to disable)
+            pasteNextHotkey: 'Control+Command+V', // Paste next stack item (only bound while active)
+            pasteStackOrder: 'fifo', // fifo, lifo
             copyWithFormatting: true,
             pasteWithFormatting: true,
             autoHideAfterCopy: true,
+            pasteAfterCopy: false, // Paste into the previously active app (Shift inverts)
             sidebarPosition: 'right',
             sidebarWidth: 400,
             sidebarItemLimit: 100,
@@ -22,6 +61,21 @@ class PreferencesManager {
             launchAtLogin: false,
             excludedApplications: [],
             ignorePasswords: false,
+            detectSecrets: false,
+            secretHandling: 'skip', // skip, mask
+            secretExpiryMinutes: 10,
+            clearClipboardOnExpiry: true, // Empty the clipboard when it holds an expired item
+            autoTagContent: true, // Tag captured URLs, emails, JSON and code
+            captureRules: [], // Conditions and actions applied to new items (see captureRules.js)
+            encryptHistory: false, // Encrypt history and images at rest (key in the keychain)
+            appLockEnabled: false, // Require the passcode to show history
+            lockAfterMinutes: 5, // Lock after this much system idle time (0 = never)
+            lockOnScreenLock: true,
+            lockUseTouchID: true,
+            backupEnabled: false, // Back up history and images on a schedule (see backupManager.js)
+            backupIntervalHours: 24,
+            backupKeep: 7, // Older backups are deleted
+            backupFolder: '', // '' = Backups in the app's data folder
             enableSoundEffects: false,
             theme: 'system', // system, light, dark
             saveImages: false // Enable/disable image storage (default: disabled to save space)
@@ -105,6 +159,11 @@ class PreferencesManager {
                 const data = fs.readFileSync(this.prefsPath, 'utf8');
                 const loaded = JSON.parse(data);
                 
+                // Rules may have been edited by hand
+                if ('captureRules' in loaded) {
+                    loaded.captureRules = normalizeRules(loaded.captureRules);
+                }
+                
                 // Merge with defaults to ensure all keys exist
                 return {
                     ...this.defaults,
@@ -154,18 +213,69 @@ class PreferencesManager {
                     validated[key] = ['left', 'right'].includes(value) ? value : 'right';
                     break;
 
+                case 'secretHandling':
+                    validated[key] = ['skip', 'mask'].includes(value) ? value : 'skip';
+                    break;
+
+                case 'secretExpiryMinutes': {
+                    const minutes = Number(value);
+                    validated[key] = Number.isFinite(minutes) ? Math.max(1, Math.min(1440, minutes)) : this.defaults[key];
+                    break;
+                }
+
+                case 'lockAfterMinutes': {
+                    const minutes = Number(value);
+                    validated[key] = Number.isFinite(minutes) ? Math.max(0, Math.min(1440, minutes)) : this.defaults[key];
+                    break;
+                }
+
+                case 'backupIntervalHours': {
+                    const hours = Number(value);
+                    validated[key] = Number.isFinite(hours) ? Math.max(1, Math.min(720, hours)) : this.defaults[key];
+                    break;
+                }
+
+                case 'backupKeep': {
+                    const keep = Number(value);
+                    validated[key] = Number.isFinite(keep) ? Math.max(1, Math.min(100, keep)) : this.defaults[key];
+                    break;
+                }
+
+                case 'backupFolder':
+                    validated[key] = typeof value === 'string' ? value.trim() : '';
+                    break;
+
+                case 'pasteStackOrder':
+                    validated[key] = ['fifo', 'lifo'].includes(value) ? value : 'fifo';
+                    break;
+
                 case 'theme':
                     validated[key] = ['system', 'light', 'dark'].includes(value) ? value : 'system';
                     break;
 
                 case 'excludedApplications':
-                    validated[key] = Array.isArray(value) ? value : [];
+                    validated[key] = this.normalizeApplicationList(value);
+                    break;
+
+                case 'captureRules':
+                    validated[key] = normalizeRules(value);
                     break;
 
                 case 'globalHotkey':
-                    // Basic validation for hotkey format
-                    if (typeof value === 'string' && value.length > 0) {
-                        validated[key] = value;
+                    if (typeof value === 'string' && isValidAccelerator(value.trim())) {
+                        validated[key] = value.trim();
+                    } else {
+                        console.warn(`Invalid shortcut for ${key}: ${value}`);
+                    }
+                    break;
+
+                case 'pasteStackHotkey':
+                case 'pasteNextHotkey':
+                    // Empty string disables the shortcut
+                    if (typeof value === 'string' && (value.trim() === '' || isValidAccelerator(value.trim()))) {
+                        validated[key] = value.trim();
+                    } else {
+                        console.warn(`Invalid shortcut for ${key}: ${value}`);
                     }
                     break;
 
@@ -178,14 +288,33 @@ class PreferencesManager {
         return validated;
     }
 
+    /**
+     * Normalize exclusion list: trimmed, non-empty, unique (case-insensitive)
+     */
+    normalizeApplicationList(value) {
+        if (!Array.isArray(value)) {
+            return [];
+        }
+
+        const seen = new Set();
+        return value
+            .filter(entry => typeof entry === 'string')
+            .map(entry => entry.trim())
+            .filter(entry => {
+                const key = entry.toLowerCase();
+                if (!entry || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
     /**
      * Add application to exclusion list
      */
     addExcludedApplication(appName) {
         const excluded = this.preferences.excludedApplications;
         if (!excluded.includes(appName)) {
-            excluded.push(appName);
-            this.update({ excludedApplications: excluded });
+            this.update({ excludedApplications: [...excluded, appName] });
         }
     }
 
@@ -201,9 +330,25 @@ class PreferencesManager {
 
     /**
      * Check if application is excluded
+     * Entries match the app name or bundle ID (case-insensitive) and may use * wildcards,
+     * e.g. "1Password*" or "com.agilebits.*"
      */
-    isApplicationExcluded(appName) {
-        return this.preferences.excludedApplications.includes(appName);
+    isApplicationExcluded(appName, bundleId = null) {
+        const candidates = [appName, bundleId]
+            .filter(value => typeof value === 'string' && value)
+            .map(value => value.toLowerCase());
+
+        if (candidates.length === 0) {
+            return false;
+        }
+
+        return this.preferences.excludedApplications.some(pattern => {
+            if (typeof pattern !== 'string' || !pattern) return false;
+
+            const escaped = pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+            const matcher = new RegExp(`^${escaped.replace(/\*/g, '.*')}$`);
+            return candidates.some(value => matcher.test(value));
+        });
     }
 
     /**
@@ -222,7 +367,7 @@ class PreferencesManager {
     }
 
     /**
-     * Import preferences from file
+     * Import preferences from file (encryption and app lock settings stay as they are)
      */
     importFromFile(filePath) {
         try {
@@ -232,6 +377,10 @@ class PreferencesManager {
 
             const data = fs.readFileSync(filePath, 'utf8');
             const imported = JSON.parse(data);
+            if (!imported || typeof imported !== 'object' || Array.isArray(imported)) {
+                throw new Error('Invalid preferences file');
+            }
+            LOCAL_ONLY_KEYS.forEach(key => delete imported[key]);
             
             // Validate and update
             this.update(imported);
@@ -5,7 +5,10 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // Clipboard operations
   getClipboardHistory: () => ipcRenderer.invoke('get-clipboard-history'),
-  copyToClipboard: (item) => ipcRenderer.invoke('copy-to-clipboard', item),
+  copyToClipboard: (item, options = {}) => {
+    if (typeof options !== 'object' || options === null) throw new Error('Invalid options');
+    return ipcRenderer.invoke('copy-to-clipboard', item, options);
+  },
   copyMultipleImages: (paths) => ipcRenderer.invoke('copy-multiple-images', paths),
   deleteItem: (itemId) => {
     if (typeof itemId !== 'string') throw new Error('Invalid itemId');
@@ -15,37 +18,177 @@ contextBridge.exposeInMainWorld('electronAPI', {
     if (typeof itemId !== 'string') throw new Error('Invalid itemId');
     return ipcRenderer.invoke('pin-item', itemId);
   },
-  searchItems: (query) => {
+  getTextTransforms: () => ipcRenderer.invoke('get-text-transforms'),
+  highlightCode: (text, language = null) => {
+    if (typeof text !== 'string') throw new Error('Invalid text');
+    if (language !== null && typeof language !== 'string') throw new Error('Invalid language');
+    return ipcRenderer.invoke('highlight-code', text, language);
+  },
+  getFileInfo: (filePaths) => {
+    if (!Array.isArray(filePaths) || !filePaths.every(p => typeof p === 'string')) throw new Error('Invalid filePaths');
+    return ipcRenderer.invoke('get-file-info', filePaths);
+  },
+  searchItems: (query, options = {}) => {
     if (typeof query !== 'string') throw new Error('Invalid query');
-    return ipcRenderer.invoke('search-items', query);
+    return ipcRenderer.invoke('search-items', query, options);
+  },
+  updateItem: (itemId, text, options = {}) => {
+    if (typeof itemId !== 'string') throw new Error('Invalid itemId');
+    if (typeof text !== 'string') throw new Error('Invalid text');
+    if (typeof options !== 'object' || options === null) throw new Error('Invalid options');
+    return ipcRenderer.invoke('update-item', itemId, text, options);
+  },
+  mergeItems: (itemIds, options = {}) => {
+    if (!Array.isArray(itemIds) || !itemIds.every(id => typeof id === 'string')) throw new Error('Invalid itemIds');
+    if (typeof options !== 'object' || options === null) throw new Error('Invalid options');
+    return ipcRenderer.invoke('merge-items', itemIds, options);
+  },
+  setItemsSensitive: (itemIds, sensitive, ttlMinutes = null) => {
+    if (!Array.isArray(itemIds) || !itemIds.every(id => typeof id === 'string')) throw new Error('Invalid itemIds');
+    if (typeof sensitive !== 'boolean') throw new Error('Invalid sensitive flag');
+    if (ttlMinutes !== null && typeof ttlMinutes !== 'number') throw new Error('Invalid ttlMinutes');
+    return ipcRenderer.invoke('set-items-sensitive', itemIds, sensitive, ttlMinutes);
   },
   restoreItem: (itemId) => {
     if (typeof itemId !== 'string') throw new Error('Invalid itemId');
     return ipcRenderer.invoke('restore-item', itemId);
   },
   emptyTrash: () => ipcRenderer.invoke('empty-trash'),
+  
+  // Tags
+  getTags: () => ipcRenderer.invoke('get-tags'),
+  addTags: (itemIds, tags) => {
+    if (!Array.isArray(itemIds)) throw new Error('Invalid itemIds');
+    if (!Array.isArray(tags)) throw new Error('Invalid tags');
+    return ipcRenderer.invoke('add-tags', itemIds, tags);
+  },
+  removeTag: (itemIds, tag) => {
+    if (!Array.isArray(itemIds)) throw new Error('Invalid itemIds');
+    if (typeof tag !== 'string') throw new Error('Invalid tag');
+    return ipcRenderer.invoke('remove-tag', itemIds, tag);
+  },
+  
+  // Snippets
+  getSnippets: () => ipcRenderer.invoke('get-snippets'),
+  createSnippet: (snippet) => {
+    if (typeof snippet !== 'object' || snippet === null) throw new Error('Invalid snippet');
+    return ipcRenderer.invoke('create-snippet', snippet);
+  },
+  updateSnippet: (snippetId, updates) => {
+    if (typeof snippetId !== 'string') throw new Error('Invalid snippetId');
+    if (typeof updates !== 'object' || updates === null) throw new Error('Invalid updates');
+    return ipcRenderer.invoke('update-snippet', snippetId, updates);
+  },
+  deleteSnippet: (snippetId) => {
+    if (typeof snippetId !== 'string') throw new Error('Invalid snippetId');
+    return ipcRenderer.invoke('delete-snippet', snippetId);
+  },
+  
+  // Collections
+  getCollections: () => ipcRenderer.invoke('get-collections'),
+  getCollectionItems: (collectionId) => {
+    if (typeof collectionId !== 'string') throw new Error('Invalid collectionId');
+    return ipcRenderer.invoke('get-collection-items', collectionId);
+  },
+  createCollection: (name, color) => {
+    if (typeof name !== 'string') throw new Error('Invalid name');
+    return ipcRenderer.invoke('create-collection', name, color);
+  },
+  updateCollection: (collectionId, updates) => {
+    if (typeof collectionId !== 'string') throw new Error('Invalid collectionId');
+    if (typeof updates !== 'object' || updates === null) throw new Error('Invalid updates');
+    return ipcRenderer.invoke('update-collection', collectionId, updates);
+  },
+  reorderCollections: (collectionIds) => {
+    if (!Array.isArray(collectionIds)) throw new Error('Invalid collectionIds');
+    return ipcRenderer.invoke('reorder-collections', collectionIds);
+  },
+  deleteCollection: (collectionId) => {
+    if (typeof collectionId !== 'string') throw new Error('Invalid collectionId');
+    return ipcRenderer.invoke('delete-collection', collectionId);
+  },
+  addToCollection: (collectionId, itemIds) => {
+    if (typeof collectionId !== 'string') throw new Error('Invalid collectionId');
+    if (!Array.isArray(itemIds)) throw new Error('Invalid itemIds');
+    return ipcRenderer.invoke('add-to-collection', collectionId, itemIds);
+  },
+  removeFromCollection: (collectionId, itemIds) => {
+    if (typeof collectionId !== 'string') throw new Error('Invalid collectionId');
+    if (!Array.isArray(itemIds)) throw new Error('Invalid itemIds');
+    return ipcRenderer.invoke('remove-from-collection', collectionId, itemIds);
+  },
   clearAllHistory: () => ipcRenderer.invoke('clear-all-history'),
   
+  // Paste stack
+  getPasteStack: () => ipcRenderer.invoke('get-paste-stack'),
+  togglePasteStack: () => ipcRenderer.invoke('toggle-paste-stack'),
+  clearPasteStack: () => ipcRenderer.invoke('clear-paste-stack'),
+  removeFromPasteStack: (itemId) => {
+    if (typeof itemId !== 'string') throw new Error('Invalid itemId');
+    return ipcRenderer.invoke('remove-from-paste-stack', itemId);
+  },
+  
   // Import/Export
-  exportHistory: () => ipcRenderer.invoke('export-history'),
-  importHistory: (merge) => {
+  exportHistory: (options = {}) => {
+    if (typeof options !== 'object' || options === null) throw new Error('Invalid export options');
+    return ipcRenderer.invoke('export-history', options);
+  },
+  previewImport: () => ipcRenderer.invoke('preview-import'),
+  cancelImport: () => ipcRenderer.invoke('cancel-import'),
+  importHistory: (merge, policy = 'newest') => {
     if (typeof merge !== 'boolean') throw new Error('Invalid merge parameter');
-    return ipcRenderer.invoke('import-history', merge);
+    if (typeof policy !== 'string') throw new Error('Invalid import policy');
+    return ipcRenderer.invoke('import-history', merge, policy);
   },
+  exportPreferences: () => ipcRenderer.invoke('export-preferences'),
+  importPreferences: () => ipcRenderer.invoke('import-preferences'),
+
+  // Backups
+  getBackupStatus: () => ipcRenderer.invoke('get-backup-status'),
+  chooseBackupFolder: () => ipcRenderer.invoke('choose-backup-folder'),
+  backupNow: () => ipcRenderer.invoke('backup-now'),
+  previewRestore: () => ipcRenderer.invoke('preview-restore'),
+  cancelRestore: () => ipcRenderer.invoke('cancel-restore'),
+  restoreBackup: () => ipcRenderer.invoke('restore-backup'),
   
   // Window operations
   hideSidebar: () => ipcRenderer.send('hide-sidebar'),
   
   // Preferences
   getPreferences: () => ipcRenderer.invoke('get-preferences'),
+  getEncryptionStatus: () => ipcRenderer.invoke('get-encryption-status'),
   updatePreferences: (prefs) => {
     if (typeof prefs !== 'object' || prefs === null) throw new Error('Invalid preferences');
     return ipcRenderer.invoke('update-preferences', prefs);
   },
+  excludeApplication: (appName) => {
+    if (typeof appName !== 'string') throw new Error('Invalid appName');
+    return ipcRenderer.invoke('exclude-application', appName);
+  },
+  
+  // App lock
+  getLockStatus: () => ipcRenderer.invoke('get-lock-status'),
+  setLockPasscode: (passcode) => {
+    if (typeof passcode !== 'string') throw new Error('Invalid passcode');
+    return ipcRenderer.invoke('set-lock-passcode', passcode);
+  },
+  unlockApp: (passcode) => {
+    if (typeof passcode !== 'string') throw new Error('Invalid passcode');
+    return ipcRenderer.invoke('unlock-app', passcode);
+  },
+  unlockAppWithTouchID: () => ipcRenderer.invoke('unlock-app-with-touch-id'),
   
   // Event listeners
   onClipboardUpdate: (callback) => {
     if (typeof callback !== 'function') throw new Error('Invalid callback');
     ipcRenderer.on('clipboard-updated', (event, item) => callback(item));
+  },
+  onItemsExpired: (callback) => {
+    if (typeof callback !== 'function') throw new Error('Invalid callback');
+    ipcRenderer.on('items-expired', (event, itemIds) => callback(itemIds));
+  },
+  onPasteStackUpdate: (callback) => {
+    if (typeof callback !== 'function') throw new Error('Invalid callback');
+    ipcRenderer.on('paste-stack-updated', (event, state) => callback(state));
   }
 });
@@ -3,6 +3,42 @@ let clipboardItems = [];
 let selectedItems = new Set();
 let selectionOrder = []; // Track order of selection
 let currentFilter = 'all';
+let currentQuery = '';
+let currentContentType = ''; // Content type filter for text items ('' = all)
+let searchResults = null; // Ranked results from the main process while searching
+let searchSnippets = new Map(); // Item ID -> highlighted snippet
+let snippets = []; // Text templates shown in the Snippets tab
+let collections = [];
+let currentCollectionId = null; // Set when currentFilter is 'collection'
+let collectionItems = [];
+let pasteStack = { isActive: false, order: 'fifo', items: [] };
+let textTransforms = []; // { id, label, shortcut } from the main process
+let lastTransform = { id: null, saveTransformed: false }; // Defaults for the Transform dialog
+let lastMerge = { separator: 'newline', customSeparator: '', format: 'plain' }; // Defaults for the Merge dialog
+let lastSensitiveTtl = '10'; // Default for the Mark as Sensitive dialog (minutes, '0' = never)
+let revealedItems = new Set(); // Sensitive items shown unmasked
+
+const CONTENT_TYPE_ICONS = {
+  url: { icon: '🔗', label: 'Link' },
+  email: { icon: '✉️', label: 'Email address' },
+  path: { icon: '📁', label: 'File path' },
+  json: { icon: '{ }', label: 'JSON' },
+  code: { icon: '</>', label: 'Code' },
+  phone: { icon: '📞', label: 'Phone number' },
+  number: { icon: '#', label: 'Number' },
+  address: { icon: '📍', label: 'Address' }
+};
+const ITEM_DRAG_TYPE = 'application/x-pastebro-items';
+const COLLECTION_DRAG_TYPE = 'application/x-pastebro-collection';
+const COLLECTION_COLORS = [
+  { value: '#FF3B30', label: 'Red' },
+  { value: '#FF9500', label: 'Orange' },
+  { value: '#FFCC00', label: 'Yellow' },
+  { value: '#34C759', label: 'Green' },
+  { value: '#007AFF', label: 'Blue' },
+  { value: '#AF52DE', label: 'Purple' },
+  { value: '#8E8E93', label: 'Gray' }
+];
 
 // Global error handler
 window.addEventListener('error', (event) => {
@@ -22,6 +58,9 @@ document.addEventListener('DOMContentLoaded', () => {
   try {
     setupEventListeners();
     loadClipboardHistory();
+    loadCollections();
+    loadPasteStack();
+    loadTextTransforms();
     
     // Clear selections when window becomes visible
     document.addEventListener('visibilitychange', () => {
@@ -51,6 +90,21 @@ function setupEventListeners() {
     deleteAllBtn.addEventListener('click', handleDeleteAll);
   }
   
+  // Content type filter
+  const contentTypeFilter = document.getElementById('content-type-filter');
+  if (contentTypeFilter) {
+    contentTypeFilter.addEventListener('change', () => {
+      currentContentType = contentTypeFilter.value;
+      renderItems();
+    });
+  }
+  
+  // New snippet button
+  const newSnippetBtn = document.getElementById('new-snippet-btn');
+  if (newSnippetBtn) {
+    newSnippetBtn.addEventListener('click', () => editSnippet());
+  }
+  
   // Keyboard shortcuts
   document.addEventListener('keydown', handleKeyDown);
   
@@ -64,6 +118,26 @@ function setupEventListeners() {
       }
       renderItems();
     });
+    
+    window.electronAPI.onItemsExpired((itemIds) => {
+      const expired = new Set(itemIds);
+      clipboardItems = clipboardItems.filter(item => !expired.has(item.id));
+      collectionItems = collectionItems.filter(item => !expired.has(item.id));
+      if (searchResults) {
+        searchResults = searchResults.filter(item => !expired.has(item.id));
+      }
+      expired.forEach(id => {
+        selectedItems.delete(id);
+        revealedItems.delete(id);
+      });
+      selectionOrder = selectionOrder.filter(id => !expired.has(id));
+      renderItems();
+    });
+    
+    window.electronAPI.onPasteStackUpdate((state) => {
+      pasteStack = state;
+      renderPasteStack();
+    });
   }
 }
 
@@ -74,6 +148,33 @@ function handleKeyDown(event) {
     window.electronAPI?.hideSidebar();
   }
   
+  // Enter copies (and pastes, per preference) the selection or the top item; Shift inverts pasting
+  if (event.key === 'Enter' && !event.metaKey && !event.ctrlKey && !event.altKey && !event.target.matches('textarea, button')) {
+    event.preventDefault();
+    copyFromKeyboard({ invertPaste: event.shiftKey });
+    return;
+  }
+  
+  // Selection shortcuts only apply to clipboard items
+  if (currentFilter === 'snippets') return;
+  
+  // Space previews the selected item (Quick Look style)
+  if (event.key === ' ' && selectedItems.size === 1 && !event.target.matches('input, textarea, select, button')) {
+    event.preventDefault();
+    showPreview([...selectedItems][0]);
+    return;
+  }
+  
+  // Cmd+Option+<letter> copies a transformed version of the selected (or top) item
+  if (event.metaKey && event.altKey && currentFilter !== 'trash') {
+    const transform = textTransforms.find(t => t.shortcut && event.code === `Key${t.shortcut}`);
+    if (transform) {
+      event.preventDefault();
+      transformFromKeyboard(transform.id, { invertPaste: event.shiftKey });
+      return;
+    }
+  }
+  
   // Cmd+A to select all
   if ((event.metaKey || event.ctrlKey) && event.key === 'a') {
     event.preventDefault();
@@ -97,6 +198,24 @@ function handleKeyDown(event) {
   }
 }
 
+function copyFromKeyboard(options) {
+  if (currentFilter === 'snippets') {
+    const snippetEl = document.querySelector('#items-container .snippet-item');
+    if (snippetEl) copySnippet(snippetEl.dataset.snippetId, options);
+    return;
+  }
+  
+  if (currentFilter === 'trash') return;
+  
+  if (selectedItems.size > 0) {
+    copySelectedItems(options);
+    return;
+  }
+  
+  const itemEl = document.querySelector('#items-container .clipboard-item');
+  if (itemEl) copyItem(itemEl.dataset.id, options);
+}
+
 function clearSelections() {
   selectedItems.clear();
   selectionOrder = [];
@@ -104,12 +223,12 @@ function clearSelections() {
   renderItems();
 }
 
-async function copySelectedItems() {
+async function copySelectedItems(options = {}) {
   if (selectedItems.size === 0) return;
   
   // Get items in selection order (not display order)
   const itemsToCopy = selectionOrder
-    .map(id => clipboardItems.find(item => item.id === id))
+    .map(id => findItem(id))
     .filter(item => item); // Remove any undefined items
   
   console.log('Selection order:', selectionOrder);
@@ -117,7 +236,7 @@ async function copySelectedItems() {
   
   if (itemsToCopy.length === 1) {
     // Single item - copy as-is
-    await copyItem(itemsToCopy[0].id);
+    await copyItem(itemsToCopy[0].id, options);
   } else {
     // Check if all items are images
     const allImages = itemsToCopy.every(item => item.type === 'image');
@@ -149,7 +268,7 @@ async function copySelectedItems() {
           type: 'text',
           plainText: content,
           skipTimestampUpdate: true
-        });
+        }, options);
       }
     }
     
@@ -210,8 +329,44 @@ async function loadClipboardHistory() {
 }
 
 function handleSearch(event) {
-  const query = event.target.value.toLowerCase();
-  renderItems(query);
+  currentQuery = event.target.value.trim();
+  refreshSearch();
+}
+
+async function refreshSearch() {
+  // Trash, snippets and collections are searched locally; everything else uses the full-text index
+  const searchLocally = ['trash', 'snippets', 'collection'].includes(currentFilter);
+  if (!currentQuery || searchLocally || !window.electronAPI) {
+    searchResults = null;
+    searchSnippets = new Map();
+    renderItems();
+    return;
+  }
+  
+  const query = currentQuery;
+  try {
+    const results = await window.electronAPI.searchItems(query);
+    if (query !== currentQuery) return; // A newer search is in flight
+    
+    searchSnippets = new Map(results.filter(r => r.snippet).map(r => [r.id, r.snippet]));
+    // Reuse loaded items so pin/delete state stays in sync
+    searchResults = results.map(result => clipboardItems.find(i => i.id === result.id) || result);
+    renderItems();
+  } catch (error) {
+    console.error('Search failed:', error);
+  }
+}
+
+function findItem(itemId) {
+  return clipboardItems.find(i => i.id === itemId)
+    || (searchResults && searchResults.find(i => i.id === itemId))
+    || collectionItems.find(i => i.id === itemId);
+}
+
+// Items backing the current view, before tab and search filtering
+function getSourceItems() {
+  if (searchResults) return searchResults;
+  return currentFilter === 'collection' ? collectionItems : clipboardItems;
 }
 
 function handleFilterChange(tab) {
@@ -220,18 +375,38 @@ function handleFilterChange(tab) {
   tab.classList.add('active');
   
   currentFilter = tab.dataset.filter;
-  renderItems();
+  currentCollectionId = null;
+  renderCollections();
+  document.getElementById('delete-all-btn').hidden = currentFilter === 'snippets';
+  document.getElementById('new-snippet-btn').hidden = currentFilter !== 'snippets';
+  document.getElementById('content-type-filter').hidden = currentFilter === 'snippets';
+  
+  if (currentFilter === 'snippets') {
+    loadSnippets().then(() => renderItems());
+  } else if (currentQuery) {
+    refreshSearch();
+  } else {
+    renderItems();
+  }
 }
 
-function renderItems(searchQuery = '') {
+function renderItems() {
+  if (currentFilter === 'snippets') {
+    renderSnippets();
+    return;
+  }
+  
   const container = document.getElementById('items-container');
+  // Views without ranked results are filtered locally
+  const searchQuery = searchResults ? '' : currentQuery.toLowerCase();
   
   // Filter items
-  let filteredItems = clipboardItems.filter(item => {
+  let filteredItems = getSourceItems().filter(item => {
     // Apply filter
     if (currentFilter === 'pinned' && !item.isPinned) return false;
     if (currentFilter === 'trash' && !item.isDeleted) return false;
-    if (currentFilter === 'all' && item.isDeleted) return false;
+    if ((currentFilter === 'all' || currentFilter === 'collection') && item.isDeleted) return false;
+    if (currentContentType && item.contentType !== currentContentType) return false;
     
     // Apply search
     if (searchQuery && item.plainText) {
@@ -241,12 +416,14 @@ function renderItems(searchQuery = '') {
     return true;
   });
   
-  // Sort: pinned items first, then by timestamp
-  filteredItems.sort((a, b) => {
-    if (a.isPinned && !b.isPinned) return -1;
-    if (!a.isPinned && b.isPinned) return 1;
-    return b.timestamp - a.timestamp;
-  });
+  // Sort: pinned items first, then by timestamp (search results keep their ranking)
+  if (!searchResults) {
+    filteredItems.sort((a, b) => {
+      if (a.isPinned && !b.isPinned) return -1;
+      if (!a.isPinned && b.isPinned) return 1;
+      return b.timestamp - a.timestamp;
+    });
+  }
   
   // Use DocumentFragment for better performance
   const fragment = document.createDocumentFragment();
@@ -271,10 +448,32 @@ function renderItems(searchQuery = '') {
       showContextMenu(e, el.dataset.id);
     });
     
-    // Double-click to copy
+    // Double-click to copy (Shift inverts paste-after-copy)
     el.addEventListener('dblclick', (e) => {
       e.preventDefault();
-      copyItem(el.dataset.id);
+      copyItem(el.dataset.id, { invertPaste: e.shiftKey });
+    });
+    
+    // Drag onto a collection to add it (with the rest of the selection)
+    el.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(ITEM_DRAG_TYPE, JSON.stringify(getTargetItemIds(el.dataset.id)));
+      e.dataTransfer.effectAllowed = 'copy';
+    });
+    
+    // Tag chips filter by their tag; x removes it
+    el.querySelectorAll('.tag-chip').forEach(chip => {
+      const item = findItem(el.dataset.id);
+      const tag = item && item.tags[chip.dataset.tagIndex];
+      if (!tag) return;
+      
+      chip.addEventListener('click', (e) => {
+        e.stopPropagation();
+        filterByTag(tag);
+      });
+      chip.querySelector('.tag-remove').addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeTag(el.dataset.id, tag);
+      });
     });
     
     const copyBtn = el.querySelector('.action-btn.copy');
@@ -285,7 +484,7 @@ function renderItems(searchQuery = '') {
     if (copyBtn) {
       copyBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        copyItem(el.dataset.id);
+        copyItem(el.dataset.id, { invertPaste: e.shiftKey });
       });
     }
     
@@ -318,13 +517,18 @@ function renderItems(searchQuery = '') {
 
 function createItemHTML(item) {
   const isSelected = selectedItems.has(item.id);
-  const preview = getItemPreview(item);
+  const stateClasses = [
+    isSelected ? 'selected' : '',
+    item.isSensitive ? 'sensitive' : '',
+    revealedItems.has(item.id) ? 'revealed' : ''
+  ].join(' ');
+  const preview = item.isSensitive ? getSensitivePreview(item) : getItemPreview(item);
   const timestamp = formatTimestamp(item.timestamp);
   
   // Different actions for trash view
   if (currentFilter === 'trash') {
     return `
-      <div class="clipboard-item ${isSelected ? 'selected' : ''}" data-id="${item.id}">
+      <div class="clipboard-item ${stateClasses}" data-id="${item.id}">
         <div class="item-content">${preview}</div>
         <div class="item-footer">
           <span class="timestamp">${timestamp}</span>
@@ -338,14 +542,24 @@ function createItemHTML(item) {
   }
   
   const sourceApp = item.sourceApplication ? `<span class="source-app">from ${escapeHtml(item.sourceApplication)}</span>` : '';
+  const tags = item.tags && item.tags.length > 0
+    ? `<div class="item-tags">${item.tags.map((tag, index) => `
+        <span class="tag-chip" data-tag-index="${index}" title="Show items tagged ${escapeHtml(tag)}">#${escapeHtml(tag)}<button class="tag-remove" title="Remove tag">×</button></span>
+      `).join('')}</div>`
+    : '';
+  const expiry = item.expiresAt ? `<span class="source-app">expires ${formatExpiry(item.expiresAt)}</span>` : '';
+  const contentType = getContentTypeHTML(item);
   
   return `
-    <div class="clipboard-item ${isSelected ? 'selected' : ''}" data-id="${item.id}">
+    <div class="clipboard-item ${stateClasses}" data-id="${item.id}" draggable="true">
       <div class="item-content">${preview}</div>
+      ${tags}
       <div class="item-footer">
         <div class="item-meta">
+          ${contentType}
           <span class="timestamp">${timestamp}</span>
           ${sourceApp}
+          ${expiry}
         </div>
         <div class="item-actions">
           <button class="action-btn copy">Copy</button>
@@ -357,8 +571,26 @@ function createItemHTML(item) {
   `;
 }
 
+function getContentTypeHTML(item) {
+  const contentType = CONTENT_TYPE_ICONS[item.contentType];
+  if (!contentType) return '';
+  
+  const language = item.codeLanguage ? LANGUAGE_NAMES[item.codeLanguage] || item.codeLanguage : '';
+  const title = language ? `${contentType.label} (${language})` : contentType.label;
+  
+  return `<span class="content-type" title="${escapeHtml(title)}">${escapeHtml(contentType.icon)}${language ? ` ${escapeHtml(language)}` : ''}</span>`;
+}
+
+// Sensitive content stays hidden behind the mask until hovered or revealed (see styles.css)
+function getSensitivePreview(item) {
+  return `<span class="sensitive-mask">••••••••••••</span><div class="sensitive-content">${getItemPreview(item)}</div>`;
+}
+
 function getItemPreview(item) {
   if (item.type === 'text' || item.type === 'richText') {
+    if (searchSnippets.has(item.id)) {
+      return formatSnippet(searchSnippets.get(item.id));
+    }
     if (item.plainText) {
       // Limit preview length to prevent DOM bloat
       const preview = item.plainText.substring(0, 200);
@@ -368,10 +600,10 @@ function getItemPreview(item) {
     // Show actual image thumbnail with lazy loading
     if (item.thumbnailPath) {
       // Use thumbnail from file storage with lazy loading
-      return `<img src="file://${item.thumbnailPath}" loading="lazy" style="max-width: 100%; max-height: 120px; border-radius: 4px;" alt="Image">`;
+      return `<img src="${storedImageUrl(item.thumbnailPath)}" loading="lazy" style="max-width: 100%; max-height: 120px; border-radius: 4px;" alt="Image">`;
     } else if (item.imagePath) {
       // Use full image if no thumbnail with lazy loading
-      return `<img src="file://${item.imagePath}" loading="lazy" style="max-width: 100%; max-height: 120px; border-radius: 4px;" alt="Image">`;
+      return `<img src="${storedImageUrl(item.imagePath)}" loading="lazy" style="max-width: 100%; max-height: 120px; border-radius: 4px;" alt="Image">`;
     } else if (item.plainText) {
       const fileName = item.plainText.split('/').pop();
       return `🖼️ ${escapeHtml(fileName)}`;
@@ -417,11 +649,22 @@ function getItemPreview(item) {
     }
     return '📄 File';
   } else if (item.type === 'color') {
-    return `<div class="color-swatch" style="background-color: ${item.colorValue}"></div> ${item.colorValue}`;
+    const colorValue = escapeHtml(item.colorValue || '');
+    const original = item.plainText && item.plainText !== item.colorValue
+      ? ` <span class="color-original">${escapeHtml(item.plainText)}</span>`
+      : '';
+    return `<div class="color-swatch" style="background-color: ${colorValue}"></div>${colorValue}${original}`;
   }
   return 'Clipboard item';
 }
 
+// Escape a search snippet and turn its \u0001...\u0002 match markers into <mark>
+function formatSnippet(snippet) {
+  return escapeHtml(snippet)
+    .replace(/\u0001/g, '<mark>')
+    .replace(/\u0002/g, '</mark>');
+}
+
 function arrayBufferToBase64(buffer) {
   if (!buffer) return '';
   const bytes = new Uint8Array(buffer);
@@ -447,10 +690,19 @@ function formatTimestamp(timestamp) {
   return `${days}d ago`;
 }
 
+function formatExpiry(expiresAt) {
+  const minutes = Math.ceil((expiresAt - Date.now()) / 60000);
+  
+  if (minutes <= 1) return 'in 1m';
+  if (minutes < 60) return `in ${minutes}m`;
+  return `in ${Math.ceil(minutes / 60)}h`;
+}
+
 let lastSelectedIndex = -1;
 
 function handleItemClick(event, itemId) {
-  const currentIndex = clipboardItems.findIndex(i => i.id === itemId);
+  const items = getSourceItems();
+  const currentIndex = items.findIndex(i => i.id === itemId);
   
   if (event.shiftKey && lastSelectedIndex !== -1) {
     // Range selection with Shift - add in visual order (top to bottom or bottom to top)
@@ -463,17 +715,17 @@ function handleItemClick(event, itemId) {
     if (isClickingDown) {
       // Clicking down: add from start to end
       for (let i = start; i <= end; i++) {
-        if (!clipboardItems[i].isDeleted && !selectedItems.has(clipboardItems[i].id)) {
-          selectedItems.add(clipboardItems[i].id);
-          selectionOrder.push(clipboardItems[i].id);
+        if (!items[i].isDeleted && !selectedItems.has(items[i].id)) {
+          selectedItems.add(items[i].id);
+          selectionOrder.push(items[i].id);
         }
       }
     } else {
       // Clicking up: add from end to start (reverse)
       for (let i = end; i >= start; i--) {
-        if (!clipboardItems[i].isDeleted && !selectedItems.has(clipboardItems[i].id)) {
-          selectedItems.add(clipboardItems[i].id);
-          selectionOrder.push(clipboardItems[i].id);
+        if (!items[i].isDeleted && !selectedItems.has(items[i].id)) {
+          selectedItems.add(items[i].id);
+          selectionOrder.push(items[i].id);
         }
       }
     }
@@ -513,9 +765,9 @@ function selectAll() {
   renderItems();
 }
 
-async function copyItem(itemId) {
+async function copyItem(itemId, options = {}) {
   // Single item copy
-  const item = clipboardItems.find(i => i.id === itemId);
+  const item = findItem(itemId);
   if (!item) {
     console.error('Item not found:', itemId);
     return;
@@ -523,19 +775,17 @@ async function copyItem(itemId) {
   
   try {
     if (window.electronAPI) {
-      const success = await window.electronAPI.copyToClipboard(item);
+      const success = await window.electronAPI.copyToClipboard(item, options);
       
-      if (success) {
-        // Visual feedback - green flash
-        const element = document.querySelector(`[data-id="${itemId}"]`);
-        if (element) {
-          const originalBg = element.style.background;
-          element.style.background = '#4CAF50';
-          element.style.transition = 'background 0.2s';
-          setTimeout(() => {
-            element.style.background = originalBg;
-          }, 200);
-        }
+      // Visual feedback - green flash, red when the copy (e.g. a transformation) failed
+      const element = document.querySelector(`[data-id="${itemId}"]`);
+      if (element) {
+        const originalBg = element.style.background;
+        element.style.background = success ? '#4CAF50' : '#FF3B30';
+        element.style.transition = 'background 0.2s';
+        setTimeout(() => {
+          element.style.background = originalBg;
+        }, 200);
       }
     }
   } catch (error) {
@@ -547,14 +797,14 @@ async function togglePin(itemId) {
   if (window.electronAPI) {
     const success = await window.electronAPI.pinItem(itemId);
     if (success) {
-      const item = clipboardItems.find(i => i.id === itemId);
+      const item = findItem(itemId);
       if (item) {
         item.isPinned = !item.isPinned;
         renderItems();
       }
     }
   } else {
-    const item = clipboardItems.find(i => i.id === itemId);
+    const item = findItem(itemId);
     if (item) {
       item.isPinned = !item.isPinned;
       renderItems();
@@ -567,7 +817,7 @@ async function deleteItem(itemId) {
     await window.electronAPI.deleteItem(itemId);
   }
   
-  const item = clipboardItems.find(i => i.id === itemId);
+  const item = findItem(itemId);
   if (item) {
     item.isDeleted = true;
     renderItems();
@@ -585,7 +835,7 @@ async function restoreItem(itemId) {
   if (window.electronAPI) {
     const success = await window.electronAPI.restoreItem(itemId);
     if (success) {
-      const item = clipboardItems.find(i => i.id === itemId);
+      const item = findItem(itemId);
       if (item) {
         item.isDeleted = false;
         renderItems();
@@ -635,30 +885,61 @@ async function handleDeleteAll() {
 }
 
 function showContextMenu(event, itemId) {
-  const item = clipboardItems.find(i => i.id === itemId);
+  const item = findItem(itemId);
   if (!item) return;
   
-  // Remove existing context menu
-  const existingMenu = document.querySelector('.context-menu');
-  if (existingMenu) {
-    existingMenu.remove();
-  }
-  
-  // Create context menu
-  const menu = document.createElement('div');
-  menu.className = 'context-menu';
-  menu.style.left = event.pageX + 'px';
-  menu.style.top = event.pageY + 'px';
-  
   const menuItems = [];
   
   if (currentFilter !== 'trash') {
     menuItems.push(
       { label: 'Copy', action: () => copyItem(itemId) },
       { label: 'Copy as Plain Text', action: () => copyAsPlainText(itemId) },
+      ...(isCodeItem(item) ? [{ label: 'Copy with Highlighting', action: () => copyItem(itemId, { highlight: true }) }] : []),
+      { label: 'Preview', action: () => showPreview(itemId) },
+      ...(isTransformable(item) ? [{ label: 'Transform…', action: () => transformItem(itemId) }] : []),
+      ...(isEditable(item) ? [{ label: 'Edit…', action: () => editItem(itemId) }] : []),
+      ...(getMergeableItemIds(itemId).length > 1 ? [{ label: 'Merge into New Item…', action: () => mergeItems(getMergeableItemIds(itemId)) }] : []),
       { label: item.isPinned ? 'Unpin' : 'Pin', action: () => togglePin(itemId) },
+      ...(item.isSensitive ? [{ label: revealedItems.has(itemId) ? 'Hide Content' : 'Reveal Content', action: () => toggleReveal(itemId) }] : []),
+      item.isSensitive
+        ? { label: 'Unmark as Sensitive', action: () => setItemsSensitive(getTargetItemIds(itemId), false) }
+        : { label: 'Mark as Sensitive…', action: () => markItemsSensitive(getTargetItemIds(itemId)) },
+      { label: 'Add Tag…', action: () => addTagsToItems(getTargetItemIds(itemId)) },
       { label: 'Delete', action: () => deleteItem(itemId) }
     );
+    
+    if (item.type === 'color') {
+      menuItems.push(
+        { label: 'Copy as HEX', action: () => copyColorAs(itemId, 'hex') },
+        { label: 'Copy as RGB', action: () => copyColorAs(itemId, 'rgb') },
+        { label: 'Copy as HSL', action: () => copyColorAs(itemId, 'hsl') },
+        { label: 'Copy as SwiftUI Color', action: () => copyColorAs(itemId, 'swiftui') }
+      );
+    }
+    
+    collections
+      .filter(collection => collection.id !== currentCollectionId)
+      .forEach(collection => {
+        menuItems.push({
+          label: `Add to ${collection.name}`,
+          action: () => addItemsToCollection(collection.id, getTargetItemIds(itemId))
+        });
+      });
+    
+    if (currentFilter === 'collection') {
+      const collection = collections.find(c => c.id === currentCollectionId);
+      menuItems.push({
+        label: `Remove from ${collection ? collection.name : 'Collection'}`,
+        action: () => removeItemsFromCollection(currentCollectionId, getTargetItemIds(itemId))
+      });
+    }
+    
+    if (item.sourceApplication) {
+      menuItems.push({
+        label: `Never Capture from ${item.sourceApplication}`,
+        action: () => excludeApplication(item.sourceApplication)
+      });
+    }
   } else {
     menuItems.push(
       { label: 'Restore', action: () => restoreItem(itemId) },
@@ -666,6 +947,22 @@ function showContextMenu(event, itemId) {
     );
   }
   
+  openContextMenu(event, menuItems);
+}
+
+function openContextMenu(event, menuItems) {
+  // Remove existing context menu
+  const existingMenu = document.querySelector('.context-menu');
+  if (existingMenu) {
+    existingMenu.remove();
+  }
+  
+  // Create context menu
+  const menu = document.createElement('div');
+  menu.className = 'context-menu';
+  menu.style.left = event.pageX + 'px';
+  menu.style.top = event.pageY + 'px';
+  
   menuItems.forEach(item => {
     const menuItem = document.createElement('div');
     menuItem.className = 'context-menu-item';
@@ -694,8 +991,21 @@ function showContextMenu(event, itemId) {
   }, 0);
 }
 
+async function copyColorAs(itemId, format) {
+  const item = findItem(itemId);
+  if (!item || !window.electronAPI) return;
+  
+  await window.electronAPI.copyToClipboard({ ...item, colorFormat: format });
+}
+
+async function excludeApplication(appName) {
+  if (window.electronAPI) {
+    await window.electronAPI.excludeApplication(appName);
+  }
+}
+
 async function copyAsPlainText(itemId) {
-  const item = clipboardItems.find(i => i.id === itemId);
+  const item = findItem(itemId);
   if (!item || !item.plainText) return;
   
   if (window.electronAPI) {
@@ -716,34 +1026,754 @@ async function copyAsPlainText(itemId) {
 }
 
 function showPreview(itemId) {
-  const item = clipboardItems.find(i => i.id === itemId);
-  if (!item) return;
+  // Rendering lives in preview.js (shared with the history viewer)
+  const item = findItem(itemId);
+  openPreview(item, { onEdit: item && isEditable(item) ? () => editItem(itemId) : null });
+}
+
+// Snippets
+
+async function loadSnippets() {
+  if (!window.electronAPI) return;
   
-  // Remove existing preview
-  const existingPreview = document.querySelector('.preview-modal');
-  if (existingPreview) {
-    existingPreview.remove();
+  try {
+    snippets = await window.electronAPI.getSnippets();
+  } catch (error) {
+    console.error('Failed to load snippets:', error);
   }
+}
+
+function renderSnippets() {
+  const container = document.getElementById('items-container');
+  const query = currentQuery.toLowerCase();
+  const filteredSnippets = query
+    ? snippets.filter(s => s.name.toLowerCase().includes(query) || s.content.toLowerCase().includes(query))
+    : snippets;
   
-  // Create preview modal
-  const modal = document.createElement('div');
-  modal.className = 'preview-modal';
+  if (filteredSnippets.length === 0) {
+    container.innerHTML = `<div class="empty-state">${snippets.length === 0 ? 'No snippets yet' : 'No matching snippets'}</div>`;
+    return;
+  }
   
-  const content = document.createElement('div');
-  content.className = 'preview-content';
+  container.innerHTML = filteredSnippets.map(snippet => createSnippetHTML(snippet)).join('');
   
-  if (item.type === 'text' || item.type === 'richText') {
-    content.innerHTML = `<pre>${escapeHtml(item.plainText || '')}</pre>`;
-  } else if (item.type === 'image' && item.imageData) {
-    const base64 = arrayBufferToBase64(item.imageData);
-    content.innerHTML = `<img src="data:image/png;base64,${base64}" style="max-width: 100%; max-height: 80vh;" />`;
+  container.querySelectorAll('.snippet-item').forEach(el => {
+    const snippetId = el.dataset.snippetId;
+    
+    el.addEventListener('dblclick', (e) => {
+      e.preventDefault();
+      copySnippet(snippetId, { invertPaste: e.shiftKey });
+    });
+    
+    el.querySelector('.action-btn.copy').addEventListener('click', (e) => {
+      e.stopPropagation();
+      copySnippet(snippetId, { invertPaste: e.shiftKey });
+    });
+    
+    el.querySelector('.action-btn.edit').addEventListener('click', (e) => {
+      e.stopPropagation();
+      editSnippet(snippetId);
+    });
+    
+    el.querySelector('.action-btn.delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      deleteSnippet(snippetId);
+    });
+  });
+}
+
+function createSnippetHTML(snippet) {
+  const usage = snippet.useCount === 1 ? 'Used once' : `Used ${snippet.useCount} times`;
+  const fields = snippet.inputFields.length > 0
+    ? `<span class="source-app">asks for ${escapeHtml(snippet.inputFields.join(', '))}</span>`
+    : '';
+  
+  return `
+    <div class="clipboard-item snippet-item" data-snippet-id="${snippet.id}">
+      <div class="snippet-name">${escapeHtml(snippet.name)}</div>
+      <div class="item-content">${escapeHtml(snippet.content.substring(0, 200))}</div>
+      <div class="item-footer">
+        <div class="item-meta">
+          <span class="timestamp">${usage}</span>
+          ${fields}
+        </div>
+        <div class="item-actions">
+          <button class="action-btn copy">Copy</button>
+          <button class="action-btn edit">Edit</button>
+          <button class="action-btn delete">Delete</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+async function copySnippet(snippetId, options = {}) {
+  const snippet = snippets.find(s => s.id === snippetId);
+  if (!snippet || !window.electronAPI) return;
+  
+  // Ask for {{input:Name}} values before expanding
+  let inputs = {};
+  if (snippet.inputFields.length > 0) {
+    inputs = await showFormDialog({
+      title: snippet.name,
+      fields: snippet.inputFields.map(name => ({ name, label: name })),
+      submitLabel: 'Copy'
+    });
+    if (!inputs) return;
+  }
+  
+  try {
+    const success = await window.electronAPI.copyToClipboard({ type: 'snippet', snippetId, inputs }, options);
+    
+    if (success) {
+      snippet.useCount++;
+      const element = document.querySelector(`[data-snippet-id="${snippetId}"]`);
+      if (element) {
+        element.style.background = '#4CAF50';
+        element.style.transition = 'background 0.2s';
+        setTimeout(() => {
+          element.style.background = '';
+        }, 200);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to copy snippet:', error);
+  }
+}
+
+async function editSnippet(snippetId = null) {
+  const snippet = snippetId ? snippets.find(s => s.id === snippetId) : null;
+  
+  const values = await showFormDialog({
+    title: snippet ? 'Edit Snippet' : 'New Snippet',
+    fields: [
+      { name: 'name', label: 'Name', value: snippet ? snippet.name : '', required: true },
+      {
+        name: 'content',
+        label: 'Content',
+        value: snippet ? snippet.content : '',
+        required: true,
+        multiline: true,
+        hint: 'Placeholders: {{date:YYYY-MM-DD}} {{time}} {{clipboard}} {{cursor}} {{input:Name}}'
+      }
+    ],
+    submitLabel: 'Save'
+  });
+  if (!values || !window.electronAPI) return;
+  
+  const saved = snippet
+    ? await window.electronAPI.updateSnippet(snippet.id, values)
+    : await window.electronAPI.createSnippet(values);
+  
+  if (saved) {
+    await loadSnippets();
+    renderItems();
+  }
+}
+
+async function deleteSnippet(snippetId) {
+  const snippet = snippets.find(s => s.id === snippetId);
+  if (!snippet || !confirm(`Delete snippet "${snippet.name}"?`)) return;
+  
+  if (window.electronAPI && await window.electronAPI.deleteSnippet(snippetId)) {
+    snippets = snippets.filter(s => s.id !== snippetId);
+    renderItems();
+  }
+}
+
+// Electron doesn't support window.prompt(), so forms are rendered in the page.
+// Resolves with { fieldName: value } or null when cancelled.
+function showFormDialog({ title, fields, submitLabel = 'OK' }) {
+  return new Promise((resolve) => {
+    const existingDialog = document.querySelector('.form-dialog');
+    if (existingDialog) {
+      existingDialog.remove();
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'form-dialog';
+    
+    const form = document.createElement('form');
+    form.className = 'form-dialog-content';
+    form.innerHTML = `
+      <h3>${escapeHtml(title)}</h3>
+      ${fields.map((field, index) => `
+        <label class="form-field${field.checkbox ? ' checkbox' : ''}">
+          ${field.checkbox ? `<input type="checkbox" data-index="${index}" />` : ''}
+          <span>${escapeHtml(field.label)}</span>
+          ${field.checkbox ? '' : field.options
+            ? `<select data-index="${index}">${field.options.map(option => `<option>${escapeHtml(option.label)}</option>`).join('')}</select>`
+            : field.multiline
+              ? `<textarea data-index="${index}" rows="${field.rows || 6}"${field.required ? ' required' : ''}></textarea>`
+              : `<input type="text" data-index="${index}" list="form-suggestions-${index}" autocomplete="off"${field.required ? ' required' : ''} />`}
+          ${field.suggestions ? `<datalist id="form-suggestions-${index}"></datalist>` : ''}
+          ${field.hint ? `<small>${escapeHtml(field.hint)}</small>` : ''}
+        </label>
+      `).join('')}
+      <div class="form-actions">
+        <button type="button" class="action-btn cancel">Cancel</button>
+        <button type="submit" class="action-btn primary">${escapeHtml(submitLabel)}</button>
+      </div>
+    `;
+    
+    // Values are assigned through the DOM so they never need attribute escaping
+    const controls = Array.from(form.querySelectorAll('[data-index]'));
+    controls.forEach(control => {
+      const field = fields[control.dataset.index];
+      if (field.options) {
+        Array.from(control.options).forEach((option, i) => {
+          option.value = field.options[i].value;
+        });
+      }
+      if (field.suggestions) {
+        const datalist = form.querySelector(`#form-suggestions-${control.dataset.index}`);
+        field.suggestions.forEach(suggestion => {
+          const option = document.createElement('option');
+          option.value = suggestion;
+          datalist.appendChild(option);
+        });
+      }
+      if (field.checkbox) {
+        control.checked = Boolean(field.value);
+      } else {
+        control.value = field.value || '';
+      }
+    });
+    
+    const close = (result) => {
+      overlay.remove();
+      resolve(result);
+    };
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const values = {};
+      controls.forEach(control => {
+        values[fields[control.dataset.index].name] = control.type === 'checkbox' ? control.checked : control.value;
+      });
+      close(values);
+    });
+    
+    form.querySelector('.cancel').addEventListener('click', () => close(null));
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close(null);
+    });
+    
+    // Keep typing out of the sidebar's global shortcuts
+    overlay.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') close(null);
+    });
+    
+    overlay.appendChild(form);
+    document.body.appendChild(overlay);
+    
+    if (controls.length > 0) {
+      controls[0].focus();
+    }
+  });
+}
+
+// Text transformations
+
+async function loadTextTransforms() {
+  if (!window.electronAPI) return;
+  
+  try {
+    textTransforms = await window.electronAPI.getTextTransforms();
+  } catch (error) {
+    console.error('Failed to load text transforms:', error);
+  }
+}
+
+function isTransformable(item) {
+  return (item.type === 'text' || item.type === 'richText') && typeof item.plainText === 'string' && !item.isDeleted;
+}
+
+// Sensitive items stay masked, so they can't be edited either
+function isEditable(item) {
+  return isTransformable(item) && !item.isSensitive;
+}
+
+async function editItem(itemId) {
+  const item = findItem(itemId);
+  if (!item || !window.electronAPI) return;
+  
+  const values = await showFormDialog({
+    title: 'Edit Item',
+    fields: [
+      { name: 'text', label: 'Text', value: item.plainText, multiline: true, rows: 12, required: true },
+      { name: 'saveAsNew', label: 'Save as a new item', checkbox: true }
+    ],
+    submitLabel: 'Save'
+  });
+  if (!values || (values.text === item.plainText && !values.saveAsNew)) return;
+  
+  const saved = await window.electronAPI.updateItem(itemId, values.text, { saveAsNew: values.saveAsNew });
+  
+  if (!saved) {
+    const element = document.querySelector(`[data-id="${itemId}"]`);
+    if (element) {
+      element.style.background = '#FF3B30';
+      setTimeout(() => {
+        element.style.background = '';
+      }, 200);
+    }
+    return;
+  }
+  
+  // New items arrive through the clipboard-updated event; edits replace every local copy
+  if (!values.saveAsNew) {
+    const changes = {
+      type: saved.type,
+      plainText: saved.plainText,
+      richText: saved.richText,
+      contentHash: saved.contentHash,
+      fileSize: saved.fileSize,
+      contentType: saved.contentType,
+      codeLanguage: saved.codeLanguage
+    };
+    [clipboardItems, collectionItems, searchResults || []].forEach(list => {
+      list.filter(i => i.id === itemId).forEach(i => Object.assign(i, changes));
+    });
+    searchSnippets.delete(itemId);
+    renderItems();
+  }
+}
+
+const SENSITIVE_TTL_OPTIONS = [
+  { value: '5', label: '5 minutes' },
+  { value: '10', label: '10 minutes' },
+  { value: '30', label: '30 minutes' },
+  { value: '60', label: '1 hour' },
+  { value: '1440', label: '1 day' },
+  { value: '0', label: 'Never' }
+];
+
+async function markItemsSensitive(itemIds) {
+  const values = await showFormDialog({
+    title: itemIds.length === 1 ? 'Mark as Sensitive' : `Mark ${itemIds.length} Items as Sensitive`,
+    fields: [
+      { name: 'ttl', label: 'Delete after', value: lastSensitiveTtl, options: SENSITIVE_TTL_OPTIONS, hint: 'Sensitive items are masked until you hover over or reveal them' }
+    ],
+    submitLabel: 'Mark'
+  });
+  if (!values) return;
+  
+  lastSensitiveTtl = values.ttl;
+  await setItemsSensitive(itemIds, true, parseInt(values.ttl, 10));
+}
+
+async function setItemsSensitive(itemIds, sensitive, ttlMinutes = null) {
+  if (!window.electronAPI || itemIds.length === 0) return;
+  
+  const updated = await window.electronAPI.setItemsSensitive(itemIds, sensitive, ttlMinutes);
+  updated.forEach(saved => {
+    [clipboardItems, collectionItems, searchResults || []].forEach(list => {
+      list.filter(i => i.id === saved.id).forEach(i => Object.assign(i, { isSensitive: saved.isSensitive, expiresAt: saved.expiresAt }));
+    });
+    revealedItems.delete(saved.id);
+  });
+  renderItems();
+}
+
+function toggleReveal(itemId) {
+  if (revealedItems.has(itemId)) {
+    revealedItems.delete(itemId);
   } else {
-    content.textContent = 'Preview not available';
+    revealedItems.add(itemId);
+  }
+  renderItems();
+}
+
+const MERGE_SEPARATORS = { newline: '\n', comma: ', ', tab: '\t', space: ' ' };
+
+// Selected text items in selection order (sensitive items are left out)
+function getMergeableItemIds(itemId) {
+  return getTargetItemIds(itemId).filter(id => {
+    const item = findItem(id);
+    return item && isEditable(item);
+  });
+}
+
+async function mergeItems(itemIds) {
+  if (!window.electronAPI) return;
+  
+  const values = await showFormDialog({
+    title: `Merge ${itemIds.length} Items`,
+    fields: [
+      {
+        name: 'separator',
+        label: 'Separator',
+        value: lastMerge.separator,
+        options: [
+          { value: 'newline', label: 'New Line' },
+          { value: 'comma', label: 'Comma' },
+          { value: 'tab', label: 'Tab' },
+          { value: 'space', label: 'Space' },
+          { value: 'custom', label: 'Custom' }
+        ]
+      },
+      {
+        name: 'customSeparator',
+        label: 'Custom separator',
+        value: lastMerge.customSeparator,
+        hint: 'Used with Custom; \\n and \\t insert a new line and a tab'
+      },
+      {
+        name: 'format',
+        label: 'Format',
+        value: lastMerge.format,
+        options: [
+          { value: 'plain', label: 'Joined with Separator' },
+          { value: 'bullets', label: 'Bulleted List' },
+          { value: 'numbered', label: 'Numbered List' },
+          { value: 'csv', label: 'CSV Row' }
+        ]
+      }
+    ],
+    submitLabel: 'Merge'
+  });
+  if (!values) return;
+  
+  lastMerge = values;
+  const separator = values.separator === 'custom'
+    ? values.customSeparator.replace(/\\n/g, '\n').replace(/\\t/g, '\t')
+    : MERGE_SEPARATORS[values.separator];
+  
+  // The merged item arrives through the clipboard-updated event
+  const merged = await window.electronAPI.mergeItems(itemIds, { separator, format: values.format });
+  if (merged) {
+    clearSelections();
+  }
+}
+
+async function transformItem(itemId) {
+  if (textTransforms.length === 0) return;
+  
+  const values = await showFormDialog({
+    title: 'Transform Text',
+    fields: [
+      {
+        name: 'transform',
+        label: 'Transformation',
+        value: lastTransform.id || textTransforms[0].id,
+        options: textTransforms.map(t => ({
+          value: t.id,
+          label: t.shortcut ? `${t.label} (⌥⌘${t.shortcut})` : t.label
+        }))
+      },
+      {
+        name: 'saveTransformed',
+        label: 'Save result as a new item',
+        value: lastTransform.saveTransformed,
+        checkbox: true
+      }
+    ],
+    submitLabel: 'Copy'
+  });
+  if (!values) return;
+  
+  lastTransform = { id: values.transform, saveTransformed: values.saveTransformed };
+  await copyItem(itemId, { transform: values.transform, saveTransformed: values.saveTransformed });
+}
+
+function transformFromKeyboard(transformId, options) {
+  let itemId = null;
+  
+  if (selectedItems.size === 1) {
+    itemId = selectionOrder[0];
+  } else if (selectedItems.size === 0) {
+    const itemEl = document.querySelector('#items-container .clipboard-item');
+    itemId = itemEl ? itemEl.dataset.id : null;
   }
   
-  modal.appendChild(content);
-  document.body.appendChild(modal);
+  const item = itemId && findItem(itemId);
+  if (item && isTransformable(item)) {
+    copyItem(itemId, { ...options, transform: transformId });
+  }
+}
+
+// Paste stack
+
+async function loadPasteStack() {
+  if (!window.electronAPI) return;
   
-  // Close on click
-  modal.addEventListener('click', () => modal.remove());
+  try {
+    pasteStack = await window.electronAPI.getPasteStack();
+    renderPasteStack();
+  } catch (error) {
+    console.error('Failed to load paste stack:', error);
+  }
+}
+
+function renderPasteStack() {
+  const panel = document.getElementById('paste-stack');
+  if (!panel) return;
+  
+  panel.hidden = !pasteStack.isActive;
+  if (!pasteStack.isActive) {
+    panel.innerHTML = '';
+    return;
+  }
+  
+  const orderLabel = pasteStack.order === 'lifo' ? 'Last copied pastes first' : 'First copied pastes first';
+  const list = pasteStack.items.length > 0
+    ? `<ol class="paste-stack-list">${pasteStack.items.map(item => `
+        <li class="paste-stack-item" data-id="${item.id}">
+          ${item.type === 'color' && item.colorValue ? `<span class="collection-dot" style="background: ${escapeHtml(item.colorValue)}"></span>` : ''}
+          <span class="paste-stack-preview">${escapeHtml(item.preview || item.type)}</span>
+          <button class="tag-remove" title="Remove">×</button>
+        </li>
+      `).join('')}</ol>`
+    : '<div class="paste-stack-empty">Copy items to add them to the stack</div>';
+  
+  panel.innerHTML = `
+    <div class="paste-stack-header">
+      <span class="paste-stack-title">Paste Stack</span>
+      <span class="paste-stack-order">${orderLabel}</span>
+      <button class="toolbar-btn" data-action="clear">Clear</button>
+      <button class="toolbar-btn primary" data-action="stop">Stop</button>
+    </div>
+    ${list}
+  `;
+  
+  panel.querySelector('[data-action="clear"]').addEventListener('click', () => {
+    window.electronAPI.clearPasteStack();
+  });
+  panel.querySelector('[data-action="stop"]').addEventListener('click', () => {
+    window.electronAPI.togglePasteStack();
+  });
+  panel.querySelectorAll('.paste-stack-item').forEach(row => {
+    row.querySelector('.tag-remove').addEventListener('click', () => {
+      window.electronAPI.removeFromPasteStack(row.dataset.id);
+    });
+  });
+}
+
+// Collections
+
+async function loadCollections() {
+  if (!window.electronAPI) return;
+  
+  try {
+    collections = await window.electronAPI.getCollections();
+    renderCollections();
+  } catch (error) {
+    console.error('Failed to load collections:', error);
+  }
+}
+
+function renderCollections() {
+  const bar = document.getElementById('collections-bar');
+  if (!bar) return;
+  
+  bar.innerHTML = collections.map(collection => `
+    <button class="collection-chip ${collection.id === currentCollectionId ? 'active' : ''}" data-collection-id="${collection.id}" draggable="true">
+      <span class="collection-dot" style="background: ${collection.color}"></span>
+      ${escapeHtml(collection.name)}
+      <span class="collection-count">${collection.itemCount}</span>
+    </button>
+  `).join('') + '<button class="collection-chip add" title="New Collection">+</button>';
+  
+  bar.querySelector('.collection-chip.add').addEventListener('click', () => editCollection());
+  
+  bar.querySelectorAll('[data-collection-id]').forEach(chip => {
+    const collectionId = chip.dataset.collectionId;
+    
+    chip.addEventListener('click', () => selectCollection(collectionId));
+    
+    chip.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      openContextMenu(e, [
+        { label: 'Edit…', action: () => editCollection(collectionId) },
+        { label: 'Delete Collection', action: () => deleteCollection(collectionId) }
+      ]);
+    });
+    
+    // Chips can be dragged to reorder, and accept dragged items
+    chip.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(COLLECTION_DRAG_TYPE, collectionId);
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    
+    chip.addEventListener('dragover', (e) => {
+      const types = Array.from(e.dataTransfer.types);
+      if (types.includes(ITEM_DRAG_TYPE) || types.includes(COLLECTION_DRAG_TYPE)) {
+        e.preventDefault();
+        chip.classList.add('drop-target');
+      }
+    });
+    
+    chip.addEventListener('dragleave', () => chip.classList.remove('drop-target'));
+    
+    chip.addEventListener('drop', (e) => {
+      e.preventDefault();
+      chip.classList.remove('drop-target');
+      
+      const itemIds = e.dataTransfer.getData(ITEM_DRAG_TYPE);
+      const draggedCollectionId = e.dataTransfer.getData(COLLECTION_DRAG_TYPE);
+      
+      if (itemIds) {
+        addItemsToCollection(collectionId, JSON.parse(itemIds));
+      } else if (draggedCollectionId && draggedCollectionId !== collectionId) {
+        moveCollection(draggedCollectionId, collectionId);
+      }
+    });
+  });
+}
+
+async function selectCollection(collectionId) {
+  if (!window.electronAPI) return;
+  
+  document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+  document.getElementById('delete-all-btn').hidden = false;
+  document.getElementById('new-snippet-btn').hidden = true;
+  
+  currentFilter = 'collection';
+  currentCollectionId = collectionId;
+  searchResults = null;
+  searchSnippets = new Map();
+  renderCollections();
+  
+  try {
+    const items = await window.electronAPI.getCollectionItems(collectionId);
+    if (currentCollectionId !== collectionId) return; // Switched away while loading
+    
+    // Reuse loaded items so pin/delete state stays in sync
+    collectionItems = items.map(item => clipboardItems.find(i => i.id === item.id) || item);
+    renderItems();
+  } catch (error) {
+    console.error('Failed to load collection items:', error);
+  }
+}
+
+// Dragging or acting on a selected item applies to the whole selection
+function getTargetItemIds(itemId) {
+  return selectedItems.has(itemId) ? [...selectionOrder] : [itemId];
+}
+
+async function addItemsToCollection(collectionId, itemIds) {
+  if (!window.electronAPI || itemIds.length === 0) return;
+  
+  const added = await window.electronAPI.addToCollection(collectionId, itemIds);
+  if (added > 0) {
+    await loadCollections();
+  }
+}
+
+async function removeItemsFromCollection(collectionId, itemIds) {
+  if (!window.electronAPI) return;
+  
+  await window.electronAPI.removeFromCollection(collectionId, itemIds);
+  const removed = new Set(itemIds);
+  collectionItems = collectionItems.filter(item => !removed.has(item.id));
+  renderItems();
+  loadCollections();
+}
+
+async function editCollection(collectionId = null) {
+  const collection = collectionId ? collections.find(c => c.id === collectionId) : null;
+  const defaultColor = COLLECTION_COLORS[collections.length % COLLECTION_COLORS.length].value;
+  
+  const values = await showFormDialog({
+    title: collection ? 'Edit Collection' : 'New Collection',
+    fields: [
+      { name: 'name', label: 'Name', value: collection ? collection.name : '', required: true },
+      { name: 'color', label: 'Color', value: collection ? collection.color : defaultColor, options: COLLECTION_COLORS }
+    ],
+    submitLabel: collection ? 'Save' : 'Create'
+  });
+  if (!values || !window.electronAPI) return;
+  
+  if (collection) {
+    await window.electronAPI.updateCollection(collection.id, values);
+  } else {
+    await window.electronAPI.createCollection(values.name, values.color);
+  }
+  await loadCollections();
+}
+
+async function deleteCollection(collectionId) {
+  const collection = collections.find(c => c.id === collectionId);
+  if (!collection || !confirm(`Delete collection "${collection.name}"? Its items stay in your history.`)) return;
+  
+  if (window.electronAPI && await window.electronAPI.deleteCollection(collectionId)) {
+    collections = collections.filter(c => c.id !== collectionId);
+    
+    if (currentCollectionId === collectionId) {
+      handleFilterChange(document.querySelector('.tab[data-filter="all"]'));
+    } else {
+      renderCollections();
+    }
+  }
+}
+
+// Move a collection to the position of another one
+async function moveCollection(collectionId, targetId) {
+  const ids = collections.map(c => c.id);
+  const targetIndex = ids.indexOf(targetId);
+  ids.splice(ids.indexOf(collectionId), 1);
+  ids.splice(targetIndex, 0, collectionId);
+  
+  collections = ids.map(id => collections.find(c => c.id === id));
+  renderCollections();
+  
+  if (window.electronAPI) {
+    await window.electronAPI.reorderCollections(ids);
+  }
+}
+
+// Tags
+
+async function addTagsToItems(itemIds) {
+  if (!window.electronAPI || itemIds.length === 0) return;
+  
+  let knownTags = [];
+  try {
+    knownTags = (await window.electronAPI.getTags()).map(tag => tag.name);
+  } catch (error) {
+    console.error('Failed to load tags:', error);
+  }
+  
+  const values = await showFormDialog({
+    title: itemIds.length === 1 ? 'Add Tag' : `Add Tag to ${itemIds.length} Items`,
+    fields: [
+      { name: 'tags', label: 'Tags', required: true, suggestions: knownTags, hint: 'Separate multiple tags with commas' }
+    ],
+    submitLabel: 'Add'
+  });
+  if (!values) return;
+  
+  const added = await window.electronAPI.addTags(itemIds, values.tags.split(','));
+  if (added.length === 0) return;
+  
+  itemIds.forEach(itemId => {
+    const item = findItem(itemId);
+    if (!item) return;
+    
+    const tags = item.tags || [];
+    const existing = new Set(tags.map(tag => tag.toLowerCase()));
+    item.tags = [...tags, ...added.filter(tag => !existing.has(tag.toLowerCase()))].sort();
+  });
+  renderItems();
+}
+
+async function removeTag(itemId, tag) {
+  if (!window.electronAPI) return;
+  
+  await window.electronAPI.removeTag([itemId], tag);
+  const item = findItem(itemId);
+  if (item) {
+    item.tags = item.tags.filter(t => t !== tag);
+    renderItems();
+  }
+}
+
+// Show all items with a tag (tags are searched through the full-text search)
+function filterByTag(tag) {
+  const searchInput = document.getElementById('search-input');
+  searchInput.value = `tag:"${tag}"`;
+  currentQuery = searchInput.value;
+  handleFilterChange(document.querySelector('.tab[data-filter="all"]'));
 }
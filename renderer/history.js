@@ -20,13 +20,7 @@ async function loadInitialItems() {
       // Load only first batch without full image data
       const items = await window.electronAPI.getClipboardHistory();
       // Remove image data to reduce memory
-      allItems = items.map(item => {
-        if (item.type === 'image' && item.imageData) {
-          // Keep only a flag that it's an image, not the full data
-          return { ...item, imageData: null, hasImage: true };
-        }
-        return item;
-      });
+      allItems = items.map(stripImageData);
       displayedItems = allItems.slice(0, batchSize);
       currentOffset = batchSize;
       renderItems();
@@ -36,6 +30,15 @@ async function loadInitialItems() {
   }
 }
 
+// Remove image data to reduce memory
+function stripImageData(item) {
+  if (item.type === 'image' && item.imageData) {
+    // Keep only a flag that it's an image, not the full data
+    return { ...item, imageData: null, hasImage: true };
+  }
+  return item;
+}
+
 function setupKeyboardShortcuts() {
   document.addEventListener('keydown', (e) => {
     // Cmd+A to select all
@@ -51,27 +54,40 @@ function setupKeyboardShortcuts() {
         copySelectedItems();
       }
     }
+    
+    // Space to preview the selected item
+    if (e.key === ' ' && selectedItems.size === 1 && !e.target.matches('input')) {
+      e.preventDefault();
+      const itemId = [...selectedItems][0];
+      openPreview(displayedItems.find(i => i.id === itemId));
+    }
   });
 }
 
 function setupSearch() {
   const searchInput = document.getElementById('searchInput');
   searchInput.addEventListener('input', debounce((e) => {
-    searchQuery = e.target.value.toLowerCase();
+    searchQuery = e.target.value.trim();
     filterItems();
   }, 300));
 }
 
-function filterItems() {
+// Search supports text and filters like type:image app:Slack after:2026-09-01 (see searchQuery.js)
+async function filterItems() {
   if (!searchQuery) {
     displayedItems = allItems;
+  } else if (window.electronAPI) {
+    const query = searchQuery;
+    try {
+      const results = await window.electronAPI.searchItems(query, { limit: 500 });
+      if (query !== searchQuery) return; // A newer search is in flight
+      displayedItems = results.map(stripImageData);
+    } catch (error) {
+      console.error('Search failed:', error);
+      return;
+    }
   } else {
-    displayedItems = allItems.filter(item => {
-      if (item.plainText) {
-        return item.plainText.toLowerCase().includes(searchQuery);
-      }
-      return false;
-    });
+    displayedItems = [];
   }
   renderItems();
 }
@@ -91,7 +107,7 @@ function setupInfiniteScroll() {
 }
 
 async function loadMoreItems() {
-  if (isLoading || currentOffset >= allItems.length) return;
+  if (isLoading || searchQuery || currentOffset >= allItems.length) return;
   
   isLoading = true;
   document.getElementById('loading').style.display = 'block';
@@ -212,6 +228,11 @@ async function copySelectedItems() {
 }
 
 function getItemPreview(item) {
+  // Never render the content of sensitive items
+  if (item.isSensitive) {
+    return '••••••••••••';
+  }
+  
   if (item.type === 'text' || item.type === 'richText') {
     if (item.plainText) {
       return escapeHtml(item.plainText.substring(0, 200));
@@ -225,12 +246,15 @@ function getItemPreview(item) {
   } else if (item.type === 'file' && item.filePaths) {
     const paths = typeof item.filePaths === 'string' ? JSON.parse(item.filePaths) : item.filePaths;
     return `📄 ${escapeHtml(paths[0])}`;
+  } else if (item.type === 'color' && item.colorValue) {
+    const colorValue = escapeHtml(item.colorValue);
+    return `<span class="color-swatch" style="background-color: ${colorValue}"></span>${colorValue}`;
   }
   return 'Clipboard item';
 }
 
 async function copyItem(itemId) {
-  const item = allItems.find(i => i.id === itemId);
+  const item = displayedItems.find(i => i.id === itemId) || allItems.find(i => i.id === itemId);
   if (!item || !window.electronAPI) return;
   
   await window.electronAPI.copyToClipboard(item);
@@ -0,0 +1,45 @@
+// The main process closes this window once the app is unlocked
+document.addEventListener('DOMContentLoaded', async () => {
+  const form = document.getElementById('unlockForm');
+  const input = document.getElementById('passcode');
+  const errorText = document.getElementById('errorText');
+  const touchIdBtn = document.getElementById('touchIdBtn');
+
+  if (!window.electronAPI) return;
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!input.value) return;
+
+    const result = await window.electronAPI.unlockApp(input.value);
+    if (result.success) return;
+
+    input.value = '';
+    errorText.textContent = result.retryAfter > 0
+      ? `Too many attempts. Try again in ${result.retryAfter} seconds.`
+      : 'Incorrect passcode';
+    input.classList.remove('shake');
+    void input.offsetWidth; // Restart the animation
+    input.classList.add('shake');
+    input.focus();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      window.close();
+    }
+  });
+
+  // Offer Touch ID, and ask for it right away
+  const status = await window.electronAPI.getLockStatus();
+  if (status.touchIdAvailable && status.useTouchID) {
+    const unlockWithTouchID = async () => {
+      const unlocked = await window.electronAPI.unlockAppWithTouchID();
+      if (!unlocked) input.focus();
+    };
+
+    touchIdBtn.hidden = false;
+    touchIdBtn.addEventListener('click', unlockWithTouchID);
+    unlockWithTouchID();
+  }
+});
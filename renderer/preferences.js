@@ -1,43 +1,184 @@
+let excludedApplications = [];
+let hasLockPasscode = false;
+let captureRules = [];
+let editingRuleId = null; // Rule open in the editor (null when adding)
+
 // Load preferences on startup
 document.addEventListener('DOMContentLoaded', async () => {
   if (window.electronAPI) {
     const prefs = await window.electronAPI.getPreferences();
     
     document.getElementById('globalHotkey').value = prefs.globalHotkey || 'Command+L';
+    document.getElementById('pasteStackHotkey').value = prefs.pasteStackHotkey || '';
+    document.getElementById('pasteNextHotkey').value = prefs.pasteNextHotkey || '';
     document.getElementById('sidebarItemLimit').value = prefs.sidebarItemLimit || 100;
     document.getElementById('saveImages').checked = prefs.saveImages === true; // Default false
     document.getElementById('maxHistoryItems').value = prefs.maxHistoryItems || 1000;
     document.getElementById('retentionDays').value = prefs.retentionDays || 30;
     document.getElementById('autoHideAfterCopy').checked = prefs.autoHideAfterCopy || false;
+    document.getElementById('pasteAfterCopy').checked = prefs.pasteAfterCopy || false;
     document.getElementById('copyWithFormatting').checked = prefs.copyWithFormatting || false;
     document.getElementById('launchAtLogin').checked = prefs.launchAtLogin || false;
+    document.getElementById('autoTagContent').checked = prefs.autoTagContent !== false; // Default true
+    document.getElementById('pasteStackOrder').value = prefs.pasteStackOrder || 'fifo';
+    document.getElementById('ignorePasswords').checked = prefs.ignorePasswords || false;
+    document.getElementById('detectSecrets').checked = prefs.detectSecrets || false;
+    document.getElementById('secretHandling').value = prefs.secretHandling || 'skip';
+    document.getElementById('secretExpiryMinutes').value = prefs.secretExpiryMinutes || 10;
+    document.getElementById('clearClipboardOnExpiry').checked = prefs.clearClipboardOnExpiry !== false; // Default true
+    document.getElementById('encryptHistory').checked = prefs.encryptHistory || false;
+    document.getElementById('appLockEnabled').checked = prefs.appLockEnabled || false;
+    document.getElementById('lockAfterMinutes').value = prefs.lockAfterMinutes ?? 5;
+    document.getElementById('lockOnScreenLock').checked = prefs.lockOnScreenLock !== false; // Default true
+    document.getElementById('lockUseTouchID').checked = prefs.lockUseTouchID !== false; // Default true
+    document.getElementById('backupEnabled').checked = prefs.backupEnabled || false;
+    document.getElementById('backupIntervalHours').value = String(prefs.backupIntervalHours || 24);
+    document.getElementById('backupKeep').value = prefs.backupKeep || 7;
+    excludedApplications = prefs.excludedApplications || [];
+    renderExcludedApplications();
+    captureRules = prefs.captureRules || [];
+    renderCaptureRules();
+    loadRuleOptions();
+    
+    // Encryption can't be turned on without the keychain
+    const encryption = await window.electronAPI.getEncryptionStatus();
+    if (!encryption.available && !prefs.encryptHistory) {
+      document.getElementById('encryptHistory').disabled = true;
+      document.getElementById('encryptHistoryInfo').textContent = 'Encryption is unavailable because the Keychain can\'t be accessed.';
+    }
+
+    const lockStatus = await window.electronAPI.getLockStatus();
+    hasLockPasscode = lockStatus.hasPasscode;
+    if (hasLockPasscode) {
+      document.getElementById('lockPasscode').placeholder = 'Change passcode';
+    }
+    if (!lockStatus.touchIdAvailable) {
+      document.getElementById('lockUseTouchID').disabled = true;
+    }
+
+    renderBackupStatus();
   }
 
+  // Excluded applications (saved immediately)
+  const excludedAppInput = document.getElementById('excludedAppInput');
+  const addExcludedApp = async () => {
+    const appName = excludedAppInput.value.trim();
+    if (!appName) return;
+    await saveExcludedApplications([...excludedApplications, appName]);
+    excludedAppInput.value = '';
+  };
+  document.getElementById('addExcludedAppBtn').addEventListener('click', addExcludedApp);
+  excludedAppInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addExcludedApp();
+  });
+
+  // Capture rules (saved immediately)
+  document.getElementById('addRuleBtn').addEventListener('click', () => openRuleEditor(null));
+  document.getElementById('cancelRuleBtn').addEventListener('click', closeRuleEditor);
+  document.getElementById('saveRuleBtn').addEventListener('click', saveRuleFromEditor);
+
   // Save button
   document.getElementById('saveBtn').addEventListener('click', async () => {
     const prefs = {
       globalHotkey: document.getElementById('globalHotkey').value,
+      pasteStackHotkey: document.getElementById('pasteStackHotkey').value,
+      pasteNextHotkey: document.getElementById('pasteNextHotkey').value,
       sidebarItemLimit: parseInt(document.getElementById('sidebarItemLimit').value),
       saveImages: document.getElementById('saveImages').checked,
       maxHistoryItems: parseInt(document.getElementById('maxHistoryItems').value),
       retentionDays: parseInt(document.getElementById('retentionDays').value),
       autoHideAfterCopy: document.getElementById('autoHideAfterCopy').checked,
+      pasteAfterCopy: document.getElementById('pasteAfterCopy').checked,
       copyWithFormatting: document.getElementById('copyWithFormatting').checked,
-      launchAtLogin: document.getElementById('launchAtLogin').checked
+      launchAtLogin: document.getElementById('launchAtLogin').checked,
+      autoTagContent: document.getElementById('autoTagContent').checked,
+      pasteStackOrder: document.getElementById('pasteStackOrder').value,
+      ignorePasswords: document.getElementById('ignorePasswords').checked,
+      detectSecrets: document.getElementById('detectSecrets').checked,
+      secretHandling: document.getElementById('secretHandling').value,
+      secretExpiryMinutes: parseInt(document.getElementById('secretExpiryMinutes').value),
+      clearClipboardOnExpiry: document.getElementById('clearClipboardOnExpiry').checked,
+      encryptHistory: document.getElementById('encryptHistory').checked,
+      appLockEnabled: document.getElementById('appLockEnabled').checked,
+      lockAfterMinutes: parseInt(document.getElementById('lockAfterMinutes').value) || 0,
+      lockOnScreenLock: document.getElementById('lockOnScreenLock').checked,
+      lockUseTouchID: document.getElementById('lockUseTouchID').checked,
+      backupEnabled: document.getElementById('backupEnabled').checked,
+      backupIntervalHours: parseInt(document.getElementById('backupIntervalHours').value),
+      backupKeep: parseInt(document.getElementById('backupKeep').value) || 7
     };
 
+    const passcodeInput = document.getElementById('lockPasscode');
+    const confirmInput = document.getElementById('lockPasscodeConfirm');
+    const passcode = passcodeInput.value;
+    if (passcode !== confirmInput.value) {
+      alert('The passcodes don\'t match.');
+      return;
+    }
+    if (passcode && passcode.length < 4) {
+      alert('The passcode must be at least 4 characters.');
+      return;
+    }
+    if (prefs.appLockEnabled && !passcode && !hasLockPasscode) {
+      alert('Set a passcode to turn on App Lock.');
+      return;
+    }
+
     if (window.electronAPI) {
-      await window.electronAPI.updatePreferences(prefs);
-      alert('Preferences saved! Restart the app for hotkey changes to take effect.');
+      // Turning encryption off deletes the key, so backups made with it can't be restored anymore
+      if (!prefs.encryptHistory) {
+        const encryption = await window.electronAPI.getEncryptionStatus();
+        if (encryption.enabled && encryption.encryptedBackups > 0 &&
+            !confirm(`${encryption.encryptedBackups} encrypted backup(s) can only be restored with the current key. Turning encryption off deletes the key, so they can't be restored anymore. Continue?`)) {
+          document.getElementById('encryptHistory').checked = true;
+          return;
+        }
+      }
+
+      // Save the passcode first so the lock can be turned on with it
+      if (passcode) {
+        if (!(await window.electronAPI.setLockPasscode(passcode))) {
+          alert('The passcode could not be saved.');
+          return;
+        }
+        hasLockPasscode = true;
+        passcodeInput.value = '';
+        confirmInput.value = '';
+        passcodeInput.placeholder = 'Change passcode';
+      }
+
+      const saved = await window.electronAPI.updatePreferences(prefs);
+      if (saved) {
+        alert('Preferences saved!');
+      } else {
+        // Show the setting that was kept
+        const current = await window.electronAPI.getPreferences();
+        document.getElementById('encryptHistory').checked = current.encryptHistory || false;
+        document.getElementById('appLockEnabled').checked = current.appLockEnabled || false;
+        alert('Some preferences could not be saved.');
+      }
     }
   });
 
+  // Export filters offer the same types as capture rules
+  document.getElementById('exportType').innerHTML = document.getElementById('ruleContentType').innerHTML;
+
   // Export button
   document.getElementById('exportBtn').addEventListener('click', async () => {
     if (window.electronAPI) {
-      const result = await window.electronAPI.exportHistory();
+      // Dates cover whole days in local time
+      const from = document.getElementById('exportFrom').value;
+      const to = document.getElementById('exportTo').value;
+      const result = await window.electronAPI.exportHistory({
+        format: document.getElementById('exportFormat').value,
+        from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+        to: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+        type: document.getElementById('exportType').value,
+        tag: document.getElementById('exportTag').value,
+        pinnedOnly: document.getElementById('exportPinnedOnly').checked
+      });
       if (result.success) {
-        alert(`History exported successfully to:\n${result.path}`);
+        alert(`${result.count} items exported successfully to:\n${result.path}`);
       } else {
         alert('Export cancelled or failed');
       }
@@ -45,16 +186,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   // Import (merge) button
-  document.getElementById('importBtn').addEventListener('click', async () => {
-    if (window.electronAPI) {
-      const result = await window.electronAPI.importHistory(true);
-      if (result.success) {
-        alert(`Successfully imported ${result.count} items!`);
-      } else {
-        alert('Import cancelled or failed');
-      }
-    }
-  });
+  document.getElementById('importBtn').addEventListener('click', () => importHistory(true));
 
   // Import (replace) button
   document.getElementById('importReplaceBtn').addEventListener('click', async () => {
@@ -62,13 +194,402 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
     
+    await importHistory(false);
+  });
+
+  // Backup folder (saved immediately)
+  document.getElementById('chooseBackupFolderBtn').addEventListener('click', async () => {
+    if (window.electronAPI && await window.electronAPI.chooseBackupFolder()) {
+      renderBackupStatus();
+    }
+  });
+
+  // Back up now button
+  document.getElementById('backupNowBtn').addEventListener('click', async () => {
     if (window.electronAPI) {
-      const result = await window.electronAPI.importHistory(false);
+      const button = document.getElementById('backupNowBtn');
+      button.disabled = true;
+      const result = await window.electronAPI.backupNow();
+      button.disabled = false;
       if (result.success) {
-        alert(`Successfully imported ${result.count} items!`);
-      } else {
-        alert('Import cancelled or failed');
+        renderBackupStatus();
+      } else if (result.error) {
+        alert(`Backup failed: ${result.error}`);
+      }
+    }
+  });
+
+  // Restore button
+  document.getElementById('restoreBackupBtn').addEventListener('click', restoreFromBackup);
+
+  // Export preferences button
+  document.getElementById('exportPrefsBtn').addEventListener('click', async () => {
+    if (window.electronAPI) {
+      const result = await window.electronAPI.exportPreferences();
+      if (result.success) {
+        alert(`Preferences exported to:\n${result.path}`);
+      }
+    }
+  });
+
+  // Import preferences button
+  document.getElementById('importPrefsBtn').addEventListener('click', async () => {
+    if (window.electronAPI) {
+      const result = await window.electronAPI.importPreferences();
+      if (result.success) {
+        alert('Preferences imported!');
+        window.location.reload();
+      } else if (result.error) {
+        alert('Import failed');
       }
     }
   });
 });
+
+async function saveExcludedApplications(list) {
+  if (!window.electronAPI) return;
+
+  await window.electronAPI.updatePreferences({ excludedApplications: list });
+  const prefs = await window.electronAPI.getPreferences();
+  excludedApplications = prefs.excludedApplications || [];
+  renderExcludedApplications();
+}
+
+function renderExcludedApplications() {
+  const container = document.getElementById('excludedAppList');
+  container.innerHTML = '';
+
+  if (excludedApplications.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'app-list-empty';
+    empty.textContent = 'No excluded applications';
+    container.appendChild(empty);
+    return;
+  }
+
+  excludedApplications.forEach(appName => {
+    const row = document.createElement('div');
+    row.className = 'app-list-item';
+
+    const label = document.createElement('span');
+    label.textContent = appName;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'action-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      saveExcludedApplications(excludedApplications.filter(name => name !== appName));
+    });
+
+    row.appendChild(label);
+    row.appendChild(removeBtn);
+    container.appendChild(row);
+  });
+}
+
+// Collections and transformations offered by the rule editor
+async function loadRuleOptions() {
+  const [collections, transforms] = await Promise.all([
+    window.electronAPI.getCollections(),
+    window.electronAPI.getTextTransforms()
+  ]);
+
+  const fillSelect = (select, options) => {
+    select.innerHTML = '';
+    [{ value: '', label: 'None' }, ...options].forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  };
+
+  fillSelect(document.getElementById('ruleCollection'), collections.map(c => ({ value: c.id, label: c.name })));
+  fillSelect(document.getElementById('ruleTransform'), transforms.map(t => ({ value: t.id, label: t.label })));
+  renderCaptureRules();
+}
+
+async function renderBackupStatus() {
+  const status = await window.electronAPI.getBackupStatus();
+  const last = status.lastBackupAt
+    ? `Last backup ${new Date(status.lastBackupAt).toLocaleString()}`
+    : 'No backups yet';
+  document.getElementById('backupInfo').textContent = `${last} · ${status.folder || ''}`;
+}
+
+/**
+ * Preview a backup's contents, then restore it (PasteBro restarts)
+ */
+async function restoreFromBackup() {
+  if (!window.electronAPI) return;
+
+  const preview = await window.electronAPI.previewRestore();
+  if (!preview.success) {
+    if (preview.error) {
+      alert(`Restore failed: ${preview.error}`);
+    }
+    return;
+  }
+
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  const lines = [`Restore the backup from ${new Date(preview.createdAt).toLocaleString()}?`, ''];
+  lines.push(`${preview.itemCount} items, ${preview.imageCount} images${preview.encrypted ? ' (encrypted)' : ''}`);
+  if (preview.itemCount > 0) {
+    lines.push(`Copied ${formatDate(preview.oldest)} – ${formatDate(preview.newest)}`);
+  }
+  lines.push('', 'Your current history is backed up first and replaced. PasteBro will restart.');
+
+  if (!confirm(lines.join('\n'))) {
+    await window.electronAPI.cancelRestore();
+    return;
+  }
+
+  const result = await window.electronAPI.restoreBackup();
+  if (!result.success && result.error) {
+    alert(`Restore failed: ${result.error}`);
+  }
+}
+
+const IMPORT_TYPE_LABELS = {
+  text: 'text',
+  richText: 'rich text',
+  image: 'images',
+  file: 'files',
+  'multi-file': 'file groups',
+  color: 'colors'
+};
+
+/**
+ * Dry-run summary shown before an import is committed
+ */
+function describeImport(preview, merge, policy) {
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  const types = Object.entries(preview.types)
+    .map(([type, count]) => `${count} ${IMPORT_TYPE_LABELS[type] || type}`)
+    .join(', ');
+
+  const lines = [`Import ${preview.count} items from ${preview.source}?`, ''];
+  if (preview.count > 0) {
+    lines.push(`${types}${preview.pinned > 0 ? ` · ${preview.pinned} pinned` : ''}`);
+    lines.push(`Copied ${formatDate(preview.oldest)} – ${formatDate(preview.newest)}`);
+  }
+  if (merge && preview.duplicates > 0) {
+    lines.push(`${preview.duplicates} already in your history: ${getOptionLabel('importPolicy', policy).toLowerCase()}.`);
+  }
+  if (preview.skipped > 0) {
+    lines.push(`${preview.skipped} entries without text can't be imported.`);
+  }
+  return lines.join('\n');
+}
+
+async function importHistory(merge) {
+  if (!window.electronAPI) return;
+
+  const preview = await window.electronAPI.previewImport();
+  if (!preview.success) {
+    if (preview.error) {
+      alert(`Import failed: ${preview.error}`);
+    }
+    return;
+  }
+
+  if (preview.count === 0) {
+    alert(`No items found to import from ${preview.source}.`);
+    await window.electronAPI.cancelImport();
+    return;
+  }
+  const policy = document.getElementById('importPolicy').value;
+  if (!confirm(describeImport(preview, merge, policy))) {
+    await window.electronAPI.cancelImport();
+    return;
+  }
+
+  const result = await window.electronAPI.importHistory(merge, policy);
+  if (result.success) {
+    alert(describeImportReport(result));
+  } else {
+    alert(result.error ? `Import failed: ${result.error}` : 'Import failed');
+  }
+}
+
+/**
+ * Counts plus the first skipped and failed items with their reasons
+ */
+function describeImportReport(report) {
+  const lines = [
+    `Import finished: ${report.added} added, ${report.merged} merged, ${report.skipped} skipped, ${report.failed} failed.`
+  ];
+  if (report.problems.length > 0) {
+    lines.push('');
+    report.problems.slice(0, 10).forEach(({ preview, status, reason }) => {
+      lines.push(`${status === 'failed' ? 'Failed' : 'Skipped'}: ${preview || 'Untitled item'} (${reason})`);
+    });
+    const more = report.skipped + report.failed - Math.min(report.problems.length, 10);
+    if (more > 0) {
+      lines.push(`…and ${more} more`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function getOptionLabel(selectId, value) {
+  const option = Array.from(document.getElementById(selectId).options).find(o => o.value === value);
+  return option ? option.textContent : value;
+}
+
+function describeRule(rule) {
+  const conditions = [
+    rule.sourceApp && `from ${rule.sourceApp}`,
+    rule.contentType && getOptionLabel('ruleContentType', rule.contentType).toLowerCase(),
+    rule.pattern && `matching /${rule.pattern}/`,
+    rule.minSize && `over ${Math.round(rule.minSize / 1024)} KB`,
+    rule.maxSize && `under ${Math.round(rule.maxSize / 1024)} KB`
+  ].filter(Boolean);
+  const actions = [
+    rule.skip && 'don\'t save',
+    rule.pin && 'pin',
+    rule.tags.length > 0 && rule.tags.map(tag => `#${tag}`).join(' '),
+    rule.collectionId && `add to ${getOptionLabel('ruleCollection', rule.collectionId)}`,
+    rule.transform && getOptionLabel('ruleTransform', rule.transform),
+    rule.ttlMinutes && `delete after ${rule.ttlMinutes} min`
+  ].filter(Boolean);
+
+  return `${conditions.join(', ') || 'Every copy'} → ${actions.join(', ')}`;
+}
+
+function renderCaptureRules() {
+  const container = document.getElementById('ruleList');
+  container.innerHTML = '';
+
+  if (captureRules.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'app-list-empty';
+    empty.textContent = 'No capture rules';
+    container.appendChild(empty);
+    return;
+  }
+
+  captureRules.forEach(rule => {
+    const row = document.createElement('div');
+    row.className = 'app-list-item';
+
+    const label = document.createElement('label');
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled;
+    enabled.addEventListener('change', () => {
+      saveCaptureRules(captureRules.map(r => r.id === rule.id ? { ...r, enabled: enabled.checked } : r));
+    });
+    const text = document.createElement('span');
+    text.textContent = rule.name || describeRule(rule);
+    text.title = describeRule(rule);
+    label.appendChild(enabled);
+    label.appendChild(text);
+
+    const actions = document.createElement('div');
+    const editBtn = document.createElement('button');
+    editBtn.className = 'action-btn';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openRuleEditor(rule));
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'action-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      if (editingRuleId === rule.id) closeRuleEditor();
+      saveCaptureRules(captureRules.filter(r => r.id !== rule.id));
+    });
+    actions.appendChild(editBtn);
+    actions.appendChild(removeBtn);
+
+    row.appendChild(label);
+    row.appendChild(actions);
+    container.appendChild(row);
+  });
+}
+
+function openRuleEditor(rule) {
+  editingRuleId = rule ? rule.id : null;
+  document.getElementById('ruleName').value = rule ? rule.name : '';
+  document.getElementById('ruleSourceApp').value = rule ? rule.sourceApp : '';
+  document.getElementById('ruleContentType').value = rule ? rule.contentType : '';
+  document.getElementById('rulePattern').value = rule ? rule.pattern : '';
+  document.getElementById('ruleMinSize').value = rule && rule.minSize ? Math.round(rule.minSize / 1024) : '';
+  document.getElementById('ruleMaxSize').value = rule && rule.maxSize ? Math.round(rule.maxSize / 1024) : '';
+  document.getElementById('ruleSkip').checked = rule ? rule.skip : false;
+  document.getElementById('rulePin').checked = rule ? rule.pin : false;
+  document.getElementById('ruleTags').value = rule ? rule.tags.join(', ') : '';
+  document.getElementById('ruleCollection').value = rule && rule.collectionId ? rule.collectionId : '';
+  document.getElementById('ruleTransform').value = rule && rule.transform ? rule.transform : '';
+  document.getElementById('ruleTtlMinutes').value = rule && rule.ttlMinutes ? rule.ttlMinutes : '';
+
+  document.getElementById('ruleEditor').hidden = false;
+  document.getElementById('addRuleBtn').hidden = true;
+  document.getElementById('ruleSourceApp').focus();
+}
+
+function closeRuleEditor() {
+  editingRuleId = null;
+  document.getElementById('ruleEditor').hidden = true;
+  document.getElementById('addRuleBtn').hidden = false;
+}
+
+async function saveRuleFromEditor() {
+  const kilobytes = (id) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return value > 0 ? Math.round(value * 1024) : null;
+  };
+
+  const rule = {
+    id: editingRuleId,
+    name: document.getElementById('ruleName').value.trim(),
+    enabled: true,
+    sourceApp: document.getElementById('ruleSourceApp').value.trim(),
+    contentType: document.getElementById('ruleContentType').value,
+    pattern: document.getElementById('rulePattern').value.trim(),
+    minSize: kilobytes('ruleMinSize'),
+    maxSize: kilobytes('ruleMaxSize'),
+    skip: document.getElementById('ruleSkip').checked,
+    pin: document.getElementById('rulePin').checked,
+    tags: document.getElementById('ruleTags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+    collectionId: document.getElementById('ruleCollection').value || null,
+    transform: document.getElementById('ruleTransform').value || null,
+    ttlMinutes: parseInt(document.getElementById('ruleTtlMinutes').value) || null
+  };
+
+  if (rule.pattern) {
+    try {
+      new RegExp(rule.pattern);
+    } catch (error) {
+      alert('The pattern is not a valid regular expression.');
+      return;
+    }
+  }
+  if (!rule.skip && !rule.pin && rule.tags.length === 0 && !rule.collectionId && !rule.transform && !rule.ttlMinutes) {
+    alert('Choose at least one action.');
+    return;
+  }
+
+  const existing = captureRules.find(r => r.id === editingRuleId);
+  const rules = existing
+    ? captureRules.map(r => r.id === editingRuleId ? { ...rule, enabled: existing.enabled } : r)
+    : [...captureRules, rule];
+
+  if (!await saveCaptureRules(rules)) {
+    alert('The pattern repeats a group that already repeats or has alternatives, like (a+)+ or (a|b)*, which can freeze PasteBro. Simplify it and try again.');
+    return;
+  }
+  closeRuleEditor();
+}
+
+/**
+ * Returns false when a rule was rejected (see normalizeRule in captureRules.js)
+ */
+async function saveCaptureRules(rules) {
+  if (!window.electronAPI) return true;
+
+  await window.electronAPI.updatePreferences({ captureRules: rules });
+  const prefs = await window.electronAPI.getPreferences();
+  captureRules = prefs.captureRules || [];
+  renderCaptureRules();
+  return captureRules.length === rules.length;
+}
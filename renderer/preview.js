@@ -0,0 +1,325 @@
+// Item preview modal, shared by the sidebar (app.js) and the history viewer (history.js)
+// Uses escapeHtml() and arrayBufferToBase64() from the page script
+
+const LANGUAGE_NAMES = {
+  javascript: 'JavaScript', typescript: 'TypeScript', python: 'Python', html: 'HTML', css: 'CSS',
+  sql: 'SQL', shell: 'Shell', go: 'Go', rust: 'Rust', swift: 'Swift', java: 'Java',
+  csharp: 'C#', cpp: 'C++', c: 'C', ruby: 'Ruby', php: 'PHP', json: 'JSON'
+};
+
+const MIN_IMAGE_ZOOM = 0.05;
+const MAX_IMAGE_ZOOM = 8;
+
+// Remembered for the session so every code preview opens the same way
+let previewWrapLines = true;
+
+function closePreview() {
+  const existingPreview = document.querySelector('.preview-modal');
+  if (existingPreview) {
+    existingPreview.remove();
+  }
+  document.removeEventListener('keydown', handlePreviewKeyDown, true);
+}
+
+// Escape or Space closes the preview before the page's own shortcuts see the key
+function handlePreviewKeyDown(event) {
+  if (event.key === 'Escape' || (event.key === ' ' && !event.target.matches('input, textarea'))) {
+    event.preventDefault();
+    event.stopPropagation();
+    closePreview();
+  }
+}
+
+function isCodeItem(item) {
+  return item.type === 'text' && (item.contentType === 'code' || item.contentType === 'json');
+}
+
+function getItemFilePaths(item) {
+  const paths = typeof item.filePaths === 'string' ? JSON.parse(item.filePaths) : item.filePaths;
+  return Array.isArray(paths) ? paths : [];
+}
+
+function toFileUrl(filePath) {
+  return 'file://' + filePath.split('/').map(encodeURIComponent).join('/');
+}
+
+// Images saved by PasteBro load through the pastebro-image scheme, which decrypts them when needed
+function storedImageUrl(filePath) {
+  const parts = filePath.split('/');
+  return `pastebro-image://${parts[parts.length - 2]}/${encodeURIComponent(parts[parts.length - 1])}`;
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} bytes`;
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size < 10 ? size.toFixed(1) : Math.round(size)} ${units[unit]}`;
+}
+
+// options.onEdit adds an Edit button (the sidebar passes it; the history viewer doesn't)
+async function openPreview(item, { onEdit = null } = {}) {
+  if (!item) return;
+
+  const content = document.createElement('div');
+  content.className = 'preview-content';
+
+  if (item.isSensitive) {
+    content.textContent = 'Sensitive content is hidden';
+  } else if (isCodeItem(item) && window.electronAPI) {
+    await renderCodePreview(content, item);
+  } else if (item.type === 'richText' && item.richText) {
+    renderRichTextPreview(content, item.richText);
+  } else if (item.type === 'text' || item.type === 'richText') {
+    content.innerHTML = `<pre>${escapeHtml(item.plainText || '')}</pre>`;
+  } else if (item.type === 'image' && item.imagePath) {
+    renderImagePreview(content, storedImageUrl(item.imagePath));
+  } else if (item.type === 'image' && item.imageData) {
+    renderImagePreview(content, `data:image/png;base64,${arrayBufferToBase64(item.imageData)}`);
+  } else if ((item.type === 'file' || item.type === 'multi-file') && item.filePaths && window.electronAPI) {
+    await renderFilesPreview(content, getItemFilePaths(item));
+  } else {
+    content.textContent = 'Preview not available';
+  }
+
+  if (onEdit) {
+    addEditButton(content, item, onEdit);
+  }
+
+  // Replace any open preview (also one opened while we were highlighting)
+  closePreview();
+
+  const modal = document.createElement('div');
+  modal.className = 'preview-modal';
+  modal.appendChild(content);
+  document.body.appendChild(modal);
+
+  // Close on a press outside the content (not click, so ending an image pan outside doesn't close)
+  modal.addEventListener('mousedown', (e) => {
+    if (e.target === modal) closePreview();
+  });
+  document.addEventListener('keydown', handlePreviewKeyDown, true);
+}
+
+function addEditButton(content, item, onEdit) {
+  let toolbar = content.querySelector('.preview-toolbar');
+  if (!toolbar) {
+    toolbar = document.createElement('div');
+    toolbar.className = 'preview-toolbar';
+    toolbar.innerHTML = `<span class="preview-language">${item.type === 'richText' ? 'Rich Text' : 'Text'}</span>`;
+    content.prepend(toolbar);
+  }
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'toolbar-btn';
+  editBtn.textContent = 'Edit…';
+  editBtn.addEventListener('click', () => {
+    closePreview();
+    onEdit();
+  });
+  toolbar.appendChild(editBtn);
+}
+
+async function renderCodePreview(content, item) {
+  const { language, lines } = await window.electronAPI.highlightCode(item.plainText || '', item.codeLanguage || null);
+
+  content.innerHTML = `
+    <div class="preview-toolbar">
+      <span class="preview-language">${escapeHtml(language ? LANGUAGE_NAMES[language] || language : 'Plain Text')} · ${lines.length} ${lines.length === 1 ? 'line' : 'lines'}</span>
+      <button class="toolbar-btn" data-action="wrap">Wrap Lines</button>
+      <button class="toolbar-btn" data-action="copy">Copy with Highlighting</button>
+    </div>
+    <pre class="code-preview">${lines.map(line => `<span class="code-line">${line}</span>`).join('\n')}</pre>
+  `;
+
+  // Lines are already escaped and highlighted by the main process
+  const pre = content.querySelector('.code-preview');
+  const wrapBtn = content.querySelector('[data-action="wrap"]');
+  const applyWrap = () => {
+    pre.classList.toggle('wrap', previewWrapLines);
+    wrapBtn.classList.toggle('primary', previewWrapLines);
+  };
+  applyWrap();
+
+  wrapBtn.addEventListener('click', () => {
+    previewWrapLines = !previewWrapLines;
+    applyWrap();
+  });
+
+  const copyBtn = content.querySelector('[data-action="copy"]');
+  copyBtn.addEventListener('click', async () => {
+    const success = await window.electronAPI.copyToClipboard(item, { highlight: true });
+    copyBtn.textContent = success ? 'Copied' : 'Copy Failed';
+    setTimeout(() => {
+      copyBtn.textContent = 'Copy with Highlighting';
+    }, 1200);
+  });
+}
+
+// Rich text renders in a sandboxed frame: no scripts, and the page CSP blocks remote content
+function renderRichTextPreview(content, html) {
+  content.classList.add('wide');
+  const frame = document.createElement('iframe');
+  frame.className = 'preview-frame';
+  frame.setAttribute('sandbox', '');
+  frame.srcdoc = html;
+  content.appendChild(frame);
+}
+
+// Full-size image with wheel zoom (around the pointer), drag to pan and double-click to fit
+function renderImagePreview(content, src) {
+  content.classList.add('wide');
+  content.innerHTML = `
+    <div class="preview-toolbar">
+      <span class="preview-language" data-role="info">Loading…</span>
+      <button class="toolbar-btn" data-action="fit">Fit</button>
+      <button class="toolbar-btn" data-action="actual">Actual Size</button>
+    </div>
+    <div class="preview-image-viewport"><img class="preview-image" alt="Image" draggable="false"></div>
+  `;
+
+  const info = content.querySelector('[data-role="info"]');
+  const viewport = content.querySelector('.preview-image-viewport');
+  const img = content.querySelector('.preview-image');
+  const view = { scale: 1, x: 0, y: 0 };
+
+  const apply = () => {
+    img.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+    info.textContent = `${img.naturalWidth} × ${img.naturalHeight} · ${Math.round(view.scale * 100)}%`;
+  };
+
+  const zoomTo = (scale, centerX = viewport.clientWidth / 2, centerY = viewport.clientHeight / 2) => {
+    const next = Math.min(MAX_IMAGE_ZOOM, Math.max(MIN_IMAGE_ZOOM, scale));
+    view.x = centerX - (centerX - view.x) * (next / view.scale);
+    view.y = centerY - (centerY - view.y) * (next / view.scale);
+    view.scale = next;
+    apply();
+  };
+
+  const showCentered = (scale) => {
+    view.scale = scale;
+    view.x = (viewport.clientWidth - img.naturalWidth * scale) / 2;
+    view.y = (viewport.clientHeight - img.naturalHeight * scale) / 2;
+    apply();
+  };
+
+  const fit = () => showCentered(Math.min(1, viewport.clientWidth / img.naturalWidth, viewport.clientHeight / img.naturalHeight));
+
+  img.addEventListener('load', fit);
+  img.addEventListener('error', () => {
+    info.textContent = 'Image file is missing';
+  });
+  img.src = src;
+
+  content.querySelector('[data-action="fit"]').addEventListener('click', fit);
+  content.querySelector('[data-action="actual"]').addEventListener('click', () => showCentered(1));
+  viewport.addEventListener('dblclick', () => {
+    if (view.scale === 1) fit(); else showCentered(1);
+  });
+
+  viewport.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const rect = viewport.getBoundingClientRect();
+    zoomTo(view.scale * Math.exp(-e.deltaY * 0.002), e.clientX - rect.left, e.clientY - rect.top);
+  }, { passive: false });
+
+  viewport.addEventListener('mousedown', (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const start = { x: e.clientX - view.x, y: e.clientY - view.y };
+    viewport.classList.add('panning');
+
+    const onMove = (moveEvent) => {
+      view.x = moveEvent.clientX - start.x;
+      view.y = moveEvent.clientY - start.y;
+      apply();
+    };
+    const onUp = () => {
+      viewport.classList.remove('panning');
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  });
+}
+
+function describeFile(info) {
+  if (!info.exists) return 'No longer exists';
+  const modified = new Date(info.modified).toLocaleString();
+  return info.isDirectory ? `Folder · Modified ${modified}` : `${formatFileSize(info.size)} · Modified ${modified}`;
+}
+
+// Quick-look body for one file: image, the start of a text file, or nothing
+function renderFileDetail(container, info) {
+  container.innerHTML = `
+    <div class="preview-file-name">${escapeHtml(info.name)}</div>
+    <div class="preview-file-meta${info.exists ? '' : ' missing'}">${escapeHtml(describeFile(info))}</div>
+  `;
+  container.querySelector('.preview-file-name').title = info.path;
+
+  if (!info.exists) return;
+
+  if (info.isImage) {
+    const img = document.createElement('img');
+    img.className = 'preview-file-image';
+    img.alt = info.name;
+    img.src = toFileUrl(info.path);
+    container.appendChild(img);
+  } else if (info.text !== null) {
+    const pre = document.createElement('pre');
+    pre.className = 'preview-file-text';
+    pre.textContent = info.text;
+    container.appendChild(pre);
+    if (info.truncated) {
+      const note = document.createElement('div');
+      note.className = 'preview-file-meta';
+      note.textContent = 'Showing the beginning of the file';
+      container.appendChild(note);
+    }
+  }
+}
+
+async function renderFilesPreview(content, paths) {
+  content.classList.add('wide');
+  const infos = await window.electronAPI.getFileInfo(paths);
+
+  if (infos.length === 1) {
+    renderFileDetail(content, infos[0]);
+    return;
+  }
+
+  const more = paths.length - infos.length;
+  content.innerHTML = `
+    <div class="preview-file-name">${paths.length} files</div>
+    <ul class="preview-file-list">
+      ${infos.map((info, index) => `
+        <li class="preview-file-row${info.exists ? '' : ' missing'}" data-index="${index}">
+          <span class="preview-file-row-name">${escapeHtml(info.name)}</span>
+          <span class="preview-file-meta">${escapeHtml(describeFile(info))}</span>
+        </li>
+      `).join('')}
+    </ul>
+    ${more > 0 ? `<div class="preview-file-meta">+${more} more</div>` : ''}
+    <div class="preview-file-detail" hidden></div>
+  `;
+
+  // Clicking a file loads its quick look below the list
+  const detail = content.querySelector('.preview-file-detail');
+  content.querySelectorAll('.preview-file-row').forEach(row => {
+    row.title = infos[row.dataset.index].path;
+    row.addEventListener('click', async () => {
+      content.querySelectorAll('.preview-file-row.selected').forEach(el => el.classList.remove('selected'));
+      row.classList.add('selected');
+      const [info] = await window.electronAPI.getFileInfo([infos[row.dataset.index].path]);
+      if (info) {
+        detail.hidden = false;
+        renderFileDetail(detail, info);
+      }
+    });
+  });
+}
@@ -0,0 +1,355 @@
+/**
+ * Search query parsing
+ *
+ * Syntax:
+ *   word        prefix match ("clip" matches "clipboard")
+ *   "a phrase"  exact phrase
+ *   a OR b      either term
+ *   -word       exclude (also NOT word)
+ * Terms are combined with AND by default.
+ *
+ * Structured filters (parseSearchQuery), each negatable with a leading "-":
+ *   type:image        text, richtext, image, file, multi-file, color
+ *   type:url          text content type: url, email, path, json, code, phone, number, address
+ *   lang:python       code in a detected language
+ *   app:Slack         source application (substring, quote names with spaces)
+ *   tag:work          tagged with "work"
+ *   pinned:true       pinned / not pinned
+ *   after:2026-09-01  copied on or after a date (also today, yesterday, 7d, 12h, 2w)
+ *   before:2026-09-01 copied before a date
+ *   size:>1mb         size comparison (>, >=, <, <=, =) with b, kb, mb, gb units
+ */
+
+const TYPE_ALIASES = {
+    text: 'text',
+    plain: 'text',
+    rich: 'richText',
+    richtext: 'richText',
+    image: 'image',
+    img: 'image',
+    file: 'file',
+    'multi-file': 'multi-file',
+    multifile: 'multi-file',
+    color: 'color',
+    colour: 'color'
+};
+
+const CONTENT_TYPE_ALIASES = {
+    url: 'url',
+    link: 'url',
+    email: 'email',
+    mail: 'email',
+    path: 'path',
+    json: 'json',
+    code: 'code',
+    phone: 'phone',
+    tel: 'phone',
+    number: 'number',
+    num: 'number',
+    address: 'address',
+    addr: 'address'
+};
+
+const LANGUAGE_ALIASES = {
+    js: 'javascript',
+    ts: 'typescript',
+    py: 'python',
+    sh: 'shell',
+    bash: 'shell',
+    zsh: 'shell',
+    golang: 'go',
+    rs: 'rust',
+    'c++': 'cpp',
+    'c#': 'csharp',
+    cs: 'csharp',
+    rb: 'ruby'
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Split input into raw tokens, keeping quoted phrases together
+ */
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+        if (match[3] !== undefined) {
+            tokens.push({ raw: match[3], phrase: false });
+        } else if (match[2].trim()) {
+            tokens.push({ raw: match[2].trim(), phrase: true, negated: match[1] === '-' });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse free-text search input
+ * Returns { groups, excluded } where groups are ANDed and each group is a list of ORed terms.
+ * A term is { value, phrase, prefix }.
+ */
+function parseTextQuery(input) {
+    const groups = [];
+    const excluded = [];
+    let pendingOr = false;
+    let pendingNot = false;
+
+    for (const token of tokenize(typeof input === 'string' ? input : '')) {
+        if (!token.phrase && token.raw === 'OR') {
+            pendingOr = groups.length > 0;
+            continue;
+        }
+        if (!token.phrase && token.raw === 'AND') {
+            continue;
+        }
+        if (!token.phrase && token.raw === 'NOT') {
+            pendingNot = true;
+            continue;
+        }
+
+        let value = token.raw;
+        let negated = pendingNot || token.negated === true;
+        if (!token.phrase && value.startsWith('-') && value.length > 1) {
+            negated = true;
+            value = value.substring(1);
+        }
+
+        const prefix = !token.phrase;
+        value = value.replace(/\*+$/, '');
+        if (!value) {
+            pendingNot = false;
+            continue;
+        }
+
+        const term = { value, phrase: token.phrase, prefix };
+
+        if (negated) {
+            excluded.push(term);
+        } else if (pendingOr) {
+            groups[groups.length - 1].push(term);
+        } else {
+            groups.push([term]);
+        }
+
+        pendingOr = false;
+        pendingNot = false;
+    }
+
+    return { groups, excluded };
+}
+
+/**
+ * Parse a date filter value to a timestamp (local time)
+ * Accepts YYYY-MM-DD, today, yesterday and relative durations like 7d, 12h, 2w
+ */
+function parseDateValue(value) {
+    const lower = value.toLowerCase();
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    if (lower === 'today') return startOfToday.getTime();
+    if (lower === 'yesterday') return startOfToday.getTime() - 24 * 60 * 60 * 1000;
+
+    const relative = /^(\d+)([hdw])$/.exec(lower);
+    if (relative) {
+        const hours = { h: 1, d: 24, w: 24 * 7 }[relative[2]];
+        return Date.now() - parseInt(relative[1], 10) * hours * 60 * 60 * 1000;
+    }
+
+    const date = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    if (date) {
+        const timestamp = new Date(parseInt(date[1], 10), parseInt(date[2], 10) - 1, parseInt(date[3], 10)).getTime();
+        return Number.isNaN(timestamp) ? null : timestamp;
+    }
+
+    return null;
+}
+
+/**
+ * Parse a size filter value like ">1mb" to { op, bytes }
+ */
+function parseSizeValue(value) {
+    const match = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)(b|kb|mb|gb)?$/i.exec(value);
+    if (!match) return null;
+
+    return {
+        op: match[1] || '>=',
+        bytes: Math.round(parseFloat(match[2]) * SIZE_UNITS[(match[3] || 'b').toLowerCase()])
+    };
+}
+
+function invertSizeOp(op) {
+    return { '>': '<=', '>=': '<', '<': '>=', '<=': '>', '=': '!=' }[op];
+}
+
+/**
+ * Parse search input into free text and structured filters
+ * Returns { text, filters, hasFilters } where `text` can be passed to toFtsQuery/matchesText
+ */
+function parseSearchQuery(input) {
+    const filters = {
+        types: [],
+        excludedTypes: [],
+        contentTypes: [],
+        excludedContentTypes: [],
+        languages: [],
+        excludedLanguages: [],
+        apps: [],
+        excludedApps: [],
+        tags: [],
+        excludedTags: [],
+        isPinned: null,
+        after: null,
+        before: null,
+        sizes: []
+    };
+    const textParts = [];
+    let hasFilters = false;
+
+    const pattern = /(-?)([A-Za-z]+):(?:"([^"]*)"?|(\S+))|\S*"[^"]*"?|\S+/g;
+    const source = typeof input === 'string' ? input : '';
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        if (match[2] === undefined) {
+            textParts.push(match[0]);
+            continue;
+        }
+
+        const negated = match[1] === '-';
+        const field = match[2].toLowerCase();
+        const value = (match[3] !== undefined ? match[3] : match[4]).trim();
+        let handled = value.length > 0;
+
+        switch (field) {
+            case 'type': {
+                const type = TYPE_ALIASES[value.toLowerCase()];
+                const contentType = CONTENT_TYPE_ALIASES[value.toLowerCase()];
+                if (type) {
+                    (negated ? filters.excludedTypes : filters.types).push(type);
+                } else if (contentType) {
+                    (negated ? filters.excludedContentTypes : filters.contentTypes).push(contentType);
+                } else {
+                    handled = false;
+                }
+                break;
+            }
+
+            case 'lang':
+            case 'language': {
+                const language = LANGUAGE_ALIASES[value.toLowerCase()] || value.toLowerCase();
+                (negated ? filters.excludedLanguages : filters.languages).push(language);
+                break;
+            }
+
+            case 'app':
+                (negated ? filters.excludedApps : filters.apps).push(value);
+                break;
+
+            case 'tag':
+                (negated ? filters.excludedTags : filters.tags).push(value.replace(/^#/, ''));
+                break;
+
+            case 'pinned':
+            case 'is': {
+                const pinned = field === 'is'
+                    ? (value.toLowerCase() === 'pinned' ? true : null)
+                    : ({ true: true, yes: true, false: false, no: false })[value.toLowerCase()];
+                if (pinned === null || pinned === undefined) {
+                    handled = false;
+                } else {
+                    filters.isPinned = negated ? !pinned : pinned;
+                }
+                break;
+            }
+
+            case 'after':
+            case 'before': {
+                const timestamp = parseDateValue(value);
+                if (timestamp === null) {
+                    handled = false;
+                } else if ((field === 'after') !== negated) {
+                    filters.after = timestamp;
+                } else {
+                    filters.before = timestamp;
+                }
+                break;
+            }
+
+            case 'size': {
+                const size = parseSizeValue(value);
+                if (size) {
+                    filters.sizes.push(negated ? { op: invertSizeOp(size.op), bytes: size.bytes } : size);
+                } else {
+                    handled = false;
+                }
+                break;
+            }
+
+            default:
+                handled = false;
+        }
+
+        if (handled) {
+            hasFilters = true;
+        } else {
+            // Not a filter we understand - search for it literally
+            textParts.push(`${negated ? '-' : ''}"${match[2]}:${value}"`);
+        }
+    }
+
+    return { text: textParts.join(' '), filters, hasFilters };
+}
+
+/**
+ * Quote a term for FTS5 (all terms are quoted so user input can't inject syntax)
+ */
+function quoteFtsTerm(term) {
+    const value = term.value.replace(/[\u0000-\u001f]/g, ' ').replace(/"/g, '""');
+    return `"${value}"${term.prefix ? '*' : ''}`;
+}
+
+/**
+ * Compile free-text search input (or a parsed query) to an FTS5 MATCH expression
+ * Returns null when the query has no positive terms (FTS5 can't express "NOT x" alone)
+ */
+function toFtsQuery(input) {
+    const { groups, excluded } = typeof input === 'string' ? parseTextQuery(input) : input;
+
+    if (groups.length === 0) {
+        return null;
+    }
+
+    const positive = groups
+        .map(group => group.length > 1
+            ? `(${group.map(quoteFtsTerm).join(' OR ')})`
+            : quoteFtsTerm(group[0]))
+        .join(' AND ');
+
+    if (excluded.length === 0) {
+        return positive;
+    }
+
+    return `(${positive}) NOT (${excluded.map(quoteFtsTerm).join(' OR ')})`;
+}
+
+/**
+ * Check if text matches a free-text query (in-memory equivalent of the FTS search)
+ */
+function matchesText(text, input) {
+    const { groups, excluded } = typeof input === 'string' ? parseTextQuery(input) : input;
+    const haystack = (text || '').toLowerCase();
+    const contains = term => haystack.includes(term.value.toLowerCase());
+
+    return groups.every(group => group.some(contains)) && !excluded.some(contains);
+}
+
+module.exports = {
+    parseSearchQuery,
+    parseTextQuery,
+    toFtsQuery,
+    matchesText
+};
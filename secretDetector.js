@@ -0,0 +1,107 @@
+/**
+ * Built-in secret detection rules
+ * Each rule has a name and either a pattern (RegExp) or a test(text) function
+ */
+const DEFAULT_RULES = [
+    { name: 'private-key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY( BLOCK)?-----/ },
+    { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[0-9A-Z]{16}\b/ },
+    { name: 'aws-secret-key', pattern: /aws.{0,20}(?:secret|key).{0,20}[:=]\s*["']?[A-Za-z0-9/+]{40}\b/i },
+    { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/ },
+    { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/ },
+    { name: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+    { name: 'stripe-key', pattern: /\b(?:sk|rk)_live_[A-Za-z0-9]{20,}\b/ },
+    { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+    { name: 'api-key', pattern: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{32,}/ },
+    { name: 'high-entropy-token', test: text => isHighEntropyToken(text) }
+];
+
+/**
+ * Shannon entropy in bits per character
+ */
+function shannonEntropy(text) {
+    const counts = new Map();
+    for (const char of text) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / text.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Single random-looking token (passwords, generated keys)
+ * Requires no whitespace, mixed character classes and high entropy
+ */
+function isHighEntropyToken(text) {
+    const token = text.trim();
+    if (token.length < 20 || token.length > 256 || /\s/.test(token)) {
+        return false;
+    }
+
+    // URLs, paths and emails are long but not secret
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(token) || token.startsWith('/') || token.startsWith('~') || /^[^@]+@[^@]+\.[a-z]+$/i.test(token)) {
+        return false;
+    }
+
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(re => re.test(token)).length;
+    return classes >= 3 && shannonEntropy(token) >= 4.2;
+}
+
+/**
+ * SecretDetector - Heuristic detection of secrets in copied text
+ * Additional rules can be plugged in with addRule()
+ */
+class SecretDetector {
+    constructor(rules = DEFAULT_RULES) {
+        this.rules = [...rules];
+        this.maxScanLength = 10000; // Don't scan huge blobs on every copy
+    }
+
+    /**
+     * Register an additional rule ({ name, pattern } or { name, test })
+     */
+    addRule(rule) {
+        if (!rule || typeof rule.name !== 'string' || (!(rule.pattern instanceof RegExp) && typeof rule.test !== 'function')) {
+            throw new Error('Invalid secret detection rule');
+        }
+        this.rules.push(rule);
+    }
+
+    /**
+     * Remove a rule by name
+     */
+    removeRule(name) {
+        this.rules = this.rules.filter(rule => rule.name !== name);
+    }
+
+    /**
+     * Detect a secret in text
+     * Returns the name of the first matching rule, or null
+     */
+    detect(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            return null;
+        }
+
+        const sample = text.length > this.maxScanLength ? text.substring(0, this.maxScanLength) : text;
+
+        for (const rule of this.rules) {
+            try {
+                const matched = rule.pattern ? rule.pattern.test(sample) : rule.test(sample);
+                if (matched) {
+                    return rule.name;
+                }
+            } catch (error) {
+                console.error(`Secret detection rule "${rule.name}" failed:`, error);
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = SecretDetector;
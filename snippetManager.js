@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+
+const MAX_NAME_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 100000;
+
+/**
+ * Placeholders expanded at copy time:
+ *   {{date}} / {{date:YYYY-MM-DD}}   current date (default format YYYY-MM-DD)
+ *   {{time}} / {{time:HH:mm:ss}}     current time (default format HH:mm)
+ *   {{clipboard}}                    current clipboard text
+ *   {{cursor}}                       caret position after pasting
+ *   {{input:Name}}                   value prompted from the user
+ * Unknown placeholders are left as-is.
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*(date|time|clipboard|cursor|input)(?::([^}]*))?\s*\}\}/gi;
+const DATE_TOKEN_PATTERN = /YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|H|hh|h|mm|ss|A/g;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Format a date with moment-style tokens (YYYY, MM, DD, HH, mm, ss, ...)
+ */
+function formatDate(date, format) {
+    const hours12 = date.getHours() % 12 || 12;
+
+    return format.replace(DATE_TOKEN_PATTERN, (token) => {
+        switch (token) {
+            case 'YYYY': return String(date.getFullYear());
+            case 'YY': return String(date.getFullYear()).slice(-2);
+            case 'MMMM': return date.toLocaleString(undefined, { month: 'long' });
+            case 'MMM': return date.toLocaleString(undefined, { month: 'short' });
+            case 'MM': return pad(date.getMonth() + 1);
+            case 'M': return String(date.getMonth() + 1);
+            case 'dddd': return date.toLocaleString(undefined, { weekday: 'long' });
+            case 'ddd': return date.toLocaleString(undefined, { weekday: 'short' });
+            case 'DD': return pad(date.getDate());
+            case 'D': return String(date.getDate());
+            case 'HH': return pad(date.getHours());
+            case 'H': return String(date.getHours());
+            case 'hh': return pad(hours12);
+            case 'h': return String(hours12);
+            case 'mm': return pad(date.getMinutes());
+            case 'ss': return pad(date.getSeconds());
+            case 'A': return date.getHours() < 12 ? 'AM' : 'PM';
+            default: return token;
+        }
+    });
+}
+
+/**
+ * Names of the {{input:Name}} fields in a template, in order of first appearance
+ */
+function getInputFields(content) {
+    const fields = [];
+    for (const match of content.matchAll(PLACEHOLDER_PATTERN)) {
+        const name = (match[2] || '').trim();
+        if (match[1].toLowerCase() === 'input' && name && !fields.includes(name)) {
+            fields.push(name);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Expand placeholders in a template
+ * Returns { text, cursorOffset } where cursorOffset is the number of characters
+ * between {{cursor}} and the end of the text (null when there is no cursor)
+ */
+function expandPlaceholders(content, { clipboardText = '', inputs = {}, now = new Date() } = {}) {
+    const cursorMarker = '\u0000';
+    let hasCursor = false;
+
+    const expanded = content.replace(PLACEHOLDER_PATTERN, (placeholder, kind, argument) => {
+        const arg = argument === undefined ? '' : argument.trim();
+
+        switch (kind.toLowerCase()) {
+            case 'date':
+                return formatDate(now, arg || 'YYYY-MM-DD');
+            case 'time':
+                return formatDate(now, arg || 'HH:mm');
+            case 'clipboard':
+                return clipboardText || '';
+            case 'cursor':
+                // Only the first cursor counts
+                if (hasCursor) return '';
+                hasCursor = true;
+                return cursorMarker;
+            case 'input':
+                return Object.prototype.hasOwnProperty.call(inputs, arg) ? String(inputs[arg]) : '';
+            default:
+                return placeholder;
+        }
+    });
+
+    const cursorIndex = expanded.indexOf(cursorMarker);
+    if (cursorIndex === -1) {
+        return { text: expanded, cursorOffset: null };
+    }
+
+    const text = expanded.slice(0, cursorIndex) + expanded.slice(cursorIndex + 1);
+    return { text, cursorOffset: text.length - cursorIndex };
+}
+
+/**
+ * SnippetManager - Reusable text templates stored alongside clipboard history
+ * Shares the DatabaseManager connection used by HistoryManager
+ */
+class SnippetManager {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Validate snippet fields, returning trimmed values
+     */
+    validate({ name, content }, partial = false) {
+        const result = {};
+
+        if (name !== undefined || !partial) {
+            if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+                throw new Error('Invalid snippet name');
+            }
+            result.name = name.trim();
+        }
+
+        if (content !== undefined || !partial) {
+            if (typeof content !== 'string' || !content || content.length > MAX_CONTENT_LENGTH) {
+                throw new Error('Invalid snippet content');
+            }
+            result.content = content;
+        }
+
+        return result;
+    }
+
+    /**
+     * Attach the prompted input fields so the renderer can ask for them before copying
+     */
+    withInputFields(snippet) {
+        return { ...snippet, inputFields: getInputFields(snippet.content) };
+    }
+
+    getSnippets() {
+        return this.db.getSnippets().map(snippet => this.withInputFields(snippet));
+    }
+
+    getSnippet(id) {
+        const snippet = this.db.getSnippetById(id);
+        return snippet ? this.withInputFields(snippet) : null;
+    }
+
+    createSnippet(fields) {
+        const { name, content } = this.validate(fields);
+        const now = Date.now();
+        const snippet = {
+            id: crypto.randomUUID(),
+            name,
+            content,
+            createdAt: now,
+            updatedAt: now,
+            useCount: 0,
+            lastUsedAt: null
+        };
+
+        this.db.insertSnippet(snippet);
+        return this.withInputFields(snippet);
+    }
+
+    updateSnippet(id, fields) {
+        const updates = this.validate(fields, true);
+        if (!this.db.updateSnippet(id, updates)) {
+            return null;
+        }
+        return this.getSnippet(id);
+    }
+
+    deleteSnippet(id) {
+        return this.db.deleteSnippet(id);
+    }
+
+    /**
+     * Expand a stored snippet for copying and record the use
+     */
+    expandSnippet(id, context = {}) {
+        const snippet = this.db.getSnippetById(id);
+        if (!snippet) {
+            throw new Error('Snippet not found');
+        }
+
+        const result = expandPlaceholders(snippet.content, context);
+        this.db.recordSnippetUse(id);
+        return result;
+    }
+}
+
+module.exports = {
+    SnippetManager,
+    expandPlaceholders,
+    getInputFields,
+    formatDate
+};
@@ -0,0 +1,451 @@
+/**
+ * Lightweight syntax highlighting for code previews and "copy with highlighting"
+ * Tokenizes with per-language keyword lists and comment/string rules; it is not a
+ * parser, just enough to color the common constructs.
+ */
+
+const { classifyText, detectLanguage } = require('./contentClassifier');
+
+const MAX_HIGHLIGHT_LENGTH = 100000; // Longer text is returned as a single plain token
+
+const C_LIKE_KEYWORDS = [
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum', 'extends',
+    'finally', 'for', 'if', 'implements', 'import', 'interface', 'new', 'package', 'private', 'protected',
+    'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'throws', 'try', 'void', 'while'
+];
+
+const LANGUAGES = {
+    javascript: {
+        keywords: [...C_LIKE_KEYWORDS, 'async', 'await', 'delete', 'export', 'from', 'function', 'in', 'instanceof',
+            'let', 'of', 'typeof', 'var', 'yield', 'get', 'set'],
+        literals: ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'],
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'", '`']
+    },
+    typescript: {
+        keywords: [...C_LIKE_KEYWORDS, 'abstract', 'as', 'async', 'await', 'declare', 'export', 'from', 'function',
+            'in', 'instanceof', 'keyof', 'let', 'namespace', 'of', 'readonly', 'type', 'typeof', 'var',
+            'string', 'number', 'boolean', 'any', 'unknown', 'never'],
+        literals: ['true', 'false', 'null', 'undefined'],
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'", '`']
+    },
+    python: {
+        keywords: ['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+            'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not',
+            'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield', 'self'],
+        literals: ['True', 'False', 'None'],
+        lineComment: '#',
+        quotes: ['"', "'"]
+    },
+    ruby: {
+        keywords: ['begin', 'class', 'def', 'do', 'else', 'elsif', 'end', 'ensure', 'for', 'if', 'in', 'module', 'next',
+            'puts', 'require', 'rescue', 'return', 'self', 'then', 'unless', 'until', 'when', 'while', 'yield'],
+        literals: ['true', 'false', 'nil'],
+        lineComment: '#',
+        quotes: ['"', "'"]
+    },
+    shell: {
+        keywords: ['if', 'then', 'else', 'elif', 'fi', 'for', 'in', 'do', 'done', 'while', 'case', 'esac', 'function',
+            'return', 'export', 'local', 'echo', 'cd', 'sudo'],
+        literals: ['true', 'false'],
+        lineComment: '#',
+        quotes: ['"', "'"]
+    },
+    sql: {
+        keywords: ['select', 'from', 'where', 'and', 'or', 'not', 'insert', 'into', 'values', 'update', 'set', 'delete',
+            'create', 'table', 'index', 'view', 'alter', 'drop', 'join', 'left', 'right', 'inner', 'outer', 'on',
+            'group', 'by', 'order', 'having', 'limit', 'offset', 'as', 'distinct', 'union', 'primary', 'key',
+            'foreign', 'references', 'default', 'in', 'is', 'like', 'between', 'case', 'when', 'then', 'else', 'end'],
+        literals: ['null', 'true', 'false'],
+        caseInsensitive: true,
+        lineComment: '--',
+        blockComment: ['/*', '*/'],
+        quotes: ["'", '"']
+    },
+    go: {
+        keywords: ['break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for',
+            'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'package', 'range', 'return', 'select',
+            'struct', 'switch', 'type', 'var'],
+        literals: ['true', 'false', 'nil', 'iota'],
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', '`', "'"]
+    },
+    rust: {
+        keywords: ['as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'else', 'enum', 'extern', 'fn', 'for',
+            'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self',
+            'Self', 'static', 'struct', 'super', 'trait', 'type', 'unsafe', 'use', 'where', 'while'],
+        literals: ['true', 'false', 'None', 'Some', 'Ok', 'Err'],
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"']
+    },
+    swift: {
+        keywords: ['as', 'break', 'case', 'catch', 'class', 'continue', 'default', 'defer', 'do', 'else', 'enum',
+            'extension', 'fileprivate', 'for', 'func', 'guard', 'if', 'import', 'in', 'init', 'internal', 'let',
+            'private', 'protocol', 'public', 'return', 'self', 'static', 'struct', 'switch', 'throw', 'throws',
+            'try', 'var', 'where', 'while'],
+        literals: ['true', 'false', 'nil'],
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"']
+    },
+    java: {
+        keywords: [...C_LIKE_KEYWORDS, 'abstract', 'final', 'instanceof', 'synchronized', 'boolean', 'int', 'long',
+            'double', 'float', 'char', 'byte', 'short'],
+        literals: ['true', 'false', 'null'],
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'"]
+    },
+    csharp: {
+        keywords: [...C_LIKE_KEYWORDS, 'abstract', 'async', 'await', 'bool', 'int', 'string', 'var', 'using',
+            'namespace', 'override', 'virtual', 'readonly', 'sealed', 'foreach', 'in', 'is', 'as'],
+        literals: ['true', 'false', 'null'],
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'"]
+    },
+    cpp: {
+        keywords: [...C_LIKE_KEYWORDS, 'auto', 'bool', 'char', 'delete', 'double', 'float', 'int', 'long', 'namespace',
+            'nullptr', 'short', 'signed', 'sizeof', 'struct', 'template', 'typedef', 'typename', 'unsigned',
+            'using', 'virtual', 'std', '#include', '#define'],
+        literals: ['true', 'false', 'NULL'],
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'"]
+    },
+    c: {
+        keywords: ['break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extern',
+            'float', 'for', 'goto', 'if', 'int', 'long', 'return', 'short', 'signed', 'sizeof', 'static', 'struct',
+            'switch', 'typedef', 'union', 'unsigned', 'void', 'while', '#include', '#define'],
+        literals: ['NULL'],
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'"]
+    },
+    php: {
+        keywords: ['echo', 'function', 'return', 'if', 'else', 'elseif', 'foreach', 'for', 'while', 'as', 'class',
+            'public', 'private', 'protected', 'static', 'new', 'use', 'namespace', 'array', 'require', 'include'],
+        literals: ['true', 'false', 'null'],
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'"]
+    },
+    css: {
+        keywords: ['important', 'media', 'import', 'keyframes', 'from', 'to'],
+        literals: [],
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'"],
+        properties: true
+    },
+    json: {
+        keywords: [],
+        literals: ['true', 'false', 'null'],
+        quotes: ['"'],
+        keys: true
+    }
+};
+
+// Colors used when copying highlighted code (Xcode default light theme)
+const TOKEN_COLORS = {
+    keyword: '#AD3DA4',
+    literal: '#AD3DA4',
+    string: '#D12F1B',
+    number: '#272AD8',
+    comment: '#707F8C',
+    tag: '#1C00CF',
+    attribute: '#836C28',
+    property: '#0B4F79'
+};
+
+function pushToken(tokens, type, text) {
+    if (!text) return;
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type && type === 'plain') {
+        last.text += text;
+    } else {
+        tokens.push({ type, text });
+    }
+}
+
+/**
+ * Find the end of a quoted string starting at `start` (handles backslash escapes)
+ */
+function findStringEnd(text, start, quote) {
+    let i = start + 1;
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (text[i] === quote) {
+            return i + 1;
+        }
+        // Only template literals and Go raw strings span lines
+        if (text[i] === '\n' && quote !== '`') {
+            return i;
+        }
+        i++;
+    }
+    return text.length;
+}
+
+function tokenizeCode(text, grammar) {
+    const tokens = [];
+    const keywords = new Set(grammar.caseInsensitive ? grammar.keywords.map(k => k.toLowerCase()) : grammar.keywords);
+    const literals = new Set(grammar.caseInsensitive ? grammar.literals.map(k => k.toLowerCase()) : grammar.literals);
+    const wordPattern = /[#$@]?[A-Za-z_][\w$]*/y;
+    const numberPattern = /0x[\da-f]+|(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/iy;
+    let i = 0;
+
+    while (i < text.length) {
+        if (grammar.lineComment && text.startsWith(grammar.lineComment, i)) {
+            const end = text.indexOf('\n', i);
+            const stop = end === -1 ? text.length : end;
+            pushToken(tokens, 'comment', text.slice(i, stop));
+            i = stop;
+            continue;
+        }
+
+        if (grammar.blockComment && text.startsWith(grammar.blockComment[0], i)) {
+            const end = text.indexOf(grammar.blockComment[1], i + grammar.blockComment[0].length);
+            const stop = end === -1 ? text.length : end + grammar.blockComment[1].length;
+            pushToken(tokens, 'comment', text.slice(i, stop));
+            i = stop;
+            continue;
+        }
+
+        const char = text[i];
+
+        if (grammar.quotes.includes(char)) {
+            const stop = findStringEnd(text, i, char);
+            // JSON object keys are strings followed by a colon
+            const type = grammar.keys && /^\s*:/.test(text.slice(stop, stop + 20)) ? 'property' : 'string';
+            pushToken(tokens, type, text.slice(i, stop));
+            i = stop;
+            continue;
+        }
+
+        if (/[\d.]/.test(char) && !/[\w$]/.test(text[i - 1] || '')) {
+            numberPattern.lastIndex = i;
+            const match = numberPattern.exec(text);
+            if (match && match[0] !== '.') {
+                pushToken(tokens, 'number', match[0]);
+                i += match[0].length;
+                continue;
+            }
+        }
+
+        wordPattern.lastIndex = i;
+        const word = /[#$@A-Za-z_]/.test(char) ? wordPattern.exec(text) : null;
+        if (word) {
+            const value = grammar.caseInsensitive ? word[0].toLowerCase() : word[0];
+            let type = 'plain';
+            if (keywords.has(value)) {
+                type = 'keyword';
+            } else if (literals.has(value)) {
+                type = 'literal';
+            } else if (grammar.properties && /^\s*:/.test(text.slice(i + word[0].length, i + word[0].length + 20))) {
+                type = 'property';
+            }
+            pushToken(tokens, type, word[0]);
+            i += word[0].length;
+            continue;
+        }
+
+        pushToken(tokens, 'plain', char);
+        i++;
+    }
+
+    return tokens;
+}
+
+/**
+ * HTML/XML: tags, attribute names, attribute values and comments
+ */
+function tokenizeMarkup(text) {
+    const tokens = [];
+    const pattern = /<!--[\s\S]*?(?:-->|$)|<\/?[A-Za-z][\w:-]*|\/?>|[\w:-]+(?==)|"[^"]*"|'[^']*'/g;
+    let inTag = false;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const value = match[0];
+        let type = null;
+
+        if (value.startsWith('<!--')) {
+            type = 'comment';
+        } else if (value.startsWith('<')) {
+            type = 'tag';
+            inTag = true;
+        } else if (value.endsWith('>')) {
+            type = inTag ? 'tag' : null;
+            inTag = false;
+        } else if (inTag) {
+            type = value.startsWith('"') || value.startsWith("'") ? 'string' : 'attribute';
+        }
+
+        if (type) {
+            pushToken(tokens, 'plain', text.slice(last, match.index));
+            pushToken(tokens, type, value);
+            last = match.index + value.length;
+        }
+    }
+
+    pushToken(tokens, 'plain', text.slice(last));
+    return tokens;
+}
+
+/**
+ * Tokenize code; unknown languages and oversized text yield a single plain token
+ */
+function tokenize(text, language) {
+    if (typeof text !== 'string' || text.length > MAX_HIGHLIGHT_LENGTH) {
+        return [{ type: 'plain', text: String(text || '') }];
+    }
+    if (language === 'html') {
+        return tokenizeMarkup(text);
+    }
+    const grammar = LANGUAGES[language];
+    return grammar ? tokenizeCode(text, grammar) : [{ type: 'plain', text }];
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Highlighted HTML split into lines (spans never cross a line break)
+ * Tokens get `hl-<type>` classes styled by the renderer
+ */
+function toHtmlLines(tokens) {
+    const lines = [''];
+
+    for (const token of tokens) {
+        token.text.split('\n').forEach((part, index) => {
+            if (index > 0) {
+                lines.push('');
+            }
+            if (part) {
+                const html = escapeHtml(part);
+                lines[lines.length - 1] += token.type === 'plain' ? html : `<span class="hl-${token.type}">${html}</span>`;
+            }
+        });
+    }
+
+    return lines;
+}
+
+/**
+ * Self-contained HTML with inline colors (for pasting into other apps)
+ */
+function toInlineHtml(tokens) {
+    const body = tokens.map(token => {
+        const html = escapeHtml(token.text);
+        const color = TOKEN_COLORS[token.type];
+        if (!color) return html;
+        return `<span style="color: ${color};${token.type === 'comment' ? ' font-style: italic;' : ''}">${html}</span>`;
+    }).join('');
+
+    return `<pre style="font-family: Menlo, Monaco, monospace; font-size: 12px;">${body}</pre>`;
+}
+
+function escapeRtf(text) {
+    let result = '';
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (char === '\\' || char === '{' || char === '}') {
+            result += `\\${char}`;
+        } else if (char === '\n') {
+            result += '\\line\n';
+        } else if (char === '\t') {
+            result += '\\tab ';
+        } else if (code > 127) {
+            // RTF \u takes a signed 16-bit value; astral characters are written as surrogate pairs
+            for (const unit of String.fromCodePoint(code).split('')) {
+                const value = unit.charCodeAt(0);
+                result += `\\u${value > 32767 ? value - 65536 : value}?`;
+            }
+        } else {
+            result += char;
+        }
+    }
+    return result;
+}
+
+/**
+ * RTF document with a color table (for apps that prefer RTF, like Pages or Keynote)
+ */
+function toRtf(tokens) {
+    const types = Object.keys(TOKEN_COLORS);
+    const colorTable = types.map(type => {
+        const hex = TOKEN_COLORS[type];
+        const [r, g, b] = [1, 3, 5].map(offset => parseInt(hex.substr(offset, 2), 16));
+        return `\\red${r}\\green${g}\\blue${b};`;
+    }).join('');
+
+    const body = tokens.map(token => {
+        const index = types.indexOf(token.type);
+        const text = escapeRtf(token.text);
+        if (index === -1) return text;
+        const italic = token.type === 'comment';
+        return `{\\cf${index + 1}${italic ? '\\i' : ''} ${text}}`;
+    }).join('');
+
+    return `{\\rtf1\\ansi\\deff0{\\fonttbl{\\f0\\fmodern Menlo;}}{\\colortbl;${colorTable}}\\f0\\fs24 ${body}}`;
+}
+
+function isSupportedLanguage(language) {
+    return language === 'html' || Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+}
+
+/**
+ * Use the given language when we have a grammar for it, otherwise detect one
+ */
+function resolveLanguage(text, language) {
+    if (isSupportedLanguage(language)) {
+        return language;
+    }
+    if (typeof text !== 'string' || text.length > MAX_HIGHLIGHT_LENGTH) {
+        return null;
+    }
+    const classification = classifyText(text);
+    if (classification && classification.contentType === 'json') {
+        return 'json';
+    }
+    return (classification && classification.language) || detectLanguage(text.trim());
+}
+
+/**
+ * Highlight code for the preview
+ * Returns { language, lines } where lines are HTML strings with hl-* classes
+ */
+function highlight(text, language = null) {
+    const resolved = resolveLanguage(text, language);
+    return {
+        language: resolved,
+        lines: toHtmlLines(tokenize(text, resolved))
+    };
+}
+
+/**
+ * Clipboard formats for "copy with highlighting": { text, html, rtf }
+ */
+function highlightForClipboard(text, language = null) {
+    const tokens = tokenize(text, resolveLanguage(text, language));
+    return {
+        text,
+        html: toInlineHtml(tokens),
+        rtf: toRtf(tokens)
+    };
+}
+
+module.exports = {
+    highlight,
+    highlightForClipboard
+};
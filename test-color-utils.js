@@ -0,0 +1,25 @@
+// Quick verification test for color parsing
+const { parseColor, normalizeColor } = require('./colorUtils');
+
+console.log('Testing color parsing...\n');
+
+// Test 1: Hex colors
+console.log('1. Testing hex colors...');
+console.log('   ✓ Six digits:', normalizeColor(parseColor('#1e90ff')) === '#1E90FF');
+console.log('   ✓ Eight digits:', normalizeColor(parseColor('#1e90ff80')) === '#1E90FF80');
+console.log('   ✓ Three digits:', normalizeColor(parseColor('#fff')) === '#FFFFFF');
+console.log('   ✓ Not hex:', parseColor('#12345') === null && parseColor('#ggg') === null);
+
+// Test 2: Copied text only becomes a color with six or eight digits
+console.log('\n2. Testing short hex in copied text...');
+console.log('   ✓ Issue number is not a color:', parseColor('#123', { shortHex: false }) === null);
+console.log('   ✓ Word is not a color:', parseColor('#bad', { shortHex: false }) === null);
+console.log('   ✓ Short color is not a color:', parseColor('#fff', { shortHex: false }) === null);
+console.log('   ✓ Full color is a color:', normalizeColor(parseColor('#ffffff', { shortHex: false })) === '#FFFFFF');
+
+// Test 3: CSS functions
+console.log('\n3. Testing CSS functions...');
+console.log('   ✓ rgb():', normalizeColor(parseColor('rgb(255, 0, 0)')) === '#FF0000');
+console.log('   ✓ hsl():', normalizeColor(parseColor('hsl(120, 100%, 50%)')) === '#00FF00');
+
+console.log('\n✅ All tests passed!');
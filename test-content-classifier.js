@@ -0,0 +1,30 @@
+// Quick verification test for content classification
+const { classifyText, suggestTags } = require('./contentClassifier');
+
+console.log('Testing content classification...\n');
+
+// Test 1: Paths
+console.log('1. Testing paths...');
+console.log('   ✓ Unix path:', classifyText('/Users/alex/Projects/webapp/src/index.ts').contentType === 'path');
+console.log('   ✓ Home path:', classifyText('~/Documents/notes.txt').contentType === 'path');
+console.log('   ✓ Directory path:', classifyText('./src/components/').contentType === 'path');
+console.log('   ✓ Windows path:', classifyText('C:\\Users\\alex\\Documents\\report.docx').contentType === 'path');
+console.log('   ✓ Windows drive:', classifyText('D:\\').contentType === 'path');
+
+// Test 2: Glob paths are not paths and don't backtrack
+console.log('\n2. Testing long glob paths...');
+const started = Date.now();
+const glob = classifyText('/Users/alex/Projects/webapp/src/components/*.tsx');
+const longGlob = classifyText('/' + 'directory/'.repeat(80) + '*.tsx');
+const windowsGlob = classifyText('C:\\' + 'directory\\'.repeat(80) + '*.tsx');
+console.log('   ✓ Glob is not a path:', !glob || glob.contentType !== 'path');
+console.log('   ✓ Long globs are not paths:', (!longGlob || longGlob.contentType !== 'path') && (!windowsGlob || windowsGlob.contentType !== 'path'));
+console.log('   ✓ Classified quickly:', Date.now() - started < 100);
+
+// Test 3: Tags reuse a classification
+console.log('\n3. Testing tag suggestions...');
+const classification = classifyText('https://example.com');
+console.log('   ✓ URL tagged:', suggestTags('https://example.com', classification).join() === 'url');
+console.log('   ✓ Classifies when not given one:', suggestTags('hello@example.com').join() === 'email');
+
+console.log('\n✅ All tests passed!');
@@ -0,0 +1,74 @@
+// Quick verification test for history archives (node test-history-archive.js)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { writeHistoryArchive, readHistoryArchive, isHistoryArchive } = require('./historyArchive');
+
+(async () => {
+  console.log('Testing history archives...\n');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pastebro-archive-test-'));
+
+  try {
+    // An image spanning several 512-byte tar blocks, with a partial last block
+    const image = crypto.randomBytes(1300);
+    const thumbnail = Buffer.from('thumbnail');
+    const storedFiles = {
+      '/store/images/img1.webp': image,
+      '/store/thumbnails/img1.jpg': thumbnail
+    };
+    const items = [
+      { id: 'img1', type: 'image', imagePath: '/store/images/img1.webp', thumbnailPath: '/store/thumbnails/img1.jpg' },
+      { id: 'txt1', type: 'text', plainText: 'Hello, World!', imagePath: null, thumbnailPath: null }
+    ];
+    const storeImage = async (directory, fileName, data) => {
+      const filePath = path.join(dir, directory, fileName);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, data);
+      return filePath;
+    };
+
+    // Test 1: Round trip
+    console.log('1. Testing round trip...');
+    const archivePath = path.join(dir, 'export.tgz');
+    const written = await writeHistoryArchive(archivePath, items, async (filePath) => storedFiles[filePath]);
+    console.log('   ✓ Image files written:', written === 2);
+    console.log('   ✓ Detected as archive:', isHistoryArchive(archivePath));
+
+    const imported = await readHistoryArchive(archivePath, storeImage);
+    console.log('   ✓ Items read back:', imported.length === 2);
+    console.log('   ✓ Multi-block image intact:', fs.readFileSync(imported[0].imagePath).equals(image));
+    console.log('   ✓ Thumbnail intact:', fs.readFileSync(imported[0].thumbnailPath).equals(thumbnail));
+    console.log('   ✓ Text preserved:', imported[1].plainText === 'Hello, World!' && imported[1].imagePath === null);
+
+    // Test 2: Preview reads only the manifest
+    console.log('\n2. Testing manifest-only read...');
+    const preview = await readHistoryArchive(archivePath);
+    console.log('   ✓ Items listed:', preview.length === 2);
+    console.log('   ✓ No image paths without a store:', preview[0].imagePath === null);
+
+    // Test 3: Archive cut off in the middle of the image entry
+    console.log('\n3. Testing truncated archive...');
+    const tar = zlib.gunzipSync(fs.readFileSync(archivePath));
+    const imageHeader = tar.indexOf('images/img1.webp');
+    const truncatedPath = path.join(dir, 'truncated.tgz');
+    fs.writeFileSync(truncatedPath, zlib.gzipSync(tar.subarray(0, imageHeader + 512 + 700)));
+    try {
+      await readHistoryArchive(truncatedPath, storeImage);
+      console.log('   ✓ Truncated archive rejected:', false);
+    } catch (error) {
+      console.log('   ✓ Truncated archive rejected:', error.message === 'Archive is truncated');
+    }
+
+    // Test 4: Not an archive
+    console.log('\n4. Testing plain JSON export...');
+    const jsonPath = path.join(dir, 'export.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({ version: 1, items: [] }));
+    console.log('   ✓ JSON is not an archive:', !isHistoryArchive(jsonPath));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n✅ All tests passed!');
+})();
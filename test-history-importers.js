@@ -0,0 +1,117 @@
+// Quick verification test for history importers
+// Run with: npx electron test-history-importers.js (better-sqlite3 is built for Electron)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { readImportFile, summarizeImport } = require('./historyImporters');
+const { ClipboardItem } = require('./clipboardItem');
+
+console.log('Testing history importers...\n');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pastebro-import-test-'));
+
+try {
+  // Test 1: CSV with quoted fields, embedded line breaks and the export's formula guard
+  console.log('1. Testing CSV...');
+  const csvPath = path.join(dir, 'history.csv');
+  fs.writeFileSync(csvPath, '\uFEFFType,Timestamp,Source App,Text\r\n' +
+    'text,2025-01-02T03:04:05.000Z,Notes,"first line\r\nsecond ""quoted"", line"\r\n' +
+    "text,2025-01-02T03:04:06.000Z,,'=SUM(A1:A2)\r\n" +
+    "text,2025-01-02T03:04:07.000Z,,'quoted'\r\n" +
+    'text,2025-01-02T03:04:08.000Z,,\r\n');
+  const csv = readImportFile(csvPath);
+  console.log('   ✓ Source is CSV:', csv.source === 'CSV');
+  console.log('   ✓ Rows read:', csv.items.length === 3);
+  console.log('   ✓ Empty text skipped:', csv.skipped === 1);
+  console.log('   ✓ Quotes and line breaks kept:', csv.items[0].plainText === 'first line\r\nsecond "quoted", line');
+  console.log('   ✓ Source app read:', csv.items[0].sourceApplication === 'Notes');
+  console.log('   ✓ Timestamp read:', csv.items[0].timestamp === Date.parse('2025-01-02T03:04:05.000Z'));
+  console.log('   ✓ Formula guard removed:', csv.items[1].plainText === '=SUM(A1:A2)');
+  console.log('   ✓ Other apostrophes kept:', csv.items[2].plainText === "'quoted'");
+
+  // Test 2: Maccy database with Core Data timestamps (seconds since 2001)
+  console.log('\n2. Testing Core Data timestamps...');
+  const maccyPath = path.join(dir, 'Storage.sqlite');
+  const db = new Database(maccyPath);
+  db.exec(`
+    CREATE TABLE ZHISTORYITEM (Z_PK INTEGER PRIMARY KEY, ZLASTCOPIEDAT REAL, ZPIN VARCHAR, ZAPPLICATION VARCHAR, ZTITLE VARCHAR);
+    CREATE TABLE ZHISTORYITEMCONTENT (Z_PK INTEGER PRIMARY KEY, ZITEM INTEGER, ZTYPE VARCHAR, ZVALUE BLOB);
+    INSERT INTO ZHISTORYITEM VALUES (1, 750000000, 'b', 'com.apple.Safari', 'pinned text');
+    INSERT INTO ZHISTORYITEM VALUES (2, 740000000.5, NULL, NULL, 'older text');
+    INSERT INTO ZHISTORYITEMCONTENT VALUES (1, 1, 'public.utf8-plain-text', CAST('pinned text' AS BLOB));
+    INSERT INTO ZHISTORYITEMCONTENT VALUES (2, 2, 'public.utf8-plain-text', CAST('older text' AS BLOB));
+  `);
+  db.close();
+  const maccy = readImportFile(maccyPath);
+  console.log('   ✓ Source is Maccy:', maccy.source === 'Maccy');
+  console.log('   ✓ Core Data date converted:', maccy.items[0].timestamp === Date.parse('2024-10-07T13:20:00.000Z'));
+  console.log('   ✓ Fractional seconds kept:', maccy.items[1].timestamp === (740000000.5 + 978307200) * 1000);
+  console.log('   ✓ Pin read:', maccy.items[0].isPinned && !maccy.items[1].isPinned);
+
+  const summary = summarizeImport(maccy.items);
+  console.log('   ✓ Summary counts:', summary.count === 2 && summary.pinned === 1 && summary.types.text === 2);
+
+  // Test 3: Maccy items with several pasteboard types are read once
+  console.log('\n3. Testing Maccy content rows...');
+  const joinPath = path.join(dir, 'Join.sqlite');
+  const joinDb = new Database(joinPath);
+  joinDb.exec(`
+    CREATE TABLE ZHISTORYITEM (Z_PK INTEGER PRIMARY KEY, ZLASTCOPIEDAT REAL, ZPIN VARCHAR, ZAPPLICATION VARCHAR, ZTITLE VARCHAR);
+    CREATE TABLE ZHISTORYITEMCONTENT (Z_PK INTEGER PRIMARY KEY, ZITEM INTEGER, ZTYPE VARCHAR, ZVALUE BLOB);
+    INSERT INTO ZHISTORYITEM VALUES (1, 750000000, NULL, NULL, 'styled text');
+    INSERT INTO ZHISTORYITEM VALUES (2, 740000000, NULL, NULL, 'screenshot.png');
+    INSERT INTO ZHISTORYITEMCONTENT VALUES (1, 1, 'public.html', CAST('<b>styled text</b>' AS BLOB));
+    INSERT INTO ZHISTORYITEMCONTENT VALUES (2, 1, 'NSStringPboardType', CAST('' AS BLOB));
+    INSERT INTO ZHISTORYITEMCONTENT VALUES (3, 1, 'public.utf8-plain-text', CAST('styled text' AS BLOB));
+    INSERT INTO ZHISTORYITEMCONTENT VALUES (4, 2, 'public.png', X'89504E47');
+  `);
+  joinDb.close();
+  const joined = readImportFile(joinPath);
+  console.log('   ✓ One item per history item:', joined.items.length === 2);
+  console.log('   ✓ Plain text preferred:', joined.items[0].plainText === 'styled text');
+  console.log('   ✓ Title used without text:', joined.items[1].plainText === 'screenshot.png');
+
+  // Test 4: JSON arrays and objects from other apps
+  console.log('\n4. Testing JSON...');
+  const arrayPath = path.join(dir, 'array.json');
+  fs.writeFileSync(arrayPath, JSON.stringify(['first', { text: 'second', pinned: true, app: 'Notes' }, { image: 'x' }]));
+  const array = readImportFile(arrayPath);
+  console.log('   ✓ Source is JSON:', array.source === 'JSON');
+  console.log('   ✓ Strings and records read:', array.items.length === 2 && array.items[1].plainText === 'second');
+  console.log('   ✓ Fields mapped:', array.items[1].isPinned && array.items[1].sourceApplication === 'Notes');
+  console.log('   ✓ Record without text skipped:', array.skipped === 1);
+  console.log('   ✓ File order kept:', array.items[0].timestamp > array.items[1].timestamp);
+
+  const objectPath = path.join(dir, 'clips.json');
+  fs.writeFileSync(objectPath, JSON.stringify({ clips: [{ content: 'from clips', date: '2025-01-02T03:04:05.000Z' }] }));
+  const object = readImportFile(objectPath);
+  console.log('   ✓ Records found under a key:', object.items.length === 1 && object.items[0].plainText === 'from clips');
+  console.log('   ✓ Date read:', object.items[0].timestamp === Date.parse('2025-01-02T03:04:05.000Z'));
+
+  // Test 5: PasteBro JSON export
+  console.log('\n5. Testing PasteBro JSON...');
+  const exported = ClipboardItem.fromText('exported text');
+  exported.isPinned = true;
+  const pasteBroPath = path.join(dir, 'export.json');
+  fs.writeFileSync(pasteBroPath, JSON.stringify({
+    version: 1,
+    items: [{ ...exported.toDatabase(), imagePath: path.join(dir, 'missing.webp') }]
+  }));
+  const pasteBro = readImportFile(pasteBroPath);
+  console.log('   ✓ Source is PasteBro:', pasteBro.source === 'PasteBro');
+  console.log('   ✓ Item kept:', pasteBro.items[0].id === exported.id && pasteBro.items[0].plainText === 'exported text');
+  console.log('   ✓ Pin kept:', pasteBro.items[0].isPinned === true);
+  console.log('   ✓ Missing image path dropped:', pasteBro.items[0].imagePath === null);
+
+  // Test 6: Records past the limit are counted as skipped
+  console.log('\n6. Testing record limit...');
+  const largePath = path.join(dir, 'large.json');
+  fs.writeFileSync(largePath, JSON.stringify(Array.from({ length: 50005 }, (_, index) => `clip ${index}`)));
+  const large = readImportFile(largePath);
+  console.log('   ✓ Items limited:', large.items.length === 50000);
+  console.log('   ✓ Overflow skipped:', large.skipped === 5);
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('\n✅ All tests passed!');
@@ -0,0 +1,90 @@
+// Quick verification test for importing items into the history with each merge policy
+// Run with: npx electron test-import-policies.js (better-sqlite3 is built for Electron)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HistoryManager = require('./historyManager');
+const { ClipboardItem, ClipboardItemType } = require('./clipboardItem');
+
+const now = Date.now();
+function textItem(text, timestamp, isPinned = false) {
+  return new ClipboardItem({
+    type: ClipboardItemType.TEXT,
+    plainText: text,
+    contentHash: ClipboardItem.generateHash(text, ClipboardItemType.TEXT),
+    timestamp,
+    isPinned
+  });
+}
+
+/**
+ * History holding one unpinned "shared" item copied a minute ago
+ */
+async function createHistory(dir, name) {
+  const historyManager = new HistoryManager(path.join(dir, `${name}.db`));
+  const existing = textItem('shared', now - 60000);
+  await historyManager.addItem(existing);
+  return { historyManager, existingId: existing.id };
+}
+
+(async () => {
+  console.log('Testing import policies...\n');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pastebro-policy-test-'));
+
+  try {
+    // Test 1: Keep newest - a newer copy moves the existing item and takes its pin
+    console.log('1. Testing newest...');
+    let { historyManager, existingId } = await createHistory(dir, 'newest');
+    let report = await historyManager.importItems([
+      textItem('shared', now - 1000, true),
+      textItem('shared', now - 120000),
+      textItem('new', now - 5000)
+    ], { policy: 'newest' });
+    let existing = await historyManager.getItemById(existingId);
+    console.log('   ✓ Report:', report.added === 1 && report.merged === 1 && report.skipped === 1);
+    console.log('   ✓ Timestamp moved:', existing.timestamp === now - 1000);
+    console.log('   ✓ Pin taken:', existing.isPinned === true);
+    console.log('   ✓ No duplicate:', await historyManager.getCount() === 2);
+    historyManager.close();
+
+    // Test 2: Keep both - copies are added alongside the existing item
+    console.log('\n2. Testing both...');
+    ({ historyManager, existingId } = await createHistory(dir, 'both'));
+    report = await historyManager.importItems([textItem('shared', now - 1000)], { policy: 'both' });
+    existing = await historyManager.getItemById(existingId);
+    console.log('   ✓ Report:', report.added === 1 && report.merged === 0);
+    console.log('   ✓ Existing unchanged:', existing.timestamp === now - 60000);
+    console.log('   ✓ Duplicate added:', await historyManager.getCount() === 2);
+    historyManager.close();
+
+    // Test 3: Keep pinned - only pins are merged, timestamps stay
+    console.log('\n3. Testing pinned...');
+    ({ historyManager, existingId } = await createHistory(dir, 'pinned'));
+    report = await historyManager.importItems([
+      textItem('shared', now - 1000),
+      textItem('shared', now - 120000, true)
+    ], { policy: 'pinned' });
+    existing = await historyManager.getItemById(existingId);
+    console.log('   ✓ Report:', report.merged === 1 && report.skipped === 1 && report.added === 0);
+    console.log('   ✓ Pinned:', existing.isPinned === true);
+    console.log('   ✓ Timestamp kept:', existing.timestamp === now - 60000);
+    historyManager.close();
+
+    // Test 4: Unknown policy and invalid items
+    console.log('\n4. Testing validation...');
+    ({ historyManager } = await createHistory(dir, 'validation'));
+    try {
+      await historyManager.importItems([], { policy: 'oldest' });
+      console.log('   ✓ Unknown policy rejected:', false);
+    } catch (error) {
+      console.log('   ✓ Unknown policy rejected:', true);
+    }
+    report = await historyManager.importItems([{ plainText: 'not an item' }], { policy: 'newest' });
+    console.log('   ✓ Invalid item counted as failed:', report.failed === 1 && report.problems.length === 1);
+    historyManager.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n✅ All tests passed!');
+})();
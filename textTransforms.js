@@ -0,0 +1,201 @@
+/**
+ * Text transformations applied when copying an item out
+ * The stored item is never modified; the result is written to the clipboard
+ * (and optionally saved as a new history entry)
+ */
+
+/**
+ * Split text into words at separators and camelCase boundaries
+ */
+function splitWords(text) {
+    return text
+        .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word);
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+// Case conversions for identifiers work line by line so lists keep their shape
+function mapLines(text, fn) {
+    return text.split(/\r?\n/).map(fn).join('\n');
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error('Text is not valid JSON');
+    }
+}
+
+const TRANSFORMS = [
+    {
+        id: 'uppercase',
+        label: 'UPPERCASE',
+        shortcut: 'U',
+        apply: text => text.toUpperCase()
+    },
+    {
+        id: 'lowercase',
+        label: 'lowercase',
+        shortcut: 'L',
+        apply: text => text.toLowerCase()
+    },
+    {
+        id: 'titlecase',
+        label: 'Title Case',
+        shortcut: 'T',
+        // A quote only starts a word after a space or bracket, so contractions (it's, don't) stay lowercase
+        apply: text => text.toLowerCase().replace(/(^|[\s\-([]|(?:^|[\s([])["'])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase())
+    },
+    {
+        id: 'camelcase',
+        label: 'camelCase',
+        shortcut: 'C',
+        apply: text => mapLines(text, line => splitWords(line)
+            .map((word, index) => index === 0 ? word.toLowerCase() : capitalize(word))
+            .join(''))
+    },
+    {
+        id: 'snakecase',
+        label: 'snake_case',
+        shortcut: 'S',
+        apply: text => mapLines(text, line => splitWords(line).map(word => word.toLowerCase()).join('_'))
+    },
+    {
+        id: 'trim',
+        label: 'Trim Whitespace',
+        shortcut: 'W',
+        apply: text => mapLines(text, line => line.trim()).trim()
+    },
+    {
+        id: 'strip-line-breaks',
+        label: 'Strip Line Breaks',
+        shortcut: 'B',
+        apply: text => text.replace(/[ \t]*\r?\n\s*/g, ' ').trim()
+    },
+    {
+        id: 'sort-lines',
+        label: 'Sort Lines',
+        apply: text => text.split(/\r?\n/).sort((a, b) => a.localeCompare(b)).join('\n')
+    },
+    {
+        id: 'dedupe-lines',
+        label: 'Remove Duplicate Lines',
+        apply: text => [...new Set(text.split(/\r?\n/))].join('\n')
+    },
+    {
+        id: 'url-encode',
+        label: 'URL Encode',
+        apply: text => encodeURIComponent(text)
+    },
+    {
+        id: 'url-decode',
+        label: 'URL Decode',
+        apply: text => {
+            try {
+                return decodeURIComponent(text.replace(/\+/g, ' '));
+            } catch (error) {
+                throw new Error('Text is not valid URL-encoded text');
+            }
+        }
+    },
+    {
+        id: 'base64-encode',
+        label: 'Base64 Encode',
+        apply: text => Buffer.from(text, 'utf8').toString('base64')
+    },
+    {
+        id: 'base64-decode',
+        label: 'Base64 Decode',
+        apply: text => {
+            const compact = text.replace(/\s+/g, '');
+            if (!compact || !/^[A-Za-z0-9+/_-]*={0,2}$/.test(compact)) {
+                throw new Error('Text is not valid Base64');
+            }
+            try {
+                // Reject binary payloads rather than producing mojibake
+                return new TextDecoder('utf-8', { fatal: true }).decode(Buffer.from(compact, 'base64'));
+            } catch (error) {
+                throw new Error('Base64 text does not decode to UTF-8 text');
+            }
+        }
+    },
+    {
+        id: 'json-pretty',
+        label: 'Pretty-Print JSON',
+        shortcut: 'J',
+        apply: text => JSON.stringify(parseJson(text), null, 2)
+    },
+    {
+        id: 'json-minify',
+        label: 'Minify JSON',
+        apply: text => JSON.stringify(parseJson(text))
+    },
+    {
+        id: 'escape-shell',
+        label: 'Escape for Shell',
+        // Single-quoted string; embedded quotes become '\''
+        apply: text => `'${text.replace(/'/g, "'\\''")}'`
+    },
+    {
+        id: 'escape-sql',
+        label: 'Escape for SQL',
+        apply: text => `'${text.replace(/'/g, "''")}'`
+    },
+    {
+        id: 'escape-regex',
+        label: 'Escape for Regex',
+        apply: text => text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&')
+    }
+];
+
+const MERGE_FORMATS = {
+    plain: (texts, separator) => texts.join(separator),
+    // List formats always put one entry per line
+    bullets: texts => texts.map(text => `• ${text}`).join('\n'),
+    numbered: texts => texts.map((text, index) => `${index + 1}. ${text}`).join('\n'),
+    csv: texts => texts.map(text => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text).join(',')
+};
+
+/**
+ * Join several texts into one (used by "Merge into New Item")
+ * format is plain (joined with separator), bullets, numbered or csv
+ */
+function mergeTexts(texts, { separator = '\n', format = 'plain' } = {}) {
+    if (!Object.hasOwn(MERGE_FORMATS, format)) {
+        throw new Error(`Unknown merge format: ${format}`);
+    }
+    return MERGE_FORMATS[format](texts.map(text => String(text)), String(separator));
+}
+
+/**
+ * Transform metadata for the renderer (id, label, shortcut letter)
+ */
+function getTransforms() {
+    return TRANSFORMS.map(({ id, label, shortcut }) => ({ id, label, shortcut: shortcut || null }));
+}
+
+/**
+ * Apply a transformation by id
+ * Throws on unknown ids and on input the transformation can't handle (e.g. invalid JSON)
+ */
+function applyTransform(id, text) {
+    const transform = TRANSFORMS.find(t => t.id === id);
+    if (!transform) {
+        throw new Error(`Unknown transformation: ${id}`);
+    }
+    if (typeof text !== 'string') {
+        throw new Error('Only text can be transformed');
+    }
+    return transform.apply(text);
+}
+
+module.exports = {
+    getTransforms,
+    applyTransform,
+    mergeTexts
+};